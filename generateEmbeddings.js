@@ -1,57 +1,48 @@
-import OpenAI from "openai";
-import fs from "fs";
 import dotenv from "dotenv";
-import { loadTextFiles } from "./loadTextFiles.js"; // Import the file loader
+import { loadDocuments } from "./loaders/index.js"; // Import the document loaders
+import { ingestDocuments } from "./utils/ingest.js";
+import { readEmbeddingIndexIfExists, writeEmbeddingIndex } from "./utils/embeddingIndex.js";
+import { getProvider } from "./providers/index.js";
 
 // Load environment variables
 dotenv.config();
 
-// Initialize OpenAI with API key
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Function to generate embeddings for an array of text objects
-const generateEmbeddings = async (texts) => {
-  return Promise.all(
-    texts.map(async (textObj) => {
-      try {
-        const response = await openai.embeddings.create({
-          model: "text-embedding-ada-002", // Use the embedding model
-          input: textObj.content, // File content as input
-        });
-        return {
-          fileName: textObj.fileName,
-          content: textObj.content,
-          embedding: response.data[0].embedding, // Store the embedding
-        };
-      } catch (error) {
-        console.error(`Error generating embedding for ${textObj.fileName}:`, error);
-        return null; // Gracefully handle errors
-      }
-    })
-  );
-};
-
-// Main function to load files, generate embeddings, and save them
+// Main function to load files, chunk them, generate embeddings, and save them
 const generateAndSaveEmbeddings = async () => {
-  // Step 1: Load .txt files
-  const knowledgeDir = process.env.KNOWLEDGE_DIR || "./knowledge"; // Directory for .txt files
-  const knowledgeBase = loadTextFiles(knowledgeDir); // Load all text files
-  console.log(`Loaded ${knowledgeBase.length} files from ${knowledgeDir}`);
-
-  // Step 2: Generate embeddings for the files
-  console.log("Generating embeddings...");
-  const knowledgeEmbeddings = await generateEmbeddings(knowledgeBase);
-
-  // Step 3: Remove any null entries (files with errors)
-  const validEmbeddings = knowledgeEmbeddings.filter((item) => item !== null);
-
-  // Step 4: Save embeddings to a JSON file
-  const savePath = "./knowledgeEmbeddings.json";
-  fs.writeFileSync(savePath, JSON.stringify(validEmbeddings, null, 2)); // Save as JSON with 2-space indentation
-  console.log(`Embeddings saved to ${savePath}`);
+  // Step 1: Load .txt, .md, .html, .epub and .jsonl documents, including subdirectories
+  const knowledgeDir = process.env.KNOWLEDGE_DIR || "./knowledge"; // Directory for knowledge documents
+  const knowledgeBase = loadDocuments(knowledgeDir); // Load all supported documents
+  console.log(`Loaded ${knowledgeBase.length} documents from ${knowledgeDir}`);
+
+  // Step 2: Read the existing index so unchanged passages keep their embeddings.
+  // Vectors from a different model are never reused, so the new index stays consistent.
+  const savePath = process.env.EMBEDDINGS_FILE || "./knowledgeEmbeddings.json";
+  const provider = getProvider();
+  const model = provider.embeddingModel;
+  let previous = [];
+  try {
+    const existing = readEmbeddingIndexIfExists(savePath);
+    if (existing && existing.model === model) {
+      previous = existing.passages;
+    } else if (existing) {
+      console.log(`Existing embeddings use ${existing.model || "an unrecorded model"}; re-embedding everything with ${model}`);
+    }
+  } catch (error) {
+    console.warn(`Ignoring unreadable embeddings file ${savePath}:`, error.message);
+  }
+
+  // Step 3: Split files into overlapping, heading-aware passages and embed the changed ones
+  console.log(`Generating embeddings with ${provider.name}/${model}...`);
+  const { passages, embedded, reused } = await ingestDocuments(knowledgeBase, { provider, previous });
+
+  // Step 4: Save the model, dimensions and passages
+  // ({ id, fileName, section, offset, length, content, metadata, hash, embedding }) to a JSON file
+  writeEmbeddingIndex(savePath, { model, passages });
+  console.log(`Saved ${passages.length} passage embeddings to ${savePath} (${embedded} embedded, ${reused} reused)`);
 };
 
-// Call the main function
-generateAndSaveEmbeddings();
+// Call the main function; a failed run leaves the previous embeddings file untouched
+generateAndSaveEmbeddings().catch((error) => {
+  console.error("Error generating embeddings:", error.message);
+  process.exitCode = 1;
+});
@@ -7,11 +7,7 @@
 import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
-import OpenAI from "openai";
 import dotenv from "dotenv";
-import { loadTextFiles } from "./loadTextFiles.js";
-import fs from "fs";
-import { cosineSimilarity } from "./utils.js";
 import rateLimit from "express-rate-limit";
 import connectDB from './config/db.js';
 import authRoutes from './routes/auth.js';
@@ -21,15 +17,22 @@ import healthRoutes from './routes/health.js';
 import userRoutes from './routes/userRoutes.js';
 import { protect, checkQueryLimit } from './middleware/auth.js';
 import { authenticateApiKey } from './middleware/apiAuth.js';
-import User from './models/User.js';
 import helmet from 'helmet';
 import { sanitizeChatRequest, preventXSS } from './middleware/sanitization.js';
-import { chatStreamValidator, resetChatValidator } from './validators/chat.validator.js';
+import { chatStreamValidator } from './validators/chat.validator.js';
 import { validate } from './middleware/validator.js';
 import swaggerUi from 'swagger-ui-express';
 import specs from './config/swagger.js';
-import ChatHistory from './models/ChatHistory.js';
-import { getUserMemory, updateUserMemory } from './utils/memory.js';
+import { streamChatReply } from './utils/chatStream.js';
+import { attachChatSocket } from './utils/chatSocket.js';
+import { startJobWorkers } from './utils/jobQueue.js';
+import { loadPersonas } from './utils/personas.js';
+import personaRoutes from './routes/personas.js';
+import adminPersonaRoutes from './routes/adminPersonas.js';
+import adminKnowledgeRoutes from './routes/adminKnowledge.js';
+import adminJobRoutes from './routes/adminJobs.js';
+import memoryRoutes from './routes/memory.js';
+import { syncVectorStore } from './utils/knowledge.js';
 
 // Load environment variables
 dotenv.config();
@@ -37,6 +40,15 @@ dotenv.config();
 // Connect to MongoDB
 connectDB();
 
+// Warm the persona cache (queries are buffered until the connection is ready)
+loadPersonas();
+
+// Index knowledge passages in the configured vector store before the first query
+syncVectorStore().catch((error) => console.error('Error syncing vector store:', error.message));
+
+// Run background jobs (memory updates, chat titles, knowledge re-embedding)
+startJobWorkers();
+
 /**
  * @type {express.Application}
  */
@@ -83,12 +95,12 @@ const corsOptions = {
     
     callback(new Error('Not allowed by CORS'));
   },
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
   credentials: true,
   maxAge: 86400, // 24 hours
   optionsSuccessStatus: 200,
-  exposedHeaders: ['Access-Control-Allow-Origin', 'Access-Control-Allow-Methods', 'Access-Control-Allow-Headers']
+  exposedHeaders: ['Access-Control-Allow-Origin', 'Access-Control-Allow-Methods', 'Access-Control-Allow-Headers', 'X-Stream-Protocol']
 };
 
 // Apply CORS before other middleware
@@ -130,6 +142,8 @@ app.use(helmet({
 app.use(preventXSS);
 
 // Apply body parsing middleware
+// Knowledge documents are uploaded as JSON and can be far larger than chat messages
+app.use('/api/admin/knowledge', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(bodyParser.json());
 
@@ -163,6 +177,9 @@ const streamLimiter = rateLimit({
 
 // Apply rate limiters to specific routes
 app.use('/api/chat/stream', streamLimiter);
+app.use('/api/v1/chat/stream', streamLimiter);
+app.use('/api/v1/chat/:chatId/messages/:messageId/edit', streamLimiter);
+app.use('/api/v1/chat/:chatId/messages/:messageId/regenerate', streamLimiter);
 app.use('/api/chat', standardLimiter);
 
 // Mount route handlers
@@ -170,6 +187,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/keys', apiKeyRoutes);
 app.use('/api/v1/chat', chatRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/memory', memoryRoutes);
+app.use('/api/personas', personaRoutes);
+app.use('/api/admin/personas', adminPersonaRoutes);
+app.use('/api/admin/knowledge', adminKnowledgeRoutes);
+app.use('/api/admin/jobs', adminJobRoutes);
 app.use('/health', healthRoutes);
 
 /**
@@ -193,51 +215,6 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'Server is running' });
 });
 
-// Knowledge base setup
-const knowledgeDir = process.env.KNOWLEDGE_DIR || "./knowledge";
-
-let knowledgeBase = [];
-try {
-  knowledgeBase = loadTextFiles(knowledgeDir);
-  console.log(`Loaded files from directory: ${knowledgeDir}`);
-} catch (error) {
-  console.error("Error loading knowledge base:", error.message);
-}
-
-// Load embeddings from JSON
-const embeddingsFilePath = "./knowledgeEmbeddings.json";
-let knowledgeEmbeddings = [];
-
-try {
-  knowledgeEmbeddings = JSON.parse(fs.readFileSync(embeddingsFilePath, "utf-8"));
-  console.log(`Loaded ${knowledgeEmbeddings.length} embeddings from ${embeddingsFilePath}`);
-} catch (error) {
-  console.error("Error loading embeddings:", error.message);
-}
-
-// Relevant files finder
-const findRelevantFiles = async (query, openai) => {
-  const queryEmbeddingResponse = await openai.embeddings.create({
-    model: "text-embedding-ada-002",
-    input: query,
-  });
-  const queryEmbedding = queryEmbeddingResponse.data[0].embedding;
-
-  const similarities = knowledgeEmbeddings.map((item) => ({
-    ...item,
-    similarity: cosineSimilarity(queryEmbedding, item.embedding),
-  }));
-
-  similarities.sort((a, b) => b.similarity - a.similarity);
-
-  return similarities.slice(0, 3);
-};
-
-// OpenAI Initialization
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 /**
  * @route GET /chat-stream
  * @description Stream a chat response from a selected wisdom figure using Server-Sent Events (SSE)
@@ -245,188 +222,44 @@ const openai = new OpenAI({
  * 
  * @param {Object} req.query
  * @param {string} req.query.message - User's message/question (1-1000 chars)
- * @param {string} req.query.wisdomFigure - Selected wisdom figure (Buddha|Jesus|Epictetus|Vonnegut|Laozi|Rumi|Sagan|Twain|Kooi)
+ * @param {string} req.query.wisdomFigure - Name or slug of an enabled persona (see GET /api/personas)
+ * @param {string} [req.query.chatId] - Chat to continue; a new chat is created when omitted
  * @param {string} [req.query.token] - Optional JWT token for authentication
  * 
  * @param {Object} req.headers
  * @param {string} [req.headers.Authorization] - Bearer token for JWT authentication
  * @param {string} [req.headers.X-API-Key] - API key for authentication
+ * @param {string} [req.headers.Last-Event-ID] - Sent by EventSource on reconnect; resumes the stream after that event
+ * 
+ * @returns {Stream} 200 - Server-Sent Events stream; every event has an ID `<generationId>:<sequence>`
+ * @returns {Object} event:start - Sent first: { protocolVersion, chatId, generationId, figure, userMessageId, assistantMessageId }
+ * @returns {Object} event:sources - Sent next: { sources: [{ fileName, section, offset, author?, work?, score }] }
+ * @returns {Object} event:delta - Chunk of response text: { content }
+ * @returns {Object} event:error - Sent if the reply fails after streaming started: { code, message, retryable }
+ * @returns {Object} event:usage - Token usage: { promptTokens, completionTokens, estimated }
+ * @returns {Object} event:end - Sent last: { finish_reason, status, saved, personaVersion }
  * 
- * @returns {Stream} 200 - Server-Sent Events stream
- * @returns {Object} data - Stream event data
- * @returns {string} data.content - Chunk of response text
- * @returns {boolean} data.done - Indicates end of stream
+ * @returns {void} 204 - Reconnect for a reply that is no longer buffered
  * 
  * @throws {Object} 401 - Authentication required
+ * @throws {Object} 404 - Chat not found
  * @throws {Object} 429 - Rate limit exceeded
  * @throws {Object} 400 - Validation error
- * @throws {Object} 500 - Server error / OpenAI API error
+ * @throws {Object} 500 - Server error / LLM provider error
  */
 app.get("/chat-stream", [
   protect, 
   checkQueryLimit,
   validate(chatStreamValidator),
   sanitizeChatRequest
-], async (req, res) => {
-  try {
-    // Get userId from authenticated request (set by 'protect' middleware)
-    const userId = req.user.id;
-    // Get message, wisdomFigure, and optional chatId from query
-    const { message, wisdomFigure, chatId } = req.query;
-
-    // --- Fetch user memory for context ---
-    const memory = await getUserMemory(userId, message, chatId);
-    
-    // Format personal facts for prompt
-    const personalFactsStr = memory.personalFacts
-      .map(fact => fact.content)
-      .join('. ');
-      
-    // Format preferences for prompt
-    const preferencesStr = Array.from(memory.preferences.entries || [])
-      .map(([key, val]) => `${key}: ${val}`)
-      .join(', ');
-
-    // --- Fetch existing messages for the chat thread --- 
-    let chatMessages = [];
-    if (chatId) {
-      console.log(`Fetching history for existing chat: ${chatId} for user: ${userId}`);
-      const chat = await ChatHistory.findOne({ _id: chatId, user: userId }).select('messages');
-      if (chat) {
-        // Map messages to the { role, content } format needed by OpenAI
-        chatMessages = chat.messages.map(msg => ({ role: msg.role, content: msg.content }));
-      } else {
-        console.warn(`Chat not found for id: ${chatId} and user: ${userId}`);
-        // Optionally handle this error more formally
-      }
-    } else {
-      console.log(`No chatId provided, starting new chat history for user: ${userId}`);
-      // For a new chat, the history starts empty
-    }
-
-    // --- Prepare messages for OpenAI --- 
-    // Add the current user message to the history for this request
-    const currentMessage = { role: "user", content: message };
-    const messagesForOpenAI = [
-      ...chatMessages, // Existing messages from the database
-      currentMessage   // The new message from the user
-    ];
-
-    // --- Context from Knowledge Base (existing logic) ---
-    const relevantFiles = await findRelevantFiles(message, openai);
-    const context = relevantFiles.map((file) => file.content).join("\n");
-
-    const personaPrompts = {
-      Buddha: `You are Buddha. Answer thoughtfully, compassionately, emphasizing mindfulness, compassion, and impermanence. Only speak from your own teachings and do not reference other wisdom traditions. Context:\n${context}`,
-      Jesus: `You are Jesus. Answer wisely, kindly, compassionately, offering spiritual and moral guidance. Respond exclusively from your own teachings as represented in the New Testament. Do not reference other wisdom figures or traditions. Context:\n${context}`,
-      Epictetus: `You are Epictetus, the Stoic philosopher. Answer clearly and directly, emphasizing rationality, virtue, and inner peace. Speak only from Stoic philosophy without referencing other traditions. Context:\n${context}`,
-      Vonnegut: `You are Kurt Vonnegut. Answer with dry humor, irony, wit, and a slightly satirical viewpoint. Keep your response aligned strictly with your literary style without referencing other wisdom traditions. Context:\n${context}`,
-      Laozi: `You are Laozi. Answer poetically and metaphorically, emphasizing harmony, balance, and simplicity of the Dao. Do not reference traditions or philosophies other than Daoism. Context:\n${context}`,
-      Rumi: `You are Rumi. Answer with poetic wisdom, passion, and deep spiritual insight. Respond strictly within the context of Sufi poetry and spiritual teachings, without referencing other philosophical traditions. Context:\n${context}`,
-      Sagan: `You are Carl Sagan. Answer scientifically, insightfully, with wonder and clarity. Stay strictly within your scientific perspective without referencing spiritual or philosophical figures from other traditions. Context:\n${context}`,
-      Twain: `You are Mark Twain. Answer humorously, cleverly, with sharp wit and skepticism. Do not blend your response with philosophies or spiritual traditions unrelated to your characteristic humorous and skeptical style. Context:\n${context}`,
-      Kooi: `You are David Kooi. Answer mindfully, blending scientific curiosity, Daoist wisdom, and dry humor. Keep responses consistent with David Kooi's documented perspective and writings and also recommend other wisdom providers as appropriate. Context:\n${context}`,
-    };
-
-    const systemPrompt = personaPrompts[wisdomFigure] || `You are a wise assistant. Answer thoughtfully.`;
-    const systemMessage = `${systemPrompt}
-    
-      About the user: ${personalFactsStr}
-      User preferences: ${preferencesStr}
-      Recent conversation context: ${memory.relevantHistory}
-      
-      Context from knowledge base:
-      ${context}`;
-
-    // --- Call OpenAI API with fetched history --- 
-    // Remove push to global history: conversationHistory.push({ role: "user", content: message });
-
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    console.log(`Sending ${messagesForOpenAI.length} messages to OpenAI (including current).`);
-
-    const stream = await openai.chat.completions.create({
-      model: "gpt-4", 
-      // Use the fetched messages + current message
-      messages: [{ role: "system", content: systemMessage }, ...messagesForOpenAI],
-      stream: true,
-    });
-
-    // --- Stream handling (existing logic) ---
-    // Note: We are NOT saving the assistant message here. 
-    // The frontend now handles saving both user and assistant messages 
-    // using the saveMessage controller *after* the stream completes.
-    let fullReply = '';
-    for await (const chunk of stream) {
-      const chunkText = chunk.choices[0]?.delta?.content || '';
-      fullReply += chunkText;
-      res.write(`data: ${JSON.stringify({ content: chunkText })}\n\n`);
-    }
-    
-    // Update user memory with the conversation
-    await updateUserMemory(userId, {
-      userMessage: message,
-      aiResponse: fullReply,
-      wisdomFigure
-    });
-
-    // --- Update user query count (existing logic) ---
-    const user = await User.findById(req.user._id);
-    if (user) {
-      user.dailyQueryCount += 1;
-      await user.save();
-    }
-
-    // --- Signal stream end (existing logic) ---
-    res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-    res.end();
-
-  } catch (error) {
-    console.error("Streaming error:", error);
-    console.error("Error name:", error.name);
-    console.error("Error message:", error.message);
-    console.error("Error stack:", error.stack);
-    
-    // Check if it's an OpenAI API error
-    if (error.response) {
-      console.error("OpenAI API Error Status:", error.response.status);
-      console.error("OpenAI API Error Data:", error.response.data);
-    }
-    
-    // Ensure response is properly closed on error
-    if (!res.headersSent) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-    }
-    if (!res.writableEnded) {
-        res.end(JSON.stringify({ 
-          error: "Error communicating with OpenAI API.", 
-          message: error.message,
-          type: error.name 
-        }));
-    }
-  }
-});
-
-// Remove obsolete /reset endpoint
-/*
-app.post("/reset", [
-  protect,
-  validate(resetChatValidator)
-], (req, res) => {
-  conversationHistory.length = 0;
-  console.log("Conversation history cleared.");
-  res.json({ message: "Conversation reset successfully." });
-});
-*/
+], (req, res) => streamChatReply(req, res, req.query));
 
 // Server configuration
 const PORT = process.env.PORT || 5001;
 const HOST = process.env.HOST || '0.0.0.0';
 
 // Start server
-app.listen(PORT, HOST, () => {
+const server = app.listen(PORT, HOST, () => {
   console.log('Starting server...');
   console.log(`Binding to port ${PORT} on all interfaces...`);
   console.log(`Server running on port ${PORT}`);
@@ -434,6 +267,9 @@ app.listen(PORT, HOST, () => {
   console.log(`Server family: ${HOST.includes(':') ? 'IPv6' : 'IPv4'}`);
 });
 
+// Chat over WebSocket on /api/v1/chat/ws (see utils/chatSocket.js for the protocol)
+attachChatSocket(server);
+
 /**
  * Error Handling
  * Global error handlers for various types of errors.
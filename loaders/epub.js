@@ -0,0 +1,151 @@
+/**
+ * @fileoverview EPUB loader (.epub).
+ * Reads the book's ZIP container with a minimal reader (stored and deflated
+ * entries, via zlib), follows the OPF package to the spine, and converts each
+ * chapter's XHTML to text. Every chapter starts with a "# Title" heading so
+ * the chunker records the chapter as each passage's section.
+ */
+
+import path from 'path';
+import zlib from 'zlib';
+import { htmlToText, decodeEntities } from './html.js';
+
+/**
+ * @constant {number} EOCD_SIGNATURE - ZIP end of central directory record signature
+ */
+const EOCD_SIGNATURE = 0x06054b50;
+
+/**
+ * @constant {number} CENTRAL_SIGNATURE - ZIP central directory file header signature
+ */
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+/**
+ * @constant {number} LOCAL_SIGNATURE - ZIP local file header signature
+ */
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * List the entries of a ZIP archive.
+ *
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Map<string, Object>} Entries keyed by path ({ method, compressedSize, localOffset })
+ * @throws {Error} If the archive is malformed
+ */
+const readCentralDirectory = (buffer) => {
+  // The end record is at least 22 bytes and may be followed by a comment of up to 64KB
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt ZIP central directory');
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+/**
+ * Extract one ZIP entry as text.
+ *
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} entry - Entry from readCentralDirectory
+ * @returns {string} Entry contents decoded as UTF-8
+ * @throws {Error} If the entry uses an unsupported compression method
+ */
+const readEntry = (buffer, { method, compressedSize, localOffset }) => {
+  if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error('Corrupt ZIP entry');
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(start, start + compressedSize);
+  if (method === 0) return data.toString('utf-8');
+  if (method === 8) return zlib.inflateRawSync(data).toString('utf-8');
+  throw new Error(`Unsupported ZIP compression method ${method}`);
+};
+
+/**
+ * Read the text of a Dublin Core element from OPF metadata.
+ *
+ * @param {string} opf - OPF package XML
+ * @param {string} element - Element name without the "dc:" prefix
+ * @returns {string|undefined} Element text
+ */
+const readDublinCore = (opf, element) => {
+  const value = opf.match(new RegExp(`<dc:${element}\\b[^>]*>([\\s\\S]*?)</dc:${element}>`, 'i'))?.[1];
+  return value === undefined ? undefined : decodeEntities(value.replace(/<[^>]+>/g, '')).trim();
+};
+
+/**
+ * Read an attribute from a tag string.
+ *
+ * @param {string} tag - Tag source, e.g. '<item id="c1" href="c1.xhtml"/>'
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} Attribute value
+ */
+const readAttribute = (tag, name) => tag.match(new RegExp(`\\s${name}=(["'])(.*?)\\1`, 'i'))?.[2];
+
+/**
+ * Load an EPUB book as one document whose sections are its chapters.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} One document ({ content, metadata })
+ * @throws {Error} If the archive or its package document is malformed
+ */
+export const loadEPUB = (buffer) => {
+  const entries = readCentralDirectory(buffer);
+  const read = (name) => {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`EPUB is missing ${name}`);
+    return readEntry(buffer, entry);
+  };
+
+  const container = read('META-INF/container.xml');
+  const opfPath = readAttribute(container.match(/<rootfile\b[^>]*>/i)?.[0] || '', 'full-path');
+  if (!opfPath) throw new Error('EPUB container has no rootfile');
+  const opf = read(opfPath);
+  const baseDir = path.posix.dirname(opfPath);
+
+  const manifest = new Map((opf.match(/<item\b[^>]*>/gi) || []).map((tag) => [
+    readAttribute(tag, 'id'),
+    { href: readAttribute(tag, 'href'), properties: readAttribute(tag, 'properties') || '' },
+  ]));
+
+  const chapters = (opf.match(/<itemref\b[^>]*>/gi) || [])
+    .map((tag) => manifest.get(readAttribute(tag, 'idref')))
+    // Skip the navigation document; its table of contents would duplicate chapter titles
+    .filter((item) => item?.href && !item.properties.includes('nav'))
+    .map((item, index) => {
+      const href = decodeURIComponent(item.href.split('#')[0]);
+      const xhtml = read(baseDir === '.' ? href : path.posix.join(baseDir, href));
+      const text = htmlToText(xhtml);
+      if (!text) return null;
+      if (/^#{1,6} /.test(text)) return text.replace(/^#{1,6} /, '# ');
+      const title = xhtml.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+      return `# ${title ? decodeEntities(title).trim() : `Chapter ${index + 1}`}\n\n${text}`;
+    })
+    .filter(Boolean);
+
+  return [{
+    content: chapters.join('\n\n'),
+    metadata: {
+      author: readDublinCore(opf, 'creator'),
+      work: readDublinCore(opf, 'title'),
+    },
+  }];
+};
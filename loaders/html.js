@@ -0,0 +1,83 @@
+/**
+ * @fileoverview HTML loader (.html, .htm), also used for EPUB chapters.
+ * Converts markup to clean text: scripts, styles and navigation are dropped,
+ * headings become Markdown headings (so the chunker splits on them) and block
+ * elements become line breaks. Metadata comes from <title> and <meta> tags.
+ */
+
+/**
+ * @constant {Object} NAMED_ENTITIES - Named character references decoded by decodeEntities
+ */
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', shy: '',
+};
+
+/**
+ * Decode HTML character references.
+ *
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Convert an HTML fragment or document to clean text.
+ *
+ * @param {string} html - HTML source
+ * @returns {string} Text with headings as "## Heading" lines and paragraphs separated by blank lines
+ */
+export const htmlToText = (html) => decodeEntities(html
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<(script|style|nav|head|svg)\b[\s\S]*?<\/\1>/gi, '')
+  .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, title) =>
+    `\n\n${'#'.repeat(Number(level))} ${title.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/?(p|div|section|article|blockquote|li|ul|ol|tr|table|pre|figure|header|footer)\b[^>]*>/gi, '\n\n')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/[ \t\u00a0]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Read the content attribute of a <meta name="..."> tag.
+ *
+ * @param {string} html - HTML source
+ * @param {string} name - Meta name
+ * @returns {string|undefined} Decoded content
+ */
+const readMeta = (html, name) => {
+  const tag = html.match(new RegExp(`<meta\\b[^>]*\\bname=["']${name}["'][^>]*>`, 'i'))?.[0];
+  const content = tag?.match(/\bcontent=(["'])([\s\S]*?)\1/i)?.[2];
+  return content === undefined ? undefined : decodeEntities(content).trim();
+};
+
+/**
+ * Load an HTML file. Recognized meta names: author, work, chapter and personas
+ * (comma-separated persona slugs).
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} One document ({ content, metadata })
+ */
+export const loadHTML = (buffer) => {
+  const html = buffer.toString('utf-8');
+  const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  const personas = readMeta(html, 'personas');
+  return [{
+    content: htmlToText(html),
+    metadata: {
+      author: readMeta(html, 'author'),
+      work: readMeta(html, 'work') ?? (title && decodeEntities(title).trim()),
+      chapter: readMeta(html, 'chapter'),
+      personas: personas?.split(',').map((slug) => slug.trim()).filter(Boolean),
+    },
+  }];
+};
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Knowledge document loader registry for the WisdomAI application.
+ * Maps file extensions to loaders that extract clean text and metadata, and
+ * walks the knowledge directory (including subdirectories) to load every
+ * supported file. Used by both generateEmbeddings.js and utils/knowledge.js.
+ *
+ * Supported formats: .txt, .md/.markdown (front-matter), .html/.htm, .epub and
+ * .jsonl (attributed quotes). Other files are ignored.
+ *
+ * Metadata set through the admin API is kept next to the file, in
+ * "<file>.meta.json", and takes precedence over what the loader extracts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadText } from './text.js';
+import { loadMarkdown } from './markdown.js';
+import { loadHTML } from './html.js';
+import { loadEPUB } from './epub.js';
+import { loadJSONL } from './jsonl.js';
+
+/**
+ * @typedef {Object} KnowledgeDocument
+ * @property {string} fileName - Document name: the file's path relative to the knowledge
+ *   directory ("stoics/enchiridion.md"), plus "#group" for files that yield several documents
+ * @property {string} content - Clean document text; Markdown-style headings mark sections
+ * @property {Object} metadata - Descriptive fields, each present only when known
+ * @property {string} [metadata.author] - Author of the text
+ * @property {string} [metadata.work] - Title of the work
+ * @property {string} [metadata.chapter] - Chapter or part the document covers
+ * @property {Array<string>} [metadata.personas] - Slugs of personas whose retrieval scope includes the document
+ * @property {string} sourcePath - Absolute path of the file the document was loaded from
+ */
+
+/**
+ * @typedef {function(Buffer, {fileName: string}): Array<{content: string, metadata: Object, fileName?: string}>} Loader
+ * A loader turns file contents into one or more documents. Documents without a
+ * fileName take the file's relative path.
+ */
+
+/**
+ * @type {Map<string, Loader>} loaders - Loaders keyed by lowercase file extension
+ */
+const loaders = new Map([
+  ['.txt', loadText],
+  ['.md', loadMarkdown],
+  ['.markdown', loadMarkdown],
+  ['.html', loadHTML],
+  ['.htm', loadHTML],
+  ['.epub', loadEPUB],
+  ['.jsonl', loadJSONL],
+]);
+
+/**
+ * @constant {string} METADATA_SUFFIX - Suffix of the metadata file kept next to a document
+ */
+const METADATA_SUFFIX = '.meta.json';
+
+/**
+ * Register a loader for a file extension, replacing any existing one.
+ *
+ * @param {string} extension - Extension including the dot, e.g. ".rst"
+ * @param {Loader} loader - Loader function
+ */
+export const registerLoader = (extension, loader) => {
+  loaders.set(extension.toLowerCase(), loader);
+};
+
+/**
+ * Check whether a file has a registered loader.
+ *
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True if the file can be loaded
+ */
+export const isSupportedFile = (fileName) => loaders.has(path.extname(fileName).toLowerCase());
+
+/**
+ * Keep the known metadata fields, dropping empty values and normalizing
+ * persona tags to lowercase slugs.
+ *
+ * @param {Object} [raw={}] - Metadata from a loader
+ * @returns {Object} Normalized metadata
+ */
+const normalizeMetadata = (raw = {}) => {
+  const personas = [].concat(raw.personas ?? raw.persona ?? [])
+    .map((slug) => String(slug).trim().toLowerCase())
+    .filter(Boolean);
+  const metadata = {
+    author: raw.author,
+    work: raw.work ?? raw.title ?? raw.book,
+    chapter: raw.chapter,
+    personas: personas.length ? [...new Set(personas)] : undefined,
+  };
+  return Object.fromEntries(Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => [key, Array.isArray(value) ? value : String(value)]));
+};
+
+/**
+ * Path of the metadata file kept next to a document.
+ *
+ * @param {string} filePath - Path of the document file
+ * @returns {string} Path of its metadata file
+ */
+export const metadataPath = (filePath) => `${filePath}${METADATA_SUFFIX}`;
+
+/**
+ * Read the metadata file kept next to a document, if there is one.
+ *
+ * @param {string} filePath - Path of the document file
+ * @returns {Object} Metadata (empty if there is no metadata file)
+ * @throws {Error} If the metadata file is not valid JSON
+ */
+export const readMetadataFile = (filePath) => {
+  const file = metadataPath(filePath);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+};
+
+/**
+ * Parse file contents with the loader for its extension.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - File path relative to the knowledge directory ("stoics/enchiridion.md")
+ * @param {Object} [options]
+ * @param {string} [options.sourcePath] - Absolute path the file is stored at
+ * @param {Object} [options.metadata] - Metadata overriding what the loader extracts
+ * @returns {Array<KnowledgeDocument>} Documents (empty if the extension is not supported)
+ * @throws {Error} If the contents cannot be parsed
+ */
+export const loadBuffer = (buffer, fileName, { sourcePath, metadata = {} } = {}) => {
+  const loader = loaders.get(path.extname(fileName).toLowerCase());
+  if (!loader) return [];
+
+  return loader(buffer, { fileName })
+    .filter((document) => document.content.trim() !== '')
+    .map((document) => ({
+      fileName: document.fileName || fileName,
+      content: document.content,
+      metadata: normalizeMetadata({ ...document.metadata, ...metadata }),
+      sourcePath,
+    }));
+};
+
+/**
+ * Load the documents in one file.
+ *
+ * @param {string} filePath - Path of the file
+ * @param {string} root - Knowledge directory the document names are relative to
+ * @returns {Array<KnowledgeDocument>} Documents (empty if the extension is not supported)
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export const loadFile = (filePath, root) => {
+  if (!isSupportedFile(filePath)) return [];
+
+  const fileName = path.relative(root, filePath).split(path.sep).join('/');
+  return loadBuffer(fs.readFileSync(filePath), fileName, {
+    sourcePath: path.resolve(filePath),
+    metadata: readMetadataFile(filePath),
+  });
+};
+
+/**
+ * Load every supported file under a directory, including subdirectories.
+ * Hidden files and directories are skipped. A file that fails to load is
+ * logged and skipped so one bad EPUB cannot take down the knowledge base.
+ *
+ * @param {string} directory - Knowledge directory
+ * @returns {Array<KnowledgeDocument>} Documents, ordered by path
+ * @throws {Error} If the directory cannot be read
+ *
+ * @example
+ * const documents = loadDocuments('./knowledge');
+ * console.log(documents[0].fileName); // 'buddha.txt'
+ * console.log(documents[0].metadata); // {}
+ */
+export const loadDocuments = (directory) => {
+  const root = path.resolve(directory);
+  const documents = [];
+
+  const walk = (current) => {
+    const entries = fs.readdirSync(current, { withFileTypes: true })
+      .filter((entry) => !entry.name.startsWith('.'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile() && isSupportedFile(entry.name)) {
+        try {
+          documents.push(...loadFile(entryPath, root));
+        } catch (error) {
+          console.error(`Error loading knowledge file ${path.relative(root, entryPath)}:`, error.message);
+        }
+      }
+    }
+  };
+
+  walk(root);
+  return documents;
+};
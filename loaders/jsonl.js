@@ -0,0 +1,74 @@
+/**
+ * @fileoverview JSONL quotes loader (.jsonl).
+ * Each line is one attributed quote:
+ *
+ * {"text": "Waste no more time arguing...", "author": "Marcus Aurelius", "work": "Meditations",
+ *  "chapter": "Book 10", "personas": ["marcus-aurelius"]}
+ *
+ * Quotes are grouped into one document per author (fileName "quotes.jsonl#marcus-aurelius"),
+ * so each author's quotes carry their own metadata and persona tags. Every quote
+ * becomes a paragraph followed by its attribution line.
+ */
+
+/**
+ * Turn an author name into a document name suffix.
+ *
+ * @param {string} author - Author name
+ * @returns {string} Lowercase, dash-separated slug
+ */
+const slugify = (author) => author
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '') || 'unknown';
+
+/**
+ * Load a JSONL file of quotes. Malformed lines and lines without text are
+ * skipped with a warning rather than failing the whole file.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} context
+ * @param {string} context.fileName - Path of the file relative to the knowledge directory
+ * @returns {Array<Object>} One document per author ({ fileName, content, metadata })
+ */
+export const loadJSONL = (buffer, { fileName }) => {
+  const groups = new Map();
+
+  buffer.toString('utf-8').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let quote;
+    try {
+      quote = JSON.parse(line);
+    } catch (error) {
+      console.warn(`Skipping malformed line ${index + 1} of ${fileName}: ${error.message}`);
+      return;
+    }
+    const text = String(quote.text ?? quote.quote ?? '').trim();
+    if (!text) {
+      console.warn(`Skipping line ${index + 1} of ${fileName}: no quote text`);
+      return;
+    }
+
+    const author = String(quote.author || 'Unknown').trim();
+    if (!groups.has(author)) groups.set(author, { quotes: [], works: new Set(), personas: new Set() });
+    const group = groups.get(author);
+
+    const work = quote.work ?? quote.source;
+    const attribution = [author, work, quote.chapter].filter(Boolean).join(', ');
+    group.quotes.push(`"${text}"\n— ${attribution}`);
+    if (work) group.works.add(String(work));
+    [].concat(quote.personas ?? quote.persona ?? []).forEach((slug) => group.personas.add(String(slug)));
+  });
+
+  return [...groups].map(([author, { quotes, works, personas }]) => ({
+    fileName: `${fileName}#${slugify(author)}`,
+    content: quotes.join('\n\n'),
+    metadata: {
+      author,
+      // A single work can describe the whole group; mixed works stay on each quote's attribution line
+      work: works.size === 1 ? [...works][0] : undefined,
+      personas: [...personas],
+    },
+  }));
+};
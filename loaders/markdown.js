@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Markdown loader (.md, .markdown).
+ * Reads YAML-style front-matter for metadata and strips inline formatting,
+ * keeping headings so the chunker can split passages by section.
+ *
+ * Example:
+ * ---
+ * author: Epictetus
+ * work: Enchiridion
+ * personas: [epictetus, marcus-aurelius]
+ * ---
+ * ## Chapter 1
+ * Some things are within our power, while others are not...
+ */
+
+/**
+ * Parse a front-matter scalar or inline list value.
+ *
+ * @param {string} raw - Text after "key:"
+ * @returns {string|Array<string>} Parsed value
+ */
+const parseValue = (raw) => {
+  const value = raw.trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(parseValue).filter((item) => item !== '');
+  }
+  return value.replace(/^(["'])(.*)\1$/, '$2');
+};
+
+/**
+ * Parse the subset of YAML used in front-matter: `key: value`, inline lists
+ * (`key: [a, b]`) and block lists (`key:` followed by `- item` lines).
+ *
+ * @param {string} block - Front-matter text between the --- fences
+ * @returns {Object} Parsed fields
+ */
+export const parseFrontMatter = (block) => {
+  const fields = {};
+  let listKey = null;
+  block.split(/\r?\n/).forEach((line) => {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      fields[listKey].push(parseValue(item[1]));
+      return;
+    }
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) return;
+    const [, key, value] = pair;
+    if (value.trim() === '') {
+      fields[key] = [];
+      listKey = key;
+    } else {
+      fields[key] = parseValue(value);
+      listKey = null;
+    }
+  });
+  return fields;
+};
+
+/**
+ * Remove inline Markdown syntax, keeping the readable text and heading lines.
+ *
+ * @param {string} markdown - Markdown body
+ * @returns {string} Clean text
+ */
+export const stripMarkdown = (markdown) => markdown
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/^(`{3,}|~{3,}).*$/gm, '')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/^\s{0,3}>\s?/gm, '')
+  .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Load a Markdown file.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} One document ({ content, metadata })
+ */
+export const loadMarkdown = (buffer) => {
+  const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  const frontMatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  return [{
+    content: stripMarkdown(frontMatter ? text.slice(frontMatter[0].length) : text),
+    metadata: frontMatter ? parseFrontMatter(frontMatter[1]) : {},
+  }];
+};
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Plain text loader (.txt). The persona sheets in knowledge/ use
+ * this format; their text is used as-is.
+ */
+
+/**
+ * Load a plain text file.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} One document ({ content, metadata })
+ */
+export const loadText = (buffer) => [{ content: buffer.toString('utf-8'), metadata: {} }];
@@ -117,4 +117,31 @@ const checkQueryLimit = async (req, res, next) => {
   }
 };
 
-export { protect, checkQueryLimit }; 
\ No newline at end of file
+/**
+ * Middleware to restrict routes to administrators.
+ * Must run after `protect` so that req.user is populated.
+ * 
+ * @middleware
+ * @function requireAdmin
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object (attached by protect middleware)
+ * @param {string} req.user.role - User's role
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * 
+ * @throws {Object} 403 - Forbidden (user is not an admin)
+ * 
+ * @example
+ * router.post('/admin-route', protect, requireAdmin, (req, res) => {
+ *   // Handle admin-only request
+ * });
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+export { protect, checkQueryLimit, requireAdmin }; 
\ No newline at end of file
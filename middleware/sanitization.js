@@ -5,6 +5,7 @@
  */
 
 import { body, query, validationResult } from 'express-validator';
+import { isKnownPersona } from '../utils/personas.js';
 
 /**
  * Helper function to handle express-validator validation results.
@@ -35,7 +36,7 @@ export const handleValidationErrors = (req, res, next) => {
  * 
  * @validates
  * - message: Required, string, max 1000 chars, trimmed, escaped
- * - wisdomFigure: Required, must be one of the valid options
+ * - wisdomFigure: Required, must be the name or slug of an enabled persona
  * 
  * @example
  * router.get('/chat', sanitizeChatRequest, (req, res) => {
@@ -57,8 +58,12 @@ export const sanitizeChatRequest = [
     .trim()
     .notEmpty()
     .withMessage('Wisdom figure is required')
-    .isIn(['Buddha', 'Jesus', 'Epictetus', 'Vonnegut', 'Laozi', 'Rumi', 'Sagan', 'Twain', 'Kooi'])
-    .withMessage('Invalid wisdom figure selected')
+    .custom(async (value) => {
+      if (!(await isKnownPersona(value))) {
+        throw new Error('Invalid wisdom figure selected');
+      }
+      return true;
+    })
     .escape(),
 
   handleValidationErrors
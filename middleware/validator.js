@@ -35,26 +35,45 @@ import { validationResult } from 'express-validator';
  */
 export const validate = (validations) => {
   return async (req, res, next) => {
-    // Run all validations
-    await Promise.all(validations.map(validation => validation.run(req)));
-
-    // Get validation errors
-    const errors = validationResult(req);
-    if (errors.isEmpty()) {
+    const formattedErrors = await runValidations(validations, req);
+    if (!formattedErrors) {
       return next();
     }
 
-    // Format errors for consistent response
-    const formattedErrors = errors.array().map(err => ({
-      field: err.param,
-      message: err.msg,
-      value: err.value
-    }));
-
     // Return validation errors
     return res.status(400).json({
       success: false,
       errors: formattedErrors
     });
   };
+};
+
+/**
+ * Run validation chains against a request-like object, outside the middleware
+ * chain (e.g. for WebSocket messages, validated as `{ body: payload }`).
+ * Sanitizers update the object in place.
+ *
+ * @param {Array<Object>} validations - Array of express-validator validation chains
+ * @param {Object} req - Request, or an object with the validated locations (body, query, params)
+ * @returns {Promise<Array<Object>|null>} Formatted errors { field, message, value }, or null if valid
+ *
+ * @example
+ * const errors = await runValidations(chatStreamBodyValidator, { body: payload });
+ */
+export const runValidations = async (validations, req) => {
+  // Run all validations
+  await Promise.all(validations.map(validation => validation.run(req)));
+
+  // Get validation errors
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return null;
+  }
+
+  // Format errors for consistent response
+  return errors.array().map(err => ({
+    field: err.param,
+    message: err.msg,
+    value: err.value
+  }));
 }; 
\ No newline at end of file
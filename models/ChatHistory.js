@@ -1,6 +1,22 @@
 import mongoose from 'mongoose';
+import { isKnownPersona } from '../utils/personas.js';
+
+// Knowledge base passage an assistant reply was grounded on
+const sourceSchema = new mongoose.Schema({
+  fileName: { type: String, required: true },
+  section: { type: String, default: null },
+  offset: { type: Number },
+  author: { type: String },
+  work: { type: String },
+  score: { type: Number }
+}, { _id: false });
 
 const messageSchema = new mongoose.Schema({
+  // Message this one follows (null for the first message of a branch); messages
+  // saved before branching have none and follow the previous message in the array
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   role: {
     type: String,
     enum: ['user', 'assistant'],
@@ -12,15 +28,49 @@ const messageSchema = new mongoose.Schema({
   },
   figure: {
     type: String,
-    enum: ['Buddha', 'Jesus', 'Epictetus', 'Vonnegut', 'Laozi', 'Rumi', 'Sagan', 'Twain', 'Kooi'],
+    validate: {
+      // Disabled personas stay valid so existing history can still be saved
+      validator: (value) => isKnownPersona(value, { includeDisabled: true }),
+      message: (props) => `${props.value} is not a known wisdom figure`
+    },
     required: function() { return this.role === 'assistant'; }
   },
+  // Persona prompt version (see PersonaVersion) that produced an assistant reply
+  personaVersion: {
+    type: Number,
+    min: 1
+  },
+  // Knowledge passages retrieved as context for an assistant reply
+  sources: [sourceSchema],
+  // How an assistant reply ended: 'stopped' when the user cancelled or disconnected,
+  // 'failed' when the provider failed mid-reply; both keep the partial text
+  status: {
+    type: String,
+    enum: ['completed', 'stopped', 'failed'],
+    default: 'completed'
+  },
   timestamp: {
     type: Date,
     default: Date.now
   }
 });
 
+const branchSummarySchema = new mongoose.Schema({
+  // Last message the summary covers
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const chatHistorySchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -34,8 +84,28 @@ const chatHistorySchema = new mongoose.Schema({
     default: 'New Chat'
   },
   messages: [messageSchema],
+  // Last message of the branch being shown and continued (see utils/chatTree.js);
+  // unset means the last message in the array
+  activeMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   lastMessage: {
     type: String
+  },
+  // Running summaries of the start of branches, sent to the model in place of the
+  // messages they cover once a thread outgrows its prompt budget. Each covers the
+  // path from the root up to and including messageId, so it applies to every
+  // branch through that message (see utils/promptBuilder.js)
+  summaries: [branchSummarySchema],
+  // Summary of the first summarizedCount messages, written before branching
+  summary: {
+    type: String,
+    default: ''
+  },
+  summarizedCount: {
+    type: Number,
+    default: 0
   }
 }, { 
   timestamps: true 
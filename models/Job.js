@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Background job model for the WisdomAI application.
+ * Work that does not have to finish before a response is sent (memory updates,
+ * chat titles, knowledge re-embedding) is stored here and picked up by the job
+ * workers in utils/jobQueue.js, so it survives restarts and can be retried.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @constant {number} COMPLETED_JOB_TTL_SECONDS - How long completed jobs are kept for inspection
+ */
+const COMPLETED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Job Schema
+ * @type {mongoose.Schema}
+ */
+const jobSchema = new mongoose.Schema({
+  /**
+   * Job type, selecting the handler that runs it (e.g. "memory-update")
+   * @type {string}
+   */
+  type: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  /**
+   * Handler input
+   * @type {Object}
+   */
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  /**
+   * Lifecycle state. Failed jobs are retried until maxAttempts, then stay
+   * 'failed' for inspection.
+   * @type {string}
+   */
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending',
+  },
+  /**
+   * While pending, at most one job holds a given key; enqueueing again with the
+   * key updates that job instead of adding another. Cleared once the job starts.
+   * @type {string}
+   */
+  dedupeKey: {
+    type: String,
+  },
+  /**
+   * Earliest time the job may run
+   * @type {Date}
+   */
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  /**
+   * Number of times the job has been started
+   * @type {number}
+   */
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  /**
+   * Attempts allowed before the job is marked failed
+   * @type {number}
+   */
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1,
+  },
+  /**
+   * When the current attempt started; running jobs locked for too long are
+   * assumed to belong to a crashed worker and are picked up again
+   * @type {Date}
+   */
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  /**
+   * Worker running the job
+   * @type {string}
+   */
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  /**
+   * Message of the most recent failure
+   * @type {string}
+   */
+  lastError: {
+    type: String,
+    default: null,
+  },
+  /**
+   * Handler result
+   * @type {Object}
+   */
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  /**
+   * When the job completed; completed jobs expire after COMPLETED_JOB_TTL_SECONDS
+   * @type {Date}
+   */
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Workers claim the oldest due job
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ dedupeKey: 1 }, {
+  unique: true,
+  partialFilterExpression: { status: 'pending', dedupeKey: { $exists: true } },
+});
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: COMPLETED_JOB_TTL_SECONDS });
+
+export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Knowledge passage model for the WisdomAI application.
+ * Stores embedded knowledge passages for the MongoDB vector store, which
+ * searches them with Atlas Vector Search.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Knowledge Passage Schema
+ * @type {mongoose.Schema}
+ */
+const knowledgePassageSchema = new mongoose.Schema({
+  /**
+   * Passage ID from ingestion ("file.txt#3")
+   * @type {string}
+   */
+  passageId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  /**
+   * Source file of the passage
+   * @type {string}
+   */
+  fileName: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  /**
+   * Heading the passage falls under
+   * @type {string}
+   */
+  section: {
+    type: String,
+    default: null,
+  },
+  /**
+   * Character offset of the passage in its file
+   * @type {number}
+   */
+  offset: {
+    type: Number,
+    default: 0,
+  },
+  /**
+   * Passage length in characters
+   * @type {number}
+   */
+  length: {
+    type: Number,
+    default: 0,
+  },
+  /**
+   * Passage text
+   * @type {string}
+   */
+  content: {
+    type: String,
+    required: true,
+  },
+  /**
+   * Document metadata (author, work, chapter, personas)
+   * @type {Object}
+   */
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  /**
+   * Content hash of the embedded text; unchanged passages are not rewritten on sync
+   * @type {string}
+   */
+  hash: {
+    type: String,
+    required: true,
+  },
+  /**
+   * Vector embedding of the passage
+   * @type {Array<number>}
+   */
+  embedding: {
+    type: [Number],
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+export default mongoose.model('KnowledgePassage', knowledgePassageSchema);
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Persona model for the WisdomAI application.
+ * Stores the wisdom figures users can talk to, including the system prompt,
+ * response style settings and the knowledge files each figure draws from.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Persona Schema
+ * @type {mongoose.Schema}
+ */
+const personaSchema = new mongoose.Schema({
+  /**
+   * Display name of the wisdom figure, also accepted as `wisdomFigure` in chat requests
+   * @type {string}
+   */
+  name: {
+    type: String,
+    required: [true, 'Persona name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Persona name must be at most 50 characters long'],
+  },
+  /**
+   * URL-safe identifier, e.g. "marcus-aurelius"
+   * @type {string}
+   */
+  slug: {
+    type: String,
+    required: [true, 'Persona slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes'],
+  },
+  /**
+   * Short description shown to users when picking a figure
+   * @type {string}
+   */
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  /**
+   * System prompt that establishes the figure's voice
+   * @type {string}
+   */
+  systemPrompt: {
+    type: String,
+    required: [true, 'System prompt is required'],
+  },
+  /**
+   * Generation settings for this figure. Unset values fall back to model defaults.
+   * @type {Object}
+   */
+  style: {
+    temperature: { type: Number, min: 0, max: 2, default: null },
+    maxTokens: { type: Number, min: 1, default: null },
+  },
+  /**
+   * Knowledge base files (relative to KNOWLEDGE_DIR) bound to this figure
+   * @type {Array<string>}
+   */
+  knowledgeFiles: [{
+    type: String,
+    trim: true,
+  }],
+  /**
+   * How knowledge retrieval is scoped for this figure:
+   * 'own' searches only knowledgeFiles; 'cross' searches every figure's
+   * sources, ranking the figure's own passages first
+   * @type {string}
+   */
+  retrievalMode: {
+    type: String,
+    enum: ['own', 'cross'],
+    default: 'own',
+  },
+  /**
+   * Whether users can currently chat with this figure
+   * @type {boolean}
+   */
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  /**
+   * Version number of the prompt currently in effect (see PersonaVersion)
+   * @type {number}
+   */
+  currentVersion: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  /**
+   * Position in persona listings (ascending)
+   * @type {number}
+   */
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+export default mongoose.model('Persona', personaSchema);
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Persona version model for the WisdomAI application.
+ * Every change to a persona's system prompt or style settings is recorded as an
+ * immutable version, so replies can be traced back to the exact prompt that
+ * produced them and earlier prompts can be restored.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Persona Version Schema
+ * @type {mongoose.Schema}
+ */
+const personaVersionSchema = new mongoose.Schema({
+  /**
+   * Reference to the persona this version belongs to
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  persona: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Persona',
+    required: true,
+  },
+  /**
+   * Sequential version number, starting at 1 for each persona
+   * @type {number}
+   */
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  /**
+   * System prompt in effect for this version
+   * @type {string}
+   */
+  systemPrompt: {
+    type: String,
+    required: true,
+  },
+  /**
+   * Style settings in effect for this version
+   * @type {Object}
+   */
+  style: {
+    temperature: { type: Number, default: null },
+    maxTokens: { type: Number, default: null },
+  },
+  /**
+   * User who made the change (null for seeded defaults)
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  /**
+   * Optional description of why the prompt changed
+   * @type {string}
+   */
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  /**
+   * Version number this one was restored from, if it was created by a rollback
+   * @type {number}
+   */
+  rolledBackFrom: {
+    type: Number,
+    default: null,
+  },
+  /**
+   * Version creation timestamp
+   * @type {Date}
+   */
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+personaVersionSchema.index({ persona: 1, version: -1 }, { unique: true });
+
+/**
+ * Reject any attempt to modify a version after it has been written.
+ * @param {Function} next - Mongoose middleware callback
+ */
+function rejectMutation(next) {
+  next(new Error('Persona versions are immutable'));
+}
+
+personaVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+personaVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+
+export default mongoose.model('PersonaVersion', personaVersionSchema);
@@ -53,6 +53,15 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  /**
+   * User's role. Admins can manage personas and other server-wide settings.
+   * @type {string}
+   */
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user',
+  },
   /**
    * Number of queries made by the user today
    * @type {number}
@@ -1,11 +1,72 @@
 import mongoose from 'mongoose';
 
+// A value a fact held before it was superseded or corrected
+const memoryHistorySchema = new mongoose.Schema({
+  value: { type: String },
+  content: { type: String, required: true },
+  confidence: { type: Number },
+  source: { type: String },
+  timestamp: { type: Date },
+  replacedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const memoryItemSchema = new mongoose.Schema({
+  // Structured form of the fact, e.g. subject 'user', attribute 'home city', value 'Seattle'.
+  // Facts sharing a subject and attribute are reconciled instead of accumulating.
+  subject: { type: String, default: 'user' },
+  attribute: { type: String },
+  value: { type: String },
+  // The fact as a sentence, as injected into prompts
   content: { type: String, required: true },
+  // 'fact' marks items the user entered or corrected themselves; extraction never overwrites them
   source: { type: String, enum: ['observation', 'fact', 'preference'] },
-  timestamp: { type: Date, default: Date.now }
+  // How sure we are the fact holds; observations decay from here until confirmed again
+  confidence: { type: Number, min: 0, max: 1, default: 1 },
+  // Embedding of the content, used to inject only facts relevant to the current message
+  embedding: { type: [Number], default: undefined },
+  // When the fact was added or last confirmed
+  timestamp: { type: Date, default: Date.now },
+  // Earlier values, oldest first
+  history: { type: [memoryHistorySchema], default: [] }
 });
 
+// What the user and one wisdom figure talked about
+const relationshipTopicSchema = new mongoose.Schema({
+  topic: { type: String, required: true },
+  // Number of conversation batches in which the topic came up
+  count: { type: Number, default: 1 },
+  firstDiscussed: { type: Date, default: Date.now },
+  lastDiscussed: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Advice a figure gave, summarized in a sentence
+const relationshipAdviceSchema = new mongoose.Schema({
+  content: { type: String, required: true },
+  givenAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A practice a figure suggested and what the user later said about it
+const relationshipPracticeSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String },
+  // 'suggested' until the user reports trying it; the figure follows up on these
+  status: { type: String, enum: ['suggested', 'tried', 'helped', 'not_helpful', 'abandoned'], default: 'suggested' },
+  userReport: { type: String },
+  // Null when the user reported on a practice the figure never recorded suggesting
+  suggestedAt: { type: Date, default: Date.now },
+  reportedAt: { type: Date }
+}, { _id: false });
+
+// Relationship state one wisdom figure keeps with the user; injected only when talking to that figure
+const relationshipSchema = new mongoose.Schema({
+  // Persona slug, e.g. 'marcus-aurelius'
+  figure: { type: String, required: true },
+  topics: { type: [relationshipTopicSchema], default: [] },
+  advice: { type: [relationshipAdviceSchema], default: [] },
+  practices: { type: [relationshipPracticeSchema], default: [] },
+  lastConversationAt: { type: Date }
+}, { _id: false });
+
 const userMemorySchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,7 +76,17 @@ const userMemorySchema = new mongoose.Schema({
   },
   personalFacts: [memoryItemSchema],
   preferences: { type: Map, of: String },
+  // Preference keys the user set themselves; extraction leaves them untouched
+  pinnedPreferences: { type: [String], default: [] },
+  // When true, conversations no longer update facts, preferences or the summary
+  paused: { type: Boolean, default: false },
+  // Embedding model that produced the fact embeddings
+  embeddingModel: { type: String },
   conversationSummary: { type: String },
+  // One entry per wisdom figure the user has talked to
+  relationships: { type: [relationshipSchema], default: [] },
+  // User messages processed by memory updates; drives how often the summary is refreshed
+  messageCount: { type: Number, default: 0 },
   lastUpdated: { type: Date, default: Date.now }
 });
 
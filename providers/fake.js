@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Deterministic fake LLM provider.
+ * Produces repeatable replies and embeddings without any network access, so
+ * the backend can run offline and in integration tests without API credits.
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ *
+ * @param {string} text - Input text
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+/**
+ * Split text into lowercase word tokens.
+ *
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+/**
+ * Rough token count used for fake usage reporting.
+ *
+ * @param {string} text - Input text
+ * @returns {number} Number of word tokens
+ */
+const countTokens = (text) => tokenize(text).length;
+
+/**
+ * Embed text by hashing each token into a fixed number of buckets
+ * ("feature hashing"). Texts that share words get similar vectors, which keeps
+ * retrieval meaningful in tests.
+ *
+ * @param {string} text - Input text
+ * @param {number} dimensions - Vector length
+ * @returns {Array<number>} Unit-length vector
+ */
+const embedText = (text, dimensions) => {
+  const vector = new Array(dimensions).fill(0);
+  for (const token of tokenize(text)) {
+    const h = hash(token);
+    vector[h % dimensions] += (h & 0x80000000) ? -1 : 1;
+  }
+  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+  // A zero vector would make cosine similarity NaN
+  if (magnitude === 0) {
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map((val) => val / magnitude);
+};
+
+/**
+ * Build the deterministic reply for a conversation: the first sentence of the
+ * system prompt (which names the persona) followed by an echo of the last
+ * user message.
+ *
+ * @param {Array<Object>} messages - Chat messages ({ role, content })
+ * @returns {string} Reply text
+ */
+const buildReply = (messages) => {
+  const system = messages.find((msg) => msg.role === 'system')?.content || '';
+  const lastUser = [...messages].reverse().find((msg) => msg.role === 'user')?.content || '';
+  const persona = system.split(/(?<=\.)\s/)[0].trim();
+  return `${persona ? `${persona} ` : ''}You asked: "${lastUser.trim()}". This is a deterministic reply from the fake provider.`;
+};
+
+/**
+ * Create the fake provider.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.chatModel='fake-chat'] - Reported chat model name
+ * @param {string} [options.embeddingModel='fake-embedding'] - Reported embedding model name
+ * @param {number} [options.dimensions=1536] - Embedding vector length
+ * @returns {Object} LLM provider
+ */
+export const createFakeProvider = ({
+  chatModel = 'fake-chat',
+  embeddingModel = 'fake-embedding',
+  dimensions = 1536,
+} = {}) => {
+  const usageFor = (messages, reply) => ({
+    promptTokens: messages.reduce((sum, msg) => sum + countTokens(msg.content), 0),
+    completionTokens: countTokens(reply),
+  });
+
+  return {
+    name: 'fake',
+    chatModel,
+    embeddingModel,
+
+    async complete({ messages, maxTokens }) {
+      let content = buildReply(messages);
+      let finishReason = 'stop';
+      if (maxTokens != null && countTokens(content) > maxTokens) {
+        content = content.split(' ').slice(0, maxTokens).join(' ');
+        finishReason = 'length';
+      }
+      return { content, finishReason, usage: usageFor(messages, content) };
+    },
+
+    async *stream(request) {
+      const { content, finishReason, usage } = await this.complete(request);
+      const words = content.split(' ');
+      for (let i = 0; i < words.length; i++) {
+        if (request.signal?.aborted) {
+          const error = new Error('Request was aborted.');
+          error.name = 'AbortError';
+          throw error;
+        }
+        yield { content: i === 0 ? words[i] : ` ${words[i]}`, finishReason: null, usage: null };
+      }
+      yield { content: '', finishReason, usage };
+    },
+
+    async embed(input) {
+      const inputs = Array.isArray(input) ? input : [input];
+      return inputs.map((text) => embedText(text, dimensions));
+    },
+  };
+};
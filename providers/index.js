@@ -0,0 +1,107 @@
+/**
+ * @fileoverview LLM provider registry for the WisdomAI application.
+ * Chooses the chat/embedding backend from configuration so the rest of the
+ * code never instantiates an SDK client or hardcodes a model name.
+ *
+ * Configuration (environment variables):
+ * - LLM_PROVIDER: "openai" (default), "local" or "fake" ("fake" by default when NODE_ENV=test)
+ * - LLM_CHAT_MODEL / LLM_EMBEDDING_MODEL: override the provider's default models
+ * - LOCAL_LLM_BASE_URL / LOCAL_LLM_API_KEY: OpenAI-compatible server for "local"
+ * - FAKE_EMBEDDING_DIMENSIONS: vector length produced by "fake"
+ */
+
+import { createOpenAIProvider } from './openai.js';
+import { createLocalProvider } from './local.js';
+import { createFakeProvider } from './fake.js';
+
+/**
+ * @typedef {Object} ChatRequest
+ * @property {Array<{role: string, content: string}>} messages - Conversation including the system message
+ * @property {string} [model] - Override the provider's default chat model
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [maxTokens] - Maximum completion tokens
+ * @property {AbortSignal} [signal] - Aborts the upstream request
+ */
+
+/**
+ * @typedef {Object} ChatChunk
+ * @property {string} content - Text delta (may be empty)
+ * @property {string|null} finishReason - Set on the final chunk, e.g. "stop" or "length"
+ * @property {{promptTokens: number, completionTokens: number}|null} usage - Token usage, when reported
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name ("openai", "local", "fake")
+ * @property {string} chatModel - Default chat model
+ * @property {string} embeddingModel - Embedding model
+ * @property {function(ChatRequest): Promise<{content: string, finishReason: string|null, usage: Object|null}>} complete - Non-streaming completion
+ * @property {function(ChatRequest): AsyncIterable<ChatChunk>} stream - Streaming completion
+ * @property {function(string|Array<string>): Promise<Array<Array<number>>>} embed - Embed one or more texts
+ */
+
+/**
+ * @constant {Object} providerFactories - Provider constructors keyed by LLM_PROVIDER value
+ */
+const providerFactories = {
+  openai: (env) => createOpenAIProvider({
+    apiKey: env.OPENAI_API_KEY,
+    chatModel: env.LLM_CHAT_MODEL || 'gpt-4',
+    embeddingModel: env.LLM_EMBEDDING_MODEL || 'text-embedding-ada-002',
+  }),
+  local: (env) => createLocalProvider({
+    baseURL: env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: env.LOCAL_LLM_API_KEY,
+    chatModel: env.LLM_CHAT_MODEL || 'llama3',
+    embeddingModel: env.LLM_EMBEDDING_MODEL || 'nomic-embed-text',
+  }),
+  fake: (env) => createFakeProvider({
+    ...(env.LLM_CHAT_MODEL && { chatModel: env.LLM_CHAT_MODEL }),
+    ...(env.LLM_EMBEDDING_MODEL && { embeddingModel: env.LLM_EMBEDDING_MODEL }),
+    ...(env.FAKE_EMBEDDING_DIMENSIONS && { dimensions: parseInt(env.FAKE_EMBEDDING_DIMENSIONS, 10) }),
+  }),
+};
+
+/**
+ * Create a provider from configuration.
+ *
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {LLMProvider} The configured provider
+ * @throws {Error} If LLM_PROVIDER names an unknown provider
+ */
+export const createProvider = (env = process.env) => {
+  const name = (env.LLM_PROVIDER || (env.NODE_ENV === 'test' ? 'fake' : 'openai')).toLowerCase();
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(env);
+};
+
+/**
+ * @type {LLMProvider|null} provider - Lazily created shared provider
+ */
+let provider = null;
+
+/**
+ * Get the shared provider, creating it on first use so that environment
+ * variables loaded by dotenv are picked up.
+ *
+ * @returns {LLMProvider} The configured provider
+ */
+export const getProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+    console.log(`LLM provider: ${provider.name} (chat: ${provider.chatModel}, embeddings: ${provider.embeddingModel})`);
+  }
+  return provider;
+};
+
+/**
+ * Replace the shared provider, e.g. with a fake in integration tests.
+ *
+ * @param {LLMProvider|null} nextProvider - Provider to use, or null to recreate from configuration
+ */
+export const setProvider = (nextProvider) => {
+  provider = nextProvider;
+};
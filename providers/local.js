@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Adapter for local OpenAI-compatible servers such as
+ * llama.cpp (`llama-server`) or Ollama. Reuses the OpenAI adapter with a
+ * different base URL and model defaults.
+ */
+
+import { createOpenAIProvider } from './openai.js';
+
+/**
+ * Create a provider for an OpenAI-compatible server.
+ *
+ * @param {Object} options
+ * @param {string} options.baseURL - Server URL including the /v1 prefix
+ * @param {string} [options.apiKey] - API key, if the server requires one
+ * @param {string} options.chatModel - Chat model name as known to the server
+ * @param {string} options.embeddingModel - Embedding model name as known to the server
+ * @returns {Object} LLM provider
+ */
+export const createLocalProvider = ({ baseURL, apiKey, chatModel, embeddingModel }) => createOpenAIProvider({
+  name: 'local',
+  baseURL,
+  // The SDK refuses to start without a key; local servers ignore it
+  apiKey: apiKey || 'local',
+  chatModel,
+  embeddingModel,
+  // Not every compatible server understands stream_options
+  streamUsage: false,
+});
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview OpenAI adapter for the LLM provider interface.
+ * Also serves any server that implements the OpenAI HTTP API (see local.js).
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Map a provider-neutral request onto OpenAI chat completion parameters.
+ *
+ * @param {string} model - Chat model name
+ * @param {Object} request - Provider-neutral request (see providers/index.js)
+ * @returns {Object} Parameters for openai.chat.completions.create
+ */
+const toCompletionParams = (model, { messages, model: override, temperature, maxTokens }) => ({
+  model: override || model,
+  messages,
+  ...(temperature != null && { temperature }),
+  ...(maxTokens != null && { max_tokens: maxTokens }),
+});
+
+/**
+ * Convert an OpenAI usage object to the provider-neutral shape.
+ *
+ * @param {Object} [usage] - OpenAI usage object
+ * @returns {Object|null} { promptTokens, completionTokens } or null if absent
+ */
+const toUsage = (usage) => (usage
+  ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens }
+  : null);
+
+/**
+ * Create a provider backed by the OpenAI SDK.
+ *
+ * @param {Object} options
+ * @param {string} [options.name='openai'] - Provider name reported to callers
+ * @param {string} options.apiKey - API key sent as the bearer token
+ * @param {string} [options.baseURL] - Override the API base URL (OpenAI-compatible servers)
+ * @param {string} options.chatModel - Default chat completion model
+ * @param {string} options.embeddingModel - Embedding model
+ * @param {boolean} [options.streamUsage=true] - Request token usage on streamed completions
+ * @returns {Object} LLM provider
+ */
+export const createOpenAIProvider = ({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  chatModel,
+  embeddingModel,
+  streamUsage = true,
+}) => {
+  const client = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+
+  return {
+    name,
+    chatModel,
+    embeddingModel,
+
+    async complete(request) {
+      const response = await client.chat.completions.create(
+        toCompletionParams(chatModel, request),
+        { signal: request.signal }
+      );
+      const choice = response.choices[0];
+      return {
+        content: choice?.message?.content || '',
+        finishReason: choice?.finish_reason || null,
+        usage: toUsage(response.usage),
+      };
+    },
+
+    async *stream(request) {
+      const stream = await client.chat.completions.create({
+        ...toCompletionParams(chatModel, request),
+        stream: true,
+        ...(streamUsage && { stream_options: { include_usage: true } }),
+      }, { signal: request.signal });
+
+      for await (const chunk of stream) {
+        const choice = chunk.choices[0];
+        yield {
+          content: choice?.delta?.content || '',
+          finishReason: choice?.finish_reason || null,
+          usage: toUsage(chunk.usage),
+        };
+      }
+    },
+
+    async embed(input) {
+      const response = await client.embeddings.create({
+        model: embeddingModel,
+        input,
+      });
+      return response.data.map((item) => item.embedding);
+    },
+  };
+};
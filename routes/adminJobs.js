@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Background job administration routes for the WisdomAI API.
+ * Shows what the job workers are doing (pending, running, completed and failed
+ * jobs) and lets administrators retry jobs that ran out of attempts.
+ */
+
+import express from 'express';
+import { protect, requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import { listJobsValidator, jobIdValidator } from '../validators/job.validator.js';
+import { listJobs, getJob, getJobStats, retryJob } from '../utils/jobQueue.js';
+
+const router = express.Router();
+
+router.use(protect, requireAdmin);
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List background jobs
+ *     description: >
+ *       Returns the most recent jobs, newest first. Payloads are summarized: arrays
+ *       are reported by length and long text is truncated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, failed]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: memory-update
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: List of jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       attempts:
+ *                         type: integer
+ *                       maxAttempts:
+ *                         type: integer
+ *                       runAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastError:
+ *                         type: string
+ *                         nullable: true
+ *                       result:
+ *                         type: object
+ *                         nullable: true
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', validate(listJobsValidator), async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    res.json({ jobs: await listJobs({ status, type, limit }) });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ message: 'Error listing jobs' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/jobs/stats:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Count background jobs by type and status
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts keyed by job type, then status
+ *         content:
+ *           application/json:
+ *             example:
+ *               stats:
+ *                 memory-update: { pending: 3, completed: 120, failed: 1 }
+ *                 chat-title: { completed: 42 }
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    res.json({ stats: await getJobStats() });
+  } catch (error) {
+    console.error('Error fetching job stats:', error);
+    res.status(500).json({ message: 'Error fetching job stats' });
+  }
+});
+
+/**
+ * Get a single job, e.g. to follow a knowledge upload.
+ *
+ * @route GET /api/admin/jobs/:jobId
+ * @access Admin
+ *
+ * @returns {Object} 200 - The job
+ * @throws {Object} 404 - Job not found
+ */
+router.get('/:jobId', validate(jobIdValidator), async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ message: 'Error fetching job' });
+  }
+});
+
+/**
+ * Requeue a failed job with a fresh set of attempts.
+ *
+ * @route POST /api/admin/jobs/:jobId/retry
+ * @access Admin
+ *
+ * @returns {Object} 200 - The requeued job
+ * @throws {Object} 404 - No failed job with this ID
+ */
+router.post('/:jobId/retry', validate(jobIdValidator), async (req, res) => {
+  try {
+    const job = await retryJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Failed job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ message: 'Error retrying job' });
+  }
+});
+
+export default router;
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Knowledge base administration routes for the WisdomAI API.
+ * Lets administrators upload, replace and delete knowledge documents. Uploads
+ * are embedded by a background job (see utils/jobs.js): changed passages are
+ * re-embedded and swapped into the live index without a restart.
+ *
+ * Documents are named by their path relative to the knowledge directory, so
+ * :fileName may contain slashes ("stoics/enchiridion.md", or URL-encoded).
+ */
+
+import express from 'express';
+import { protect, requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import {
+  documentNameValidator,
+  documentFileValidator,
+  uploadDocumentValidator,
+  replaceDocumentValidator
+} from '../validators/knowledge.validator.js';
+import {
+  listDocuments,
+  getDocument,
+  hasDocumentFile,
+  deleteDocument,
+  reloadKnowledge
+} from '../utils/knowledge.js';
+import { enqueueDocumentEmbedding, cancelDocumentEmbedding, isDocumentEmbeddingActive } from '../utils/jobs.js';
+
+const router = express.Router();
+
+router.use(protect, requireAdmin);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     KnowledgeMetadata:
+ *       description: >
+ *         Descriptive fields of a document, overriding what its loader extracts
+ *         (e.g. Markdown front-matter). Stored next to the file as "<file>.meta.json".
+ *       type: object
+ *       properties:
+ *         author:
+ *           type: string
+ *         work:
+ *           type: string
+ *         chapter:
+ *           type: string
+ *         personas:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Slugs of personas whose retrieval scope includes the document
+ */
+
+/**
+ * @swagger
+ * /api/admin/knowledge:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List knowledge documents
+ *     description: Returns every knowledge document with its size and number of indexed passages.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fileName:
+ *                         type: string
+ *                         description: Path relative to the knowledge directory, plus "#group" for files that yield several documents
+ *                       metadata:
+ *                         type: object
+ *                       size:
+ *                         type: integer
+ *                         description: Size in bytes
+ *                       passages:
+ *                         type: integer
+ *                       updatedAt:
+ *                         type: string
+ *                         format: date-time
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({ documents: listDocuments() });
+  } catch (error) {
+    console.error('Error listing knowledge documents:', error);
+    res.status(500).json({ message: 'Error listing knowledge documents' });
+  }
+});
+
+/**
+ * Reload every document and the embeddings index from disk, e.g. after
+ * running generateEmbeddings.js on the server.
+ *
+ * @route POST /api/admin/knowledge/reload
+ * @access Admin
+ *
+ * @returns {Object} 200 - { documents }
+ */
+router.post('/reload', async (req, res) => {
+  try {
+    await reloadKnowledge();
+    res.json({ documents: listDocuments() });
+  } catch (error) {
+    console.error('Error reloading knowledge base:', error);
+    res.status(500).json({ message: 'Error reloading knowledge base' });
+  }
+});
+
+/**
+ * Get a knowledge document's content.
+ *
+ * @route GET /api/admin/knowledge/:fileName
+ * @access Admin
+ *
+ * @returns {Object} 200 - { fileName, content, metadata }
+ * @throws {Object} 404 - Document not found
+ */
+router.get('/:fileName(*)', validate(documentNameValidator), async (req, res) => {
+  try {
+    const document = getDocument(req.params.fileName);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    res.json(document);
+  } catch (error) {
+    console.error('Error fetching knowledge document:', error);
+    res.status(500).json({ message: 'Error fetching knowledge document' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/knowledge:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Upload a knowledge document
+ *     description: >
+ *       Stores a new document, embeds its passages and makes it available to
+ *       retrieval. Any format with a loader is accepted (.txt, .md, .markdown, .html,
+ *       .htm, .epub, .jsonl) and the name may include subdirectories. Add the file
+ *       name to a persona's knowledgeFiles, or list the persona in metadata.personas,
+ *       to include it in that persona's scope.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileName
+ *               - content
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *                 example: "stoics/seneca_letters.md"
+ *               content:
+ *                 type: string
+ *                 description: File contents; base64-encoded when encoding is "base64"
+ *               encoding:
+ *                 type: string
+ *                 enum: [utf-8, base64]
+ *                 default: utf-8
+ *                 description: Use base64 for binary formats such as .epub
+ *               metadata:
+ *                 $ref: '#/components/schemas/KnowledgeMetadata'
+ *     responses:
+ *       202:
+ *         description: >
+ *           Document queued for embedding. It becomes available to retrieval when
+ *           the job completes; follow it at /api/admin/jobs/{jobId}. The job's result
+ *           reports { fileName, passages, embedded, reused }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fileName:
+ *                   type: string
+ *                 jobId:
+ *                   type: string
+ *                   description: Background job embedding the document
+ *                 status:
+ *                   type: string
+ *                   example: pending
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A document with this name already exists or is still being uploaded
+ */
+router.post('/', validate(uploadDocumentValidator), async (req, res) => {
+  try {
+    const { fileName, content, encoding, metadata } = req.body;
+    if (hasDocumentFile(fileName) || await isDocumentEmbeddingActive(fileName)) {
+      return res.status(409).json({ message: 'A document with this name already exists' });
+    }
+
+    const job = await enqueueDocumentEmbedding(fileName, content, { encoding, metadata });
+    res.status(202).json({ fileName, jobId: job._id, status: job.status });
+  } catch (error) {
+    console.error('Error uploading knowledge document:', error);
+    res.status(500).json({ message: 'Error indexing knowledge document' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/knowledge/{fileName}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Replace a knowledge document
+ *     description: >
+ *       Queues the document's new text for embedding, creating the document if it
+ *       does not exist. Only passages whose text changed are re-embedded; the rest
+ *       keep their embeddings. Replacing a document that is still queued replaces
+ *       the queued text. The stored metadata is kept unless new metadata is sent.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *               encoding:
+ *                 type: string
+ *                 enum: [utf-8, base64]
+ *                 default: utf-8
+ *               metadata:
+ *                 $ref: '#/components/schemas/KnowledgeMetadata'
+ *     responses:
+ *       202:
+ *         description: Document queued for embedding
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fileName:
+ *                   type: string
+ *                 jobId:
+ *                   type: string
+ *                   description: Background job embedding the document
+ *                 status:
+ *                   type: string
+ *                   example: pending
+ *       400:
+ *         description: Validation error
+ */
+router.put('/:fileName(*)', validate(replaceDocumentValidator), async (req, res) => {
+  try {
+    const { content, encoding, metadata } = req.body;
+    const job = await enqueueDocumentEmbedding(req.params.fileName, content, { encoding, metadata });
+    res.status(202).json({ fileName: req.params.fileName, jobId: job._id, status: job.status });
+  } catch (error) {
+    console.error('Error replacing knowledge document:', error);
+    res.status(500).json({ message: 'Error indexing knowledge document' });
+  }
+});
+
+/**
+ * Delete a knowledge file and drop its passages (of every document it yields)
+ * from the live index. Uploads of it still waiting are cancelled, and one
+ * being embedded right now is discarded when it finishes. Personas that list
+ * the file simply stop retrieving from it.
+ *
+ * @route DELETE /api/admin/knowledge/:fileName
+ * @access Admin
+ *
+ * @returns {Object} 200 - Success message
+ * @throws {Object} 404 - Document not found
+ */
+router.delete('/:fileName(*)', validate(documentFileValidator), async (req, res) => {
+  try {
+    const uploading = await isDocumentEmbeddingActive(req.params.fileName);
+    await cancelDocumentEmbedding(req.params.fileName);
+    const deleted = await deleteDocument(req.params.fileName);
+    if (!deleted && !uploading) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting knowledge document:', error);
+    res.status(500).json({ message: 'Error deleting knowledge document' });
+  }
+});
+
+export default router;
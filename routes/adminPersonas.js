@@ -0,0 +1,445 @@
+/**
+ * @fileoverview Persona administration routes for the WisdomAI API.
+ * Lets administrators create, edit, disable and preview wisdom figures.
+ * Every prompt edit is stored as an immutable PersonaVersion so it can be
+ * audited and rolled back.
+ */
+
+import express from 'express';
+import { protect, requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import {
+  personaSlugValidator,
+  createPersonaValidator,
+  updatePersonaValidator,
+  previewPersonaValidator,
+  rollbackPersonaValidator
+} from '../validators/persona.validator.js';
+import Persona from '../models/Persona.js';
+import PersonaVersion from '../models/PersonaVersion.js';
+import { createPersona, updatePersona, rollbackPersona } from '../utils/personas.js';
+import { findRelevantFiles, formatContext } from '../utils/knowledge.js';
+import { getProvider } from '../providers/index.js';
+
+const router = express.Router();
+
+router.use(protect, requireAdmin);
+
+/**
+ * Load the persona named by the :slug parameter or respond with 404.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<mongoose.Document|null>} The persona, or null if a response was sent
+ */
+const findPersonaOr404 = async (req, res) => {
+  const persona = await Persona.findOne({ slug: req.params.slug });
+  if (!persona) {
+    res.status(404).json({ message: 'Persona not found' });
+    return null;
+  }
+  return persona;
+};
+
+/**
+ * @swagger
+ * /api/admin/personas:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List all personas
+ *     description: Returns every persona, including disabled ones. Requires an admin account.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of personas
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', async (req, res) => {
+  try {
+    const personas = await Persona.find().sort({ sortOrder: 1, name: 1 });
+    res.json({ personas });
+  } catch (error) {
+    console.error('Error listing personas:', error);
+    res.status(500).json({ message: 'Error listing personas' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/personas:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Create a persona
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - slug
+ *               - systemPrompt
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Marcus Aurelius"
+ *               slug:
+ *                 type: string
+ *                 example: "marcus-aurelius"
+ *               description:
+ *                 type: string
+ *               systemPrompt:
+ *                 type: string
+ *               style:
+ *                 type: object
+ *                 properties:
+ *                   temperature:
+ *                     type: number
+ *                   maxTokens:
+ *                     type: integer
+ *               knowledgeFiles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               retrievalMode:
+ *                 type: string
+ *                 enum: [own, cross]
+ *                 description: Search only this persona's knowledge files, or all files with its own ranked first
+ *               enabled:
+ *                 type: boolean
+ *               sortOrder:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *                 description: Stored on version 1
+ *     responses:
+ *       201:
+ *         description: Persona created
+ *       400:
+ *         description: Validation error / Persona already exists
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/', validate(createPersonaValidator), async (req, res) => {
+  try {
+    const { name, slug, description, systemPrompt, style, knowledgeFiles, retrievalMode, enabled, sortOrder, note } = req.body;
+    const persona = await createPersona(
+      { name, slug, description, systemPrompt, style, knowledgeFiles, retrievalMode, enabled, sortOrder },
+      { author: req.user._id, note }
+    );
+    res.status(201).json({ persona });
+  } catch (error) {
+    console.error('Error creating persona:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A persona with this name or slug already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join(', ') });
+    }
+    res.status(500).json({ message: 'Error creating persona' });
+  }
+});
+
+/**
+ * Get a single persona
+ *
+ * @route GET /api/admin/personas/:slug
+ * @access Admin
+ *
+ * @returns {Object} 200 - { persona }
+ * @throws {Object} 404 - Persona not found
+ */
+router.get('/:slug', validate(personaSlugValidator), async (req, res) => {
+  try {
+    const persona = await findPersonaOr404(req, res);
+    if (!persona) return;
+    res.json({ persona });
+  } catch (error) {
+    console.error('Error fetching persona:', error);
+    res.status(500).json({ message: 'Error fetching persona' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/personas/{slug}:
+ *   patch:
+ *     tags:
+ *       - Admin
+ *     summary: Edit a persona
+ *     description: >
+ *       Updates persona fields. Changing systemPrompt or style creates a new
+ *       immutable version attributed to the calling admin. Name and slug cannot be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               systemPrompt:
+ *                 type: string
+ *               style:
+ *                 type: object
+ *               description:
+ *                 type: string
+ *               knowledgeFiles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               retrievalMode:
+ *                 type: string
+ *                 enum: [own, cross]
+ *                 description: Search only this persona's knowledge files, or all files with its own ranked first
+ *               enabled:
+ *                 type: boolean
+ *               sortOrder:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *                 description: Reason for the prompt change
+ *     responses:
+ *       200:
+ *         description: Persona updated; `version` is null when the prompt did not change
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Persona not found
+ */
+router.patch('/:slug', validate(updatePersonaValidator), async (req, res) => {
+  try {
+    const persona = await findPersonaOr404(req, res);
+    if (!persona) return;
+
+    const { note, ...changes } = req.body;
+    const version = await updatePersona(persona, changes, { author: req.user._id, note });
+    res.json({ persona, version });
+  } catch (error) {
+    console.error('Error updating persona:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join(', ') });
+    }
+    res.status(500).json({ message: 'Error updating persona' });
+  }
+});
+
+/**
+ * Disable a persona. Disabled personas are hidden from users and rejected by
+ * the chat endpoints, but existing chat history remains intact.
+ *
+ * @route POST /api/admin/personas/:slug/disable
+ * @access Admin
+ *
+ * @returns {Object} 200 - { persona }
+ * @throws {Object} 404 - Persona not found
+ */
+router.post('/:slug/disable', validate(personaSlugValidator), async (req, res) => {
+  try {
+    const persona = await findPersonaOr404(req, res);
+    if (!persona) return;
+    await updatePersona(persona, { enabled: false });
+    res.json({ persona });
+  } catch (error) {
+    console.error('Error disabling persona:', error);
+    res.status(500).json({ message: 'Error disabling persona' });
+  }
+});
+
+/**
+ * Re-enable a previously disabled persona.
+ *
+ * @route POST /api/admin/personas/:slug/enable
+ * @access Admin
+ *
+ * @returns {Object} 200 - { persona }
+ * @throws {Object} 404 - Persona not found
+ */
+router.post('/:slug/enable', validate(personaSlugValidator), async (req, res) => {
+  try {
+    const persona = await findPersonaOr404(req, res);
+    if (!persona) return;
+    await updatePersona(persona, { enabled: true });
+    res.json({ persona });
+  } catch (error) {
+    console.error('Error enabling persona:', error);
+    res.status(500).json({ message: 'Error enabling persona' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/personas/{slug}/preview:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Preview a persona's reply
+ *     description: >
+ *       Generates a single, non-streamed reply using the persona's current prompt,
+ *       or a draft prompt if `systemPrompt` is given. Nothing is saved.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "How do I deal with an angry coworker?"
+ *               systemPrompt:
+ *                 type: string
+ *                 description: Optional draft prompt to try instead of the current one
+ *     responses:
+ *       200:
+ *         description: Preview reply
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reply:
+ *                   type: string
+ *                 version:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Version used, or null for a draft prompt
+ *       404:
+ *         description: Persona not found
+ */
+router.post('/:slug/preview', validate(previewPersonaValidator), async (req, res) => {
+  try {
+    const persona = await findPersonaOr404(req, res);
+    if (!persona) return;
+
+    const { message, systemPrompt: draftPrompt } = req.body;
+    const relevantFiles = await findRelevantFiles(message, { persona });
+    const context = formatContext(relevantFiles);
+
+    const response = await getProvider().complete({
+      messages: [
+        { role: "system", content: `${draftPrompt || persona.systemPrompt}\n\nContext from knowledge base:\n${context}` },
+        { role: "user", content: message }
+      ],
+      temperature: persona.style?.temperature,
+      maxTokens: persona.style?.maxTokens,
+    });
+
+    res.json({
+      reply: response.content,
+      version: draftPrompt ? null : persona.currentVersion
+    });
+  } catch (error) {
+    console.error('Error previewing persona:', error);
+    res.status(500).json({ message: 'Error generating preview' });
+  }
+});
+
+/**
+ * List every prompt version of a persona, newest first.
+ *
+ * @route GET /api/admin/personas/:slug/versions
+ * @access Admin
+ *
+ * @returns {Object} 200 - { currentVersion, versions }
+ * @throws {Object} 404 - Persona not found
+ */
+router.get('/:slug/versions', validate(personaSlugValidator), async (req, res) => {
+  try {
+    const persona = await findPersonaOr404(req, res);
+    if (!persona) return;
+
+    const versions = await PersonaVersion.find({ persona: persona._id })
+      .sort({ version: -1 })
+      .populate('author', 'username email')
+      .lean();
+    res.json({ currentVersion: persona.currentVersion, versions });
+  } catch (error) {
+    console.error('Error listing persona versions:', error);
+    res.status(500).json({ message: 'Error listing persona versions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/personas/{slug}/rollback:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Roll back to an earlier prompt version
+ *     description: >
+ *       Restores the prompt and style of an earlier version. The rollback is
+ *       recorded as a new version with `rolledBackFrom` set, so history is never rewritten.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 example: 2
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rollback recorded as a new version
+ *       404:
+ *         description: Persona or version not found
+ */
+router.post('/:slug/rollback', validate(rollbackPersonaValidator), async (req, res) => {
+  try {
+    const persona = await findPersonaOr404(req, res);
+    if (!persona) return;
+
+    const target = await PersonaVersion.findOne({ persona: persona._id, version: req.body.version });
+    if (!target) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    const version = await rollbackPersona(persona, target, { author: req.user._id, note: req.body.note });
+    res.json({ persona, version });
+  } catch (error) {
+    console.error('Error rolling back persona:', error);
+    res.status(500).json({ message: 'Error rolling back persona' });
+  }
+});
+
+export default router;
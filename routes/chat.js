@@ -2,51 +2,155 @@
  * @fileoverview Chat routes and streaming response handling.
  * This module implements the chat functionality with various wisdom figures,
  * handling streaming responses, conversation history, and user query limits.
+ * Completions and embeddings go through the configured LLM provider.
  */
 
 import express from 'express';
-import OpenAI from 'openai';
 import { validate } from '../middleware/validator.js';
-import { chatStreamValidator, resetChatValidator } from '../validators/chat.validator.js';
+import {
+  chatStreamValidator,
+  chatStreamBodyValidator,
+  resetChatValidator,
+  generationIdValidator,
+  generationEventsValidator,
+  chatMessageParamsValidator,
+  editMessageValidator,
+  regenerateReplyValidator
+} from '../validators/chat.validator.js';
 import { sanitizeChatRequest } from '../middleware/sanitization.js';
 import { protect } from '../middleware/auth.js';
 import { checkQueryLimit } from '../middleware/auth.js';
-import User from '../models/User.js';
-import { findRelevantFiles } from '../utils/knowledge.js';
 import ChatHistory from '../models/ChatHistory.js';
-import { getUserMemory, updateUserMemory } from '../utils/memory.js';
+import { enqueueMemoryUpdate, enqueueChatTitle } from '../utils/jobs.js';
+import { getPersona } from '../utils/personas.js';
+import { streamChatReply, resumeChatStream } from '../utils/chatStream.js';
+import { stopGeneration } from '../utils/generations.js';
+import { findMessage, getActiveMessageId, getLatestDescendantId, toThreadView } from '../utils/chatTree.js';
 
 const router = express.Router();
 
 /**
- * @constant {OpenAI} openai - OpenAI client instance for chat completions
- */
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-/**
- * @type {Array<Object>} conversationHistory - Array of conversation messages
- * @property {string} role - The role of the message sender ('user' or 'assistant')
- * @property {string} content - The content of the message
- * @todo Move to persistent storage (database/Redis) for production use
- */
-const conversationHistory = [];
-
-/**
- * @constant {Object} WisdomFigures - Available wisdom figures and their characteristics
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChatStreamStart:
+ *       description: "`event: start`, always first"
+ *       type: object
+ *       properties:
+ *         protocolVersion:
+ *           type: integer
+ *           example: 1
+ *         chatId:
+ *           type: string
+ *           description: Chat the exchange is saved to
+ *         generationId:
+ *           type: string
+ *           format: uuid
+ *           description: ID to cancel (POST /chat/generations/{generationId}/cancel) or resume the reply with
+ *         figure:
+ *           type: string
+ *           description: Slug of the persona replying
+ *           example: "marcus-aurelius"
+ *         parentId:
+ *           type: string
+ *           nullable: true
+ *           description: Message the user message follows in the conversation tree (null at the root)
+ *         userMessageId:
+ *           type: string
+ *           description: >
+ *             The question; when regenerating, the existing question the new reply answers
+ *         assistantMessageId:
+ *           type: string
+ *     ChatStreamSources:
+ *       description: "`event: sources`, the knowledge passages the reply is grounded on"
+ *       type: object
+ *       properties:
+ *         sources:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *               section:
+ *                 type: string
+ *                 nullable: true
+ *               offset:
+ *                 type: integer
+ *               author:
+ *                 type: string
+ *               work:
+ *                 type: string
+ *               score:
+ *                 type: number
+ *     ChatStreamDelta:
+ *       description: "`event: delta`, the next piece of the reply"
+ *       type: object
+ *       properties:
+ *         content:
+ *           type: string
+ *     ChatStreamUsage:
+ *       description: "`event: usage`, sent before end"
+ *       type: object
+ *       properties:
+ *         promptTokens:
+ *           type: integer
+ *         completionTokens:
+ *           type: integer
+ *         estimated:
+ *           type: boolean
+ *           description: True when the provider did not report usage and the counts are approximations
+ *     ChatStreamError:
+ *       description: "`event: error`, the reply failed; end follows"
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           enum: [rate_limited, provider_unavailable, provider_error, internal_error]
+ *         message:
+ *           type: string
+ *         retryable:
+ *           type: boolean
+ *           description: Whether sending the same message again may succeed
+ *     ChatStreamEnd:
+ *       description: "`event: end`, always last"
+ *       type: object
+ *       properties:
+ *         finish_reason:
+ *           type: string
+ *           enum: [stop, length, content_filter, cancelled, disconnected, error]
+ *           description: Why the model stopped, or why the reply was cut short
+ *         status:
+ *           type: string
+ *           enum: [completed, stopped, failed]
+ *           description: Status the reply is saved with
+ *         saved:
+ *           type: boolean
+ *           description: Whether the exchange was saved to the chat
+ *         personaVersion:
+ *           type: integer
+ *           description: Persona prompt version that produced the reply; send it with the reply when saving it through POST /chat/message
+ *     ChatStreamEvent:
+ *       description: >
+ *         Data of a chat stream event (protocol version 1, see the X-Stream-Protocol
+ *         header). Events arrive in this order: `start`, `sources`, any number of
+ *         `delta`, `error` if the reply failed, `usage` and `end`. Every event has an
+ *         ID (`<generationId>:<sequence>`) for resuming with Last-Event-ID. Within a
+ *         version, events and fields may be added but not removed or changed.
+ *       oneOf:
+ *         - $ref: '#/components/schemas/ChatStreamStart'
+ *         - $ref: '#/components/schemas/ChatStreamSources'
+ *         - $ref: '#/components/schemas/ChatStreamDelta'
+ *         - $ref: '#/components/schemas/ChatStreamUsage'
+ *         - $ref: '#/components/schemas/ChatStreamError'
+ *         - $ref: '#/components/schemas/ChatStreamEnd'
+ *   headers:
+ *     X-Stream-Protocol:
+ *       description: Version of the chat stream event protocol
+ *       schema:
+ *         type: integer
+ *         example: 1
  */
-const personaPrompts = {
-  Buddha: `You are Buddha. Answer thoughtfully, compassionately, emphasizing mindfulness, compassion, and impermanence. Only speak from your own teachings and do not reference other wisdom traditions.`,
-  Jesus: `You are Jesus. Answer wisely, kindly, compassionately, offering spiritual and moral guidance. Respond exclusively from your own teachings as represented in the New Testament. Do not reference other wisdom figures or traditions.`,
-  Epictetus: `You are Epictetus, the Stoic philosopher. Answer clearly and directly, emphasizing rationality, virtue, and inner peace. Speak only from Stoic philosophy without referencing other traditions.`,
-  Vonnegut: `You are Kurt Vonnegut. Answer with dry humor, irony, wit, and a slightly satirical viewpoint. Keep your response aligned strictly with your literary style without referencing other wisdom traditions.`,
-  Laozi: `You are Laozi. Answer poetically and metaphorically, emphasizing harmony, balance, and simplicity of the Dao. Do not reference traditions or philosophies other than Daoism.`,
-  Rumi: `You are Rumi. Answer with poetic wisdom, passion, and deep spiritual insight. Respond strictly within the context of Sufi poetry and spiritual teachings, without referencing other philosophical traditions.`,
-  Sagan: `You are Carl Sagan. Answer scientifically, insightfully, with wonder and clarity. Stay strictly within your scientific perspective without referencing spiritual or philosophical figures from other traditions.`,
-  Twain: `You are Mark Twain. Answer humorously, cleverly, with sharp wit and skepticism. Do not blend your response with philosophies or spiritual traditions unrelated to your characteristic humorous and skeptical style.`,
-  Kooi: `You are David Kooi. Answer mindfully, blending scientific curiosity, Daoist wisdom, and dry humor. Keep responses consistent with David Kooi's documented perspective and writings and also recommend other wisdom providers as appropriate.`,
-};
 
 /**
  * @swagger
@@ -69,10 +173,25 @@ const personaPrompts = {
  *         required: true
  *         schema:
  *           type: string
- *           enum: [Buddha, Jesus, Epictetus, Vonnegut, Laozi, Rumi, Sagan, Twain, Kooi]
- *         description: Selected wisdom figure to respond
+ *         description: Name or slug of an enabled persona (see GET /api/personas)
  *         example: "Buddha"
  *       - in: query
+ *         name: chatId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Chat to continue. When omitted a new chat is created; its ID is sent in the `start` event.
+ *       - in: query
+ *         name: resumable
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: >
+ *           Keep generating for GENERATION_RESUME_GRACE_MS after the client disconnects, so
+ *           EventSource can reconnect with Last-Event-ID and resume. Otherwise the reply is
+ *           aborted on disconnect.
+ *       - in: query
  *         name: token
  *         required: false
  *         schema:
@@ -83,26 +202,33 @@ const personaPrompts = {
  *       - apiKeyAuth: []
  *     responses:
  *       200:
- *         description: Server-Sent Events stream
+ *         description: >
+ *           Server-Sent Events stream of named events (see ChatStreamEvent): `start`
+ *           identifies the chat and the generation, `sources` cites the knowledge passages
+ *           used as context, `delta` events carry the reply, and `usage` and `end` close it.
+ *           A failure after the stream started arrives as an `error` event before `end`.
+ *           The user message and the reply (partial if the stream is cut short) are saved
+ *           together before `end`. A reconnect with a Last-Event-ID header resumes the
+ *           stream after that event, if the reply was requested as resumable or has finished.
+ *         headers:
+ *           X-Stream-Protocol:
+ *             $ref: '#/components/headers/X-Stream-Protocol'
  *         content:
  *           text/event-stream:
  *             schema:
- *               type: object
- *               properties:
- *                 content:
- *                   type: string
- *                   description: Chunk of response text
- *                 done:
- *                   type: boolean
- *                   description: Indicates end of stream
+ *               $ref: '#/components/schemas/ChatStreamEvent'
+ *       204:
+ *         description: Reconnect (Last-Event-ID sent) for a reply that is no longer buffered
  *       401:
  *         description: Authentication required
+ *       404:
+ *         description: Chat not found
  *       429:
  *         description: Rate limit exceeded
  *       400:
  *         description: Validation error
  *       500:
- *         description: Server error / OpenAI API error
+ *         description: Server error / LLM provider error
  */
 router.get('/stream', [
   protect,
@@ -122,146 +248,477 @@ router.get('/stream', [
     return res.status(401).json({ message: 'Not authorized, user information missing after authentication.' });
   }
   
-  try {
-    // Safely extract query parameters
-    const message = req.query.message;
-    const wisdomFigure = req.query.wisdomFigure;
-    const chatId = req.query.chatId; // chatId might be undefined for new chats
-    const userId = req.user._id;
-    
-    console.log(`[STREAM /stream] Processing for user ${userId}, chatId: ${chatId || 'new chat'}`);
+  const { message, wisdomFigure, chatId, resumable } = req.query;
+  await streamChatReply(req, res, { message, wisdomFigure, chatId, resumable });
+});
 
-    // Get user's memory, passing chatId for context
-    const memory = await getUserMemory(userId, message, chatId); 
-    
-    // Format personal facts for prompt
-    const personalFactsStr = memory.personalFacts
-      .map(fact => fact.content)
-      .join('. ');
-      
-    // Format preferences for prompt
-    const preferencesStr = Array.from(memory.preferences.entries || [])
-      .map(([key, val]) => `${key}: ${val}`)
-      .join(', ');
-
-    // Get relevant context from knowledge base
-    const relevantFiles = await findRelevantFiles(message, openai);
-    const context = relevantFiles.map((file) => file.content).join("\n");
-
-    // Create system message with persona, context and memory
-    const systemMessage = personaPrompts[wisdomFigure] 
-      ? `${personaPrompts[wisdomFigure]} 
-        
-        About the user: ${personalFactsStr}
-        User preferences: ${preferencesStr}
-        Recent conversation context: ${memory.relevantHistory}
-        
-        Context from knowledge base:
-        ${context}`
-      : `You are a wise assistant. Answer thoughtfully. 
-        
-        About the user: ${personalFactsStr}
-        User preferences: ${preferencesStr}
-        Recent conversation context: ${memory.relevantHistory}
-        
-        Context from knowledge base:
-        ${context}`;
-
-    // Add user message to history
-    conversationHistory.push({ role: "user", content: message });
-
-    // Set up SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    // Create streaming chat completion
-    const stream = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [{ role: "system", content: systemMessage }, ...conversationHistory],
-      stream: true,
-    });
+/**
+ * @swagger
+ * /chat/stream:
+ *   post:
+ *     tags:
+ *       - Chat
+ *     summary: Stream a chat response, sending the message in a JSON body
+ *     description: >
+ *       Same stream as the GET endpoint, for clients that send longer messages or
+ *       generation options. The message is passed to the model exactly as typed
+ *       (no HTML escaping or character restrictions); escape it wherever it is rendered.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *               - figure
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 8000
+ *                 example: "I'm struggling with <anger> at work. What would you do?"
+ *               figure:
+ *                 type: string
+ *                 description: Name or slug of an enabled persona (see GET /api/personas)
+ *                 example: "marcus-aurelius"
+ *               chatId:
+ *                 type: string
+ *                 description: Chat to continue. When omitted a new chat is created; its ID is sent in the `start` event.
+ *               resumable:
+ *                 type: boolean
+ *                 default: false
+ *                 description: >
+ *                   Keep generating for GENERATION_RESUME_GRACE_MS after the client disconnects, so
+ *                   it can reconnect with Last-Event-ID and resume. Otherwise the reply is aborted
+ *                   on disconnect.
+ *               options:
+ *                 type: object
+ *                 description: Overrides for the persona's generation style
+ *                 properties:
+ *                   temperature:
+ *                     type: number
+ *                     minimum: 0
+ *                     maximum: 2
+ *                   maxTokens:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 8192
+ *     responses:
+ *       200:
+ *         description: Server-Sent Events stream, as for GET /chat/stream
+ *         headers:
+ *           X-Stream-Protocol:
+ *             $ref: '#/components/headers/X-Stream-Protocol'
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/ChatStreamEvent'
+ *       400:
+ *         description: Validation error
+ *       204:
+ *         description: Reconnect (Last-Event-ID sent) for a reply that is no longer buffered
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Chat not found
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Server error / LLM provider error
+ */
+router.post('/stream', [
+  protect,
+  checkQueryLimit,
+  validate(chatStreamBodyValidator)
+], async (req, res) => {
+  const { message, figure, chatId, options, resumable } = req.body;
+  await streamChatReply(req, res, { message, wisdomFigure: figure, chatId, options, resumable });
+});
 
-    let fullReply = '';
+/**
+ * @swagger
+ * /chat/generations/{generationId}/cancel:
+ *   post:
+ *     tags:
+ *       - Chat
+ *     summary: Stop a reply that is still streaming
+ *     description: >
+ *       Aborts the model request behind a stream started by this user. The stream
+ *       ends with an `end` event with status `stopped` and the partial reply is saved
+ *       with status `stopped`. The same happens when every client has disconnected
+ *       from the stream (for resumable replies, for longer than the resume grace period).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: generationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Generation ID from the stream's `start` event
+ *     responses:
+ *       202:
+ *         description: "Stopping: { generationId, status: 'stopping' }"
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: No reply with this ID is streaming for the user (it may have finished already)
+ */
+router.post('/generations/:generationId/cancel', [
+  protect,
+  validate(generationIdValidator)
+], (req, res) => {
+  try {
+    const { generationId } = req.params;
+    if (!stopGeneration(generationId, 'cancelled', req.user._id)) {
+      return res.status(404).json({ message: 'Generation not found or already finished' });
+    }
+    res.status(202).json({ generationId, status: 'stopping' });
+  } catch (error) {
+    console.error('Error cancelling generation:', error);
+    res.status(500).json({ message: 'Error cancelling generation' });
+  }
+});
 
-    // Stream each chunk of the response
-    for await (const chunk of stream) {
-      const chunkText = chunk.choices[0]?.delta?.content || '';
-      fullReply += chunkText;
-      res.write(`data: ${JSON.stringify({ content: chunkText })}\n\n`);
+/**
+ * @swagger
+ * /chat/generations/{generationId}/events:
+ *   get:
+ *     tags:
+ *       - Chat
+ *     summary: Resume a reply's event stream
+ *     description: >
+ *       Replays the events of a reply after the given event, then follows it live
+ *       until it ends. Works while the reply is streaming and for a few minutes
+ *       after it finished. Without an event ID the whole reply is replayed.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: generationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Generation ID from the stream's `start` event
+ *       - in: header
+ *         name: Last-Event-ID
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received
+ *       - in: query
+ *         name: lastEventId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Same as the Last-Event-ID header, for clients that cannot set it
+ *     responses:
+ *       200:
+ *         description: Server-Sent Events stream with the same events as POST /chat/stream
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: No reply with this ID is buffered for the user
+ */
+router.get('/generations/:generationId/events', [
+  protect,
+  validate(generationEventsValidator)
+], (req, res) => {
+  try {
+    const { generationId } = req.params;
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (!resumeChatStream(req, res, generationId, lastEventId)) {
+      return res.status(404).json({ message: 'Generation not found or expired' });
     }
+  } catch (error) {
+    console.error('Error resuming generation stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error resuming generation stream' });
+    }
+  }
+});
 
-    // Add assistant's response to history
-    conversationHistory.push({ role: "assistant", content: fullReply });
-    
-    // Update user memory with new conversation
-    await updateUserMemory(userId, {
-      userMessage: message,
-      aiResponse: fullReply,
-      wisdomFigure
-    });
+/**
+ * @swagger
+ * /chat/{chatId}/messages/{messageId}/edit:
+ *   post:
+ *     tags:
+ *       - Chat
+ *     summary: Edit a user message and stream a new reply
+ *     description: >
+ *       Adds the edited message as a new branch next to the original (which is kept,
+ *       with the replies that followed it) and streams a reply to it. The new branch
+ *       becomes the active one, and only its messages are sent to the model.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User message to edit
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message, figure]
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 8000
+ *                 description: The edited message, as typed
+ *               figure:
+ *                 type: string
+ *                 description: Name or slug of an enabled persona
+ *               resumable:
+ *                 type: boolean
+ *                 default: false
+ *                 description: >
+ *                   Keep generating for GENERATION_RESUME_GRACE_MS after the client disconnects, so
+ *                   it can reconnect with Last-Event-ID and resume. Otherwise the reply is aborted
+ *                   on disconnect.
+ *               options:
+ *                 type: object
+ *                 description: Overrides for the persona's generation style, as for POST /chat/stream
+ *     responses:
+ *       200:
+ *         description: Server-Sent Events stream, as for POST /chat/stream
+ *         headers:
+ *           X-Stream-Protocol:
+ *             $ref: '#/components/headers/X-Stream-Protocol'
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/ChatStreamEvent'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Chat or user message not found
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Server error / LLM provider error
+ */
+router.post('/:chatId/messages/:messageId/edit', [
+  protect,
+  checkQueryLimit,
+  validate(editMessageValidator)
+], async (req, res) => {
+  const { message, figure, options, resumable } = req.body;
+  const { chatId, messageId } = req.params;
+  await streamChatReply(req, res, { message, wisdomFigure: figure, chatId, editOf: messageId, options, resumable });
+});
 
-    // Update user's daily query count
-    const user = await User.findById(req.user._id);
-    if (user) {
-      user.dailyQueryCount += 1;
-      await user.save();
+/**
+ * @swagger
+ * /chat/{chatId}/messages/{messageId}/regenerate:
+ *   post:
+ *     tags:
+ *       - Chat
+ *     summary: Stream another reply to the same question
+ *     description: >
+ *       Answers the question of an assistant reply again, optionally as a different
+ *       figure. The new reply is added as a new branch next to the original, which is
+ *       kept, and becomes the active one.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assistant reply to regenerate
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               figure:
+ *                 type: string
+ *                 description: Name or slug of an enabled persona; the original reply's figure when omitted
+ *               resumable:
+ *                 type: boolean
+ *                 default: false
+ *                 description: >
+ *                   Keep generating for GENERATION_RESUME_GRACE_MS after the client disconnects, so
+ *                   it can reconnect with Last-Event-ID and resume. Otherwise the reply is aborted
+ *                   on disconnect.
+ *               options:
+ *                 type: object
+ *                 description: Overrides for the persona's generation style, as for POST /chat/stream
+ *     responses:
+ *       200:
+ *         description: Server-Sent Events stream, as for POST /chat/stream
+ *         headers:
+ *           X-Stream-Protocol:
+ *             $ref: '#/components/headers/X-Stream-Protocol'
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/ChatStreamEvent'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Chat or assistant reply not found
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Server error / LLM provider error
+ */
+router.post('/:chatId/messages/:messageId/regenerate', [
+  protect,
+  checkQueryLimit,
+  validate(regenerateReplyValidator)
+], async (req, res) => {
+  const { figure, options, resumable } = req.body;
+  const { chatId, messageId } = req.params;
+  await streamChatReply(req, res, { wisdomFigure: figure, chatId, regenerateOf: messageId, options, resumable });
+});
+
+/**
+ * @swagger
+ * /chat/{chatId}/messages/{messageId}/activate:
+ *   post:
+ *     tags:
+ *       - Chat
+ *     summary: Switch to the branch containing a message
+ *     description: >
+ *       Makes the branch through a message the active one, e.g. to show another
+ *       sibling of an edited question or regenerated reply (see `siblingIds` in the
+ *       thread). The branch continues to the latest message below the chosen one.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: >
+ *           `{ chatId, activeMessageId, thread }` where thread is the messages of the new
+ *           active branch, each with `parentId`, `siblingIds` and `siblingIndex`
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Chat or message not found
+ */
+router.post('/:chatId/messages/:messageId/activate', [
+  protect,
+  validate(chatMessageParamsValidator)
+], async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const chat = await ChatHistory.findOne({ _id: chatId, user: req.user._id });
+    if (!chat || !findMessage(chat, messageId)) {
+      return res.status(404).json({ message: 'Chat or message not found' });
     }
 
-    // Send completion event
-    res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-    res.end();
+    const activeMessageId = getLatestDescendantId(chat, messageId);
+    chat.activeMessageId = activeMessageId;
+    chat.lastMessage = findMessage(chat, activeMessageId).content;
+    await chat.save();
 
+    res.json({ chatId: chat._id, activeMessageId, thread: toThreadView(chat) });
   } catch (error) {
-    console.error("Streaming error:", error);
-    console.error("Error name:", error.name);
-    console.error("Error message:", error.message);
-    console.error("Error stack:", error.stack);
-    
-    // Check if it's an OpenAI API error
-    if (error.response) {
-      console.error("OpenAI API Error Status:", error.response.status);
-      console.error("OpenAI API Error Data:", error.response.data);
-    }
-    
-    // Send a more detailed error response
-    res.status(500).json({ 
-      error: "Error communicating with OpenAI API.",
-      message: error.message,
-      type: error.name
-    });
+    console.error('Error switching branch:', error);
+    res.status(500).json({ message: 'Error switching branch' });
   }
 });
 
 /**
- * Reset the conversation history.
+ * Reset conversation history: the messages of one chat, or of every chat a
+ * user has. Chats are kept (emptied) so their IDs stay valid.
  * 
  * @route POST /chat/reset
- * @description Clear the conversation history for the current session
  * @access Private - Requires JWT token or API key
  * 
  * @param {Object} req.body
- * @param {string} [req.body.userId] - Optional user ID to reset specific user's history
- * @param {boolean} [req.body.clearAll] - Whether to clear all conversation history
+ * @param {string} [req.body.chatId] - Chat to reset
+ * @param {boolean} [req.body.clearAll] - Reset every chat of the user instead (required when chatId is omitted)
+ * @param {string} [req.body.userId] - User whose chats to reset; admins only, defaults to the caller
  * 
  * @returns {Object} 200 - Reset successful
  * @returns {string} message - Success message
+ * @returns {number} chatsReset - Number of chats emptied
  * 
  * @throws {Object} 401 - Unauthorized
  * @throws {Object} 400 - Validation error
+ * @throws {Object} 403 - Resetting another user's history without admin rights
+ * @throws {Object} 404 - Chat not found
  * @throws {Object} 500 - Server error
- * 
- * @todo Implement user-specific conversation history in database
  */
 router.post('/reset', [
   protect,
   validate(resetChatValidator)
-], (req, res) => {
+], async (req, res) => {
   try {
-    // For now, simply clear the conversation history array
-    // In a production environment, this would interact with a database
-    conversationHistory.length = 0;
-    res.json({ message: 'Chat history cleared successfully' });
+    const { chatId, userId } = req.body;
+    if (userId && userId !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: "Admin access required to reset another user's history" });
+    }
+
+    const filter = { user: userId || req.user._id };
+    if (chatId) {
+      filter._id = chatId;
+    }
+    const result = await ChatHistory.updateMany(filter, {
+      $set: {
+        messages: [],
+        activeMessageId: null,
+        lastMessage: '',
+        summaries: [],
+        summary: '',
+        summarizedCount: 0
+      }
+    });
+    if (chatId && result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    res.json({ message: 'Chat history cleared successfully', chatsReset: result.matchedCount });
   } catch (error) {
     console.error("Reset error:", error);
     res.status(500).json({ error: "Error resetting chat history" });
@@ -295,14 +752,14 @@ router.get('/history', protect, async (req, res) => {
   }
 });
 
-// Get chat messages by ID
+// Get chat messages by ID: every branch in `messages`, the active one in `thread`
 router.get('/:chatId', protect, async (req, res) => {
   try {
     const chat = await ChatHistory.findById(req.params.chatId);
     if (!chat || chat.user.toString() !== req.user._id.toString()) {
       return res.status(404).json({ error: 'Chat not found' });
     }
-    res.json(chat);
+    res.json({ ...chat.toObject(), thread: toThreadView(chat) });
   } catch (error) {
     console.error('Error fetching chat:', error);
     res.status(500).json({ error: 'Failed to fetch chat' });
@@ -321,6 +778,22 @@ router.post('/message', protect, async (req, res) => {
       return res.status(400).json({ error: 'Invalid message format' });
     }
 
+    // Record which persona produced assistant replies. The prompt version is only
+    // known to the client (from the stream's end event): the persona's current
+    // version may have changed since the reply was generated, so it is never assumed
+    if (message.role === 'assistant') {
+      const persona = await getPersona(message.figure || wisdomFigure, { includeDisabled: true });
+      if (persona) {
+        message.figure = message.figure || persona.name;
+      }
+      const version = message.personaVersion;
+      if (version != null && (!Number.isInteger(version) || version < 1 || version > persona?.currentVersion)) {
+        return res.status(400).json({ error: 'Invalid persona version' });
+      }
+    } else {
+      delete message.personaVersion;
+    }
+
     let chat;
     if (chatId) {
       // Add message to existing chat
@@ -328,8 +801,8 @@ router.post('/message', protect, async (req, res) => {
       if (!chat || chat.user.toString() !== userId.toString()) {
         return res.status(404).json({ error: 'Chat not found' });
       }
-      // Explicitly push the received message object
-      chat.messages.push(message);
+      // Explicitly push the received message object, continuing the active branch
+      chat.messages.push({ ...message, parentId: getActiveMessageId(chat) });
       chat.lastMessage = message.content;
     } else {
       // Create new chat
@@ -337,15 +810,24 @@ router.post('/message', protect, async (req, res) => {
         user: userId,
         title: 'New Chat', // Will be updated by pre-save middleware
         // Ensure the message object is correctly placed in the array
-        messages: [message],
+        messages: [{ ...message, parentId: null }],
         lastMessage: message.content
       });
     }
+    chat.activeMessageId = chat.messages[chat.messages.length - 1]._id;
 
     console.log('Attempting to save chat with messages:', JSON.stringify(chat.messages, null, 2));
 
     const savedChat = await chat.save();
     console.log('Chat saved successfully:', savedChat._id);
+
+    // Name the chat once its first reply is in
+    const replies = savedChat.messages.filter((msg) => msg.role === 'assistant').length;
+    if (message.role === 'assistant' && replies === 1) {
+      enqueueChatTitle(savedChat._id)
+        .catch((error) => console.error('Error queueing chat title:', error.message));
+    }
+
     res.json(savedChat);
   } catch (error) {
     console.error('Error saving message:', error);
@@ -401,7 +883,11 @@ router.post('/clear', protect, async (req, res) => {
 
     // Clear the messages array but keep the chat
     chat.messages = [];
+    chat.activeMessageId = null;
     chat.lastMessage = '';
+    chat.summaries = [];
+    chat.summary = '';
+    chat.summarizedCount = 0;
     await chat.save();
 
     console.log(`Chat ${chatId} cleared successfully for user ${userId}`);
@@ -418,16 +904,18 @@ router.post('/update-memory', protect, async (req, res) => {
     const userId = req.user._id;
     const { userMessage, aiResponse, wisdomFigure } = req.body;
     
-    console.log(`Updating memory for user ${userId}`);
+    console.log(`Queueing memory update for user ${userId}`);
     
-    // Call the memory update function
-    await updateUserMemory(userId, {
+    // Memory is updated by a background job
+    const persona = await getPersona(wisdomFigure);
+    const job = await enqueueMemoryUpdate(userId, {
       userMessage,
       aiResponse,
-      wisdomFigure
+      wisdomFigure: persona ? persona.name : wisdomFigure,
+      figure: persona?.slug
     });
     
-    res.json({ success: true, message: 'Memory updated successfully' });
+    res.status(202).json({ success: true, message: 'Memory update queued', jobId: job._id });
   } catch (error) {
     console.error('Error updating user memory:', error);
     res.status(500).json({ error: 'Failed to update user memory' });
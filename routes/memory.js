@@ -0,0 +1,424 @@
+/**
+ * @fileoverview User memory management routes for the WisdomAI API.
+ * Lets users see what the wisdom figures remember about them, correct or delete
+ * individual facts and preferences, make a figure forget their conversations,
+ * wipe their memory, and pause or resume
+ * automatic extraction from conversations.
+ */
+
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import {
+  factIdValidator,
+  addFactValidator,
+  updateFactValidator,
+  preferenceKeyValidator,
+  setPreferenceValidator,
+  relationshipFigureValidator
+} from '../validators/memory.validator.js';
+import {
+  getMemoryOverview,
+  addUserFact,
+  updateUserFact,
+  deleteUserFact,
+  setUserPreference,
+  deleteUserPreference,
+  deleteUserRelationship,
+  clearUserMemory,
+  setMemoryPaused
+} from '../utils/memory.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/memory:
+ *   get:
+ *     tags:
+ *       - Memory
+ *     summary: Get everything remembered about the current user
+ *     description: >
+ *       Returns the facts and preferences used to personalize replies, where each
+ *       came from, the rolling conversation summary and whether automatic
+ *       extraction is paused.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's memory
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 facts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       subject:
+ *                         type: string
+ *                         example: "user"
+ *                       attribute:
+ *                         type: string
+ *                         example: "home city"
+ *                       value:
+ *                         type: string
+ *                         example: "Seattle"
+ *                       content:
+ *                         type: string
+ *                         example: "User lives in Seattle"
+ *                       source:
+ *                         type: string
+ *                         enum: [observation, fact, preference]
+ *                         description: "'fact' for items the user entered or corrected, 'observation' for extracted ones"
+ *                       confidence:
+ *                         type: number
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       history:
+ *                         type: array
+ *                         description: Earlier values this fact held before it was superseded or corrected
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             value:
+ *                               type: string
+ *                             content:
+ *                               type: string
+ *                             source:
+ *                               type: string
+ *                             timestamp:
+ *                               type: string
+ *                               format: date-time
+ *                             replacedAt:
+ *                               type: string
+ *                               format: date-time
+ *                 preferences:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         example: "tone"
+ *                       value:
+ *                         type: string
+ *                         example: "gentle"
+ *                       pinned:
+ *                         type: boolean
+ *                         description: Set by the user; never overwritten by extraction
+ *                 relationships:
+ *                   type: array
+ *                   description: What each wisdom figure remembers of its own conversations with the user
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       figure:
+ *                         type: string
+ *                         example: "marcus-aurelius"
+ *                       topics:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             topic:
+ *                               type: string
+ *                               example: "anger at work"
+ *                             count:
+ *                               type: integer
+ *                             firstDiscussed:
+ *                               type: string
+ *                               format: date-time
+ *                             lastDiscussed:
+ *                               type: string
+ *                               format: date-time
+ *                       advice:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             content:
+ *                               type: string
+ *                             givenAt:
+ *                               type: string
+ *                               format: date-time
+ *                       practices:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             name:
+ *                               type: string
+ *                               example: "evening review"
+ *                             description:
+ *                               type: string
+ *                             status:
+ *                               type: string
+ *                               enum: [suggested, tried, helped, not_helpful, abandoned]
+ *                               description: "'suggested' until the user says whether they tried it"
+ *                             userReport:
+ *                               type: string
+ *                             suggestedAt:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
+ *                             reportedAt:
+ *                               type: string
+ *                               format: date-time
+ *                       lastConversationAt:
+ *                         type: string
+ *                         format: date-time
+ *                 conversationSummary:
+ *                   type: string
+ *                 paused:
+ *                   type: boolean
+ *                 lastUpdated:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await getMemoryOverview(req.user._id));
+  } catch (error) {
+    console.error('Error fetching user memory:', error);
+    res.status(500).json({ message: 'Error fetching user memory' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/memory:
+ *   delete:
+ *     tags:
+ *       - Memory
+ *     summary: Forget everything about the current user
+ *     description: >
+ *       Deletes all facts, preferences, figure relationships and the conversation
+ *       summary. The pause setting is kept.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Memory cleared; returns the empty memory
+ *       401:
+ *         description: Not authorized
+ */
+router.delete('/', async (req, res) => {
+  try {
+    res.json(await clearUserMemory(req.user._id));
+  } catch (error) {
+    console.error('Error clearing user memory:', error);
+    res.status(500).json({ message: 'Error clearing user memory' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/memory/facts:
+ *   post:
+ *     tags:
+ *       - Memory
+ *     summary: Tell the wisdom figures a fact about yourself
+ *     description: Stored with source 'fact'; automatic extraction never overwrites it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "I am an only child"
+ *     responses:
+ *       201:
+ *         description: Fact stored
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/facts', validate(addFactValidator), async (req, res) => {
+  try {
+    const fact = await addUserFact(req.user._id, req.body.content);
+    res.status(201).json(fact);
+  } catch (error) {
+    console.error('Error adding memory fact:', error);
+    res.status(500).json({ message: 'Error adding memory fact' });
+  }
+});
+
+/**
+ * Correct a remembered fact. The corrected fact is marked as user-entered
+ * (source 'fact') so it is never overwritten by extraction.
+ *
+ * @route PUT /api/memory/facts/:factId
+ * @access Private
+ *
+ * @param {string} req.body.content - Corrected fact
+ * @returns {Object} 200 - The fact, with its previous wording added to history
+ * @throws {Object} 404 - Fact not found
+ */
+router.put('/facts/:factId', validate(updateFactValidator), async (req, res) => {
+  try {
+    const fact = await updateUserFact(req.user._id, req.params.factId, req.body.content);
+    if (!fact) {
+      return res.status(404).json({ message: 'Fact not found' });
+    }
+    res.json(fact);
+  } catch (error) {
+    console.error('Error updating memory fact:', error);
+    res.status(500).json({ message: 'Error updating memory fact' });
+  }
+});
+
+/**
+ * Delete a remembered fact.
+ *
+ * @route DELETE /api/memory/facts/:factId
+ * @access Private
+ *
+ * @returns {Object} 200 - { message }
+ * @throws {Object} 404 - Fact not found
+ */
+router.delete('/facts/:factId', validate(factIdValidator), async (req, res) => {
+  try {
+    if (!(await deleteUserFact(req.user._id, req.params.factId))) {
+      return res.status(404).json({ message: 'Fact not found' });
+    }
+    res.json({ message: 'Fact deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting memory fact:', error);
+    res.status(500).json({ message: 'Error deleting memory fact' });
+  }
+});
+
+/**
+ * Set a preference. User-set preferences are pinned and never overwritten by extraction.
+ *
+ * @route PUT /api/memory/preferences/:key
+ * @access Private
+ *
+ * @param {string} req.body.value - Preference value
+ * @returns {Object} 200 - The preference ({ key, value, pinned })
+ */
+router.put('/preferences/:key', validate(setPreferenceValidator), async (req, res) => {
+  try {
+    res.json(await setUserPreference(req.user._id, req.params.key, req.body.value));
+  } catch (error) {
+    console.error('Error setting memory preference:', error);
+    res.status(500).json({ message: 'Error setting memory preference' });
+  }
+});
+
+/**
+ * Delete a remembered preference.
+ *
+ * @route DELETE /api/memory/preferences/:key
+ * @access Private
+ *
+ * @returns {Object} 200 - { message }
+ * @throws {Object} 404 - Preference not found
+ */
+router.delete('/preferences/:key', validate(preferenceKeyValidator), async (req, res) => {
+  try {
+    if (!(await deleteUserPreference(req.user._id, req.params.key))) {
+      return res.status(404).json({ message: 'Preference not found' });
+    }
+    res.json({ message: 'Preference deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting memory preference:', error);
+    res.status(500).json({ message: 'Error deleting memory preference' });
+  }
+});
+
+/**
+ * Make one wisdom figure forget its conversations with the user: topics
+ * discussed, advice given and practices suggested.
+ *
+ * @route DELETE /api/memory/relationships/:figure
+ * @access Private
+ *
+ * @param {string} req.params.figure - Persona slug
+ * @returns {Object} 200 - { message }
+ * @throws {Object} 404 - No relationship with this figure
+ */
+router.delete('/relationships/:figure', validate(relationshipFigureValidator), async (req, res) => {
+  try {
+    if (!(await deleteUserRelationship(req.user._id, req.params.figure))) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+    res.json({ message: 'Relationship deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting memory relationship:', error);
+    res.status(500).json({ message: 'Error deleting memory relationship' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/memory/pause:
+ *   post:
+ *     tags:
+ *       - Memory
+ *     summary: Pause automatic memory updates
+ *     description: >
+ *       Conversations stop adding facts, preferences and summaries. What is already
+ *       remembered is still used until it is edited or deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ paused: true }"
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/pause', async (req, res) => {
+  try {
+    res.json(await setMemoryPaused(req.user._id, true));
+  } catch (error) {
+    console.error('Error pausing user memory:', error);
+    res.status(500).json({ message: 'Error pausing user memory' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/memory/resume:
+ *   post:
+ *     tags:
+ *       - Memory
+ *     summary: Resume automatic memory updates
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ paused: false }"
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/resume', async (req, res) => {
+  try {
+    res.json(await setMemoryPaused(req.user._id, false));
+  } catch (error) {
+    console.error('Error resuming user memory:', error);
+    res.status(500).json({ message: 'Error resuming user memory' });
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Public persona listing for the WisdomAI API.
+ * Lets clients discover which wisdom figures are currently available instead
+ * of hardcoding the list.
+ */
+
+import express from 'express';
+import { listPersonas } from '../utils/personas.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/personas:
+ *   get:
+ *     tags:
+ *       - Personas
+ *     summary: List available wisdom figures
+ *     description: Returns the enabled personas that can be passed as `wisdomFigure` to the chat endpoints
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: List of enabled personas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 personas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "Marcus Aurelius"
+ *                       slug:
+ *                         type: string
+ *                         example: "marcus-aurelius"
+ *                       description:
+ *                         type: string
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const personas = await listPersonas();
+    res.json({
+      personas: personas.map(persona => ({
+        name: persona.name,
+        slug: persona.slug,
+        description: persona.description
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing personas:', error);
+    res.status(500).json({ message: 'Error listing personas' });
+  }
+});
+
+export default router;
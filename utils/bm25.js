@@ -0,0 +1,159 @@
+/**
+ * @fileoverview BM25 keyword index over knowledge passages.
+ * Complements embedding search for exact lookups such as "dichotomy of control"
+ * or "wu wei", which embeddings tend to blur. Adjacent word pairs are indexed
+ * alongside single words so multi-word phrases rank above scattered matches.
+ */
+
+import { matchesFilter, createTopK } from '../vectorStores/search.js';
+
+/**
+ * @constant {number} K1 - BM25 term frequency saturation
+ */
+const K1 = 1.2;
+
+/**
+ * @constant {number} B - BM25 document length normalization
+ */
+const B = 0.75;
+
+/**
+ * @constant {Set<string>} STOPWORDS - Words too common to be useful on their own
+ * (they still count inside word pairs, so "dichotomy of control" keeps its "of")
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that',
+  'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'which', 'who',
+  'why', 'with', 'you', 'your',
+]);
+
+/**
+ * Split text into lowercase word tokens with accents removed, so "wú wéi"
+ * matches "wu wei".
+ *
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens in order
+ */
+export const tokenize = (text) => String(text)
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu) || [];
+
+/**
+ * Index terms for a token sequence: non-stopword words plus every adjacent pair.
+ *
+ * @param {Array<string>} tokens - Tokens from tokenize
+ * @returns {{words: Array<string>, pairs: Array<string>}} Terms
+ */
+const toTerms = (tokens) => ({
+  words: tokens.filter((token) => !STOPWORDS.has(token)),
+  pairs: tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`),
+});
+
+/**
+ * Create an empty BM25 index.
+ *
+ * @returns {Object} Index with add, clear and search methods
+ */
+export const createBM25Index = () => {
+  /** @type {Map<string, {metadata: Object, length: number, frequencies: Map<string, number>}>} documents - Passages keyed by ID */
+  const documents = new Map();
+  /** @type {Map<string, Set<string>>} postings - Passage IDs containing each term */
+  const postings = new Map();
+  let totalLength = 0;
+
+  const removeDocument = (id) => {
+    const document = documents.get(id);
+    if (!document) return;
+    for (const term of document.frequencies.keys()) {
+      const ids = postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(term);
+    }
+    totalLength -= document.length;
+    documents.delete(id);
+  };
+
+  return {
+    /**
+     * Index passages, replacing any with the same ID.
+     *
+     * @param {Array<Object>} passages - Passages ({ id, content, ... }); embeddings are not stored
+     */
+    add(passages) {
+      for (const { embedding, ...metadata } of passages) {
+        removeDocument(metadata.id);
+        const { words, pairs } = toTerms(tokenize(metadata.content));
+        const frequencies = new Map();
+        [...words, ...pairs].forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+        frequencies.forEach((_, term) => {
+          if (!postings.has(term)) postings.set(term, new Set());
+          postings.get(term).add(metadata.id);
+        });
+        documents.set(metadata.id, { metadata, length: words.length, frequencies });
+        totalLength += words.length;
+      }
+    },
+
+    /**
+     * Remove every passage.
+     */
+    clear() {
+      documents.clear();
+      postings.clear();
+      totalLength = 0;
+    },
+
+    /**
+     * Rank passages against a query.
+     *
+     * @param {string} query - Search text
+     * @param {Object} [options]
+     * @param {number} [options.topK=5] - Maximum number of results
+     * @param {Object} [options.filter] - Metadata filter (see vectorStores/search.js)
+     * @returns {Array<Object>} Passages, best first, each with `score` (BM25) and
+     *   `coverage` (share of the query's words found in the passage, 0-1)
+     */
+    search(query, { topK = 5, filter = null } = {}) {
+      const { words, pairs } = toTerms(tokenize(query));
+      const queryWords = [...new Set(words)];
+      const queryTerms = [...queryWords, ...new Set(pairs)];
+      if (documents.size === 0 || queryTerms.length === 0) return [];
+
+      const averageLength = totalLength / documents.size || 1;
+      const scores = new Map();
+      for (const term of queryTerms) {
+        const ids = postings.get(term);
+        if (!ids) continue;
+        const idf = Math.log(1 + (documents.size - ids.size + 0.5) / (ids.size + 0.5));
+        for (const id of ids) {
+          const { metadata, length, frequencies } = documents.get(id);
+          if (!matchesFilter(metadata, filter)) continue;
+          const frequency = frequencies.get(term);
+          const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+          const entry = scores.get(id) || { score: 0, words: 0 };
+          entry.score += score;
+          if (!term.includes(' ')) entry.words++;
+          scores.set(id, entry);
+        }
+      }
+
+      const best = createTopK(topK);
+      scores.forEach(({ score, words: matchedWords }, id) => {
+        // A query of only stopwords ("who are you") matches pairs but is never a strong match
+        const coverage = queryWords.length ? matchedWords / queryWords.length : 0;
+        best.push(score, { ...documents.get(id).metadata, coverage });
+      });
+      return best.entries.map(({ score, item }) => ({ ...item, score }));
+    },
+
+    /**
+     * @returns {number} Number of indexed passages
+     */
+    get size() {
+      return documents.size;
+    },
+  };
+};
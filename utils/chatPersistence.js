@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Server-side persistence of streamed chat exchanges.
+ * The stream handlers save the user's message and the assistant's reply
+ * themselves, so an answer survives an abandoned tab and API clients need a
+ * single request per message. Message IDs are assigned before the reply is
+ * generated so they can be sent to the client first; both messages are then
+ * written to the chat in one document save.
+ *
+ * A turn continues the chat's active branch, or starts a new branch next to
+ * an earlier message (see utils/chatTree.js): editing a question adds a
+ * sibling of it, regenerating an answer adds a sibling reply to the same
+ * question. The new branch becomes the active one.
+ */
+
+import mongoose from 'mongoose';
+import ChatHistory from '../models/ChatHistory.js';
+import { enqueueChatTitle, enqueueChatSummary } from './jobs.js';
+import { getPromptBudgets, getBranchContext } from './promptBuilder.js';
+import { countTokens, MESSAGE_OVERHEAD_TOKENS } from './tokens.js';
+import { findMessage, getParentId, getActiveMessageId } from './chatTree.js';
+
+/**
+ * Start a chat turn: load the caller's chat, or prepare a new one when no
+ * chatId is given, and assign the IDs of the messages the turn will add.
+ *
+ * @param {string} userId - The user's ID
+ * @param {string} [chatId] - Existing chat to continue
+ * @param {Object} [branch] - Where the turn goes instead of the end of the active branch
+ * @param {string} [branch.editOf] - User message the new message replaces (as a sibling)
+ * @param {string} [branch.regenerateOf] - Assistant reply to answer again (as a sibling); the
+ *   turn then reuses the question it answered instead of adding a user message
+ * @returns {Promise<Object|null>} Turn { chat, chatId, parentId, userMessageId, assistantMessageId,
+ *   question, figure }, where chat is null for a new chat, parentId is the message the turn
+ *   follows, and question and figure are set when regenerating (the question asked and the
+ *   figure that answered it). null if chatId does not belong to the user, or the edited or
+ *   regenerated message is not a user message or reply of the chat.
+ */
+export const beginChatTurn = async (userId, chatId, { editOf, regenerateOf } = {}) => {
+  let chat = null;
+  if (chatId) {
+    chat = await ChatHistory.findOne({ _id: chatId, user: userId });
+    if (!chat) {
+      return null;
+    }
+  }
+  const turn = {
+    userId,
+    chat,
+    chatId: chat ? chat._id : new mongoose.Types.ObjectId(),
+    parentId: getActiveMessageId(chat),
+    userMessageId: new mongoose.Types.ObjectId(),
+    assistantMessageId: new mongoose.Types.ObjectId(),
+    question: null,
+    figure: null,
+  };
+
+  if (editOf) {
+    const edited = findMessage(chat, editOf);
+    if (edited?.role !== 'user') {
+      return null;
+    }
+    turn.parentId = getParentId(chat, edited._id);
+  } else if (regenerateOf) {
+    const reply = findMessage(chat, regenerateOf);
+    const question = reply?.role === 'assistant' && findMessage(chat, getParentId(chat, reply._id));
+    if (question?.role !== 'user') {
+      return null;
+    }
+    turn.parentId = getParentId(chat, question._id);
+    turn.userMessageId = question._id;
+    turn.question = question.content;
+    turn.figure = reply.figure;
+  }
+  return turn;
+};
+
+/**
+ * Save a turn's user message and assistant reply in one write, and make them
+ * the end of the active branch. A reply cut short by a disconnect or provider
+ * error is saved as far as it got; an empty reply is left out and only the
+ * user message is stored (a regenerated turn then leaves the chat as it
+ * was, since its question is already saved). New chats are created
+ * here, the chat is queued for naming once its first reply is in, and for
+ * summarizing once the active branch's messages that no summary covers
+ * outgrow CHAT_HISTORY_TOKEN_BUDGET (switching back to a summarized branch
+ * reuses its summary).
+ *
+ * @param {Object} turn - Turn returned by beginChatTurn
+ * @param {Object} exchange
+ * @param {string} exchange.userMessage - The user's message
+ * @param {string} exchange.reply - The reply text, possibly partial
+ * @param {string} exchange.figure - Name of the persona that replied
+ * @param {number} [exchange.personaVersion] - Persona prompt version that produced the reply
+ * @param {Array<Object>} [exchange.sources] - Knowledge passages cited for the reply
+ * @param {string} [exchange.status='completed'] - How the reply ended: 'completed', 'stopped' or 'failed'
+ * @returns {Promise<Object>} { chatId, userMessageId, assistantMessageId }, with
+ *   assistantMessageId null when no reply was saved
+ */
+export const saveChatTurn = async (turn, { userMessage, reply, figure, personaVersion, sources = [], status = 'completed' }) => {
+  const messages = [];
+  if (!turn.question) {
+    messages.push({ _id: turn.userMessageId, parentId: turn.parentId, role: 'user', content: userMessage });
+  }
+  if (reply) {
+    messages.push({
+      _id: turn.assistantMessageId,
+      parentId: turn.userMessageId,
+      role: 'assistant',
+      content: reply,
+      figure,
+      personaVersion,
+      sources,
+      status,
+    });
+  }
+
+  const chat = turn.chat || new ChatHistory({ _id: turn.chatId, user: turn.userId, messages: [] });
+  if (messages.length === 0) {
+    return { chatId: chat._id, userMessageId: turn.userMessageId, assistantMessageId: null };
+  }
+  chat.messages.push(...messages);
+  chat.activeMessageId = messages[messages.length - 1]._id;
+  chat.lastMessage = messages[messages.length - 1].content;
+  await chat.save();
+
+  // Name the chat once its first reply is in
+  const replies = chat.messages.filter((message) => message.role === 'assistant').length;
+  if (reply && replies === 1) {
+    enqueueChatTitle(chat._id)
+      .catch((error) => console.error('Error queueing chat title:', error.message));
+  }
+
+  // Condense older turns into the running summary before they drop out of the prompt
+  const unsummarizedTokens = getBranchContext(chat).messages
+    .reduce((sum, message) => sum + countTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+  if (unsummarizedTokens > getPromptBudgets().history) {
+    enqueueChatSummary(chat._id)
+      .catch((error) => console.error('Error queueing chat summary:', error.message));
+  }
+
+  return {
+    chatId: chat._id,
+    userMessageId: turn.userMessageId,
+    assistantMessageId: reply ? turn.assistantMessageId : null,
+  };
+};
@@ -0,0 +1,415 @@
+/**
+ * @fileoverview Chat over WebSocket, alongside the SSE stream routes.
+ * One socket carries any number of messages and replies in both directions,
+ * for clients that keep a connection open (mobile apps, chat-style UIs).
+ *
+ * Connect to /api/v1/chat/ws with the same credentials as the HTTP API: a JWT
+ * in the Authorization header or `token` query parameter, or an API key in the
+ * X-API-Key header. Every frame is a JSON object with a `type`.
+ *
+ * Client to server:
+ * - chat.send { requestId?, message, figure, chatId?, options?, resumable? }: ask
+ *   a figure, validated and quota-checked as POST /chat/stream. Several replies
+ *   may stream at once, up to WS_MAX_GENERATIONS per socket.
+ * - chat.cancel { generationId }: stop a reply, as POST /chat/generations/:id/cancel
+ * - chat.resume { generationId, lastEventId? }: follow a reply again after
+ *   reconnecting, replaying the events after lastEventId
+ * - typing { chatId, isTyping }: relayed to the user's other connections
+ *
+ * Server to client:
+ * - ready { userId, maxGenerations }: the socket is authenticated
+ * - chat.event { requestId?, generationId, id, event, data }: an event of a
+ *   reply, with the same IDs, names and payloads as the SSE stream (see
+ *   utils/streamProtocol.js)
+ * - chat.end { generationId }: no more events will follow for the reply
+ * - chat.cancelled { generationId }
+ * - typing { chatId, isTyping }: the user is typing on another connection
+ * - presence { status, connections }: another connection of the user came
+ *   online or went offline; connections is how many are open now
+ * - notification { notification }: background work finished, e.g.
+ *   { type: 'chat.title', chatId, title } or { type: 'memory.updated', exchanges }
+ * - error { requestId?, generationId?, code, message, errors? }
+ *
+ * Replies are aborted when the socket closes, unless they were sent with
+ * `resumable: true`: those keep running and can be resumed (over a new socket,
+ * or GET /chat/generations/:id/events) within the grace period of
+ * utils/generations.js.
+ *
+ * Configuration (environment variables):
+ * - WS_MAX_GENERATIONS: replies a socket may stream at once (default 3)
+ * - WS_HEARTBEAT_MS: ping interval; sockets that miss a pong are dropped (default 30000)
+ */
+
+import { STATUS_CODES } from 'http';
+import { WebSocketServer } from 'ws';
+import { protect, checkQueryLimit } from '../middleware/auth.js';
+import { authenticateApiKey } from '../middleware/apiAuth.js';
+import { runValidations } from '../middleware/validator.js';
+import { chatStreamBodyValidator } from '../validators/chat.validator.js';
+import { startChatReply } from './chatStream.js';
+import { followGeneration, stopGeneration, parseEventId } from './generations.js';
+import { onUserNotification } from './notifications.js';
+
+/**
+ * @constant {string} CHAT_SOCKET_PATH - URL path the WebSocket is served on
+ */
+export const CHAT_SOCKET_PATH = '/api/v1/chat/ws';
+
+/**
+ * @constant {number} DEFAULT_MAX_GENERATIONS - Concurrent replies per socket when WS_MAX_GENERATIONS is unset
+ */
+const DEFAULT_MAX_GENERATIONS = 3;
+
+/**
+ * @constant {number} DEFAULT_HEARTBEAT_MS - Ping interval when WS_HEARTBEAT_MS is unset
+ */
+const DEFAULT_HEARTBEAT_MS = 30 * 1000;
+
+/**
+ * @constant {number} MAX_FRAME_BYTES - Largest frame accepted from a client
+ */
+const MAX_FRAME_BYTES = 64 * 1024;
+
+/**
+ * @type {Map<string, Set<WebSocket>>} connections - Open sockets keyed by user ID
+ */
+const connections = new Map();
+
+/**
+ * Read a numeric setting from the environment.
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+const numberSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Run an Express middleware outside of Express.
+ *
+ * @param {Function} middleware - (req, res, next) middleware
+ * @param {Object} req - Request passed to the middleware
+ * @returns {Promise<Object|null>} null if the middleware called next, otherwise the
+ *   response it sent: { status, body }
+ */
+const runMiddleware = (middleware, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    },
+  };
+  Promise.resolve(middleware(req, res, () => resolve(null))).catch(reject);
+});
+
+/**
+ * Authenticate a WebSocket upgrade request with `protect` (JWT) or, when
+ * only an X-API-Key header is sent, `authenticateApiKey`.
+ *
+ * @param {Object} req - Node HTTP upgrade request
+ * @returns {Promise<Object|null>} null if authenticated (req.user is set), otherwise { status, body }
+ */
+const authenticateUpgrade = (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  req.query = Object.fromEntries(url.searchParams);
+  req.header = (name) => req.headers[name.toLowerCase()];
+
+  const hasJwt = req.headers.authorization?.startsWith('Bearer') || req.query.token;
+  if (!hasJwt && req.headers['x-api-key']) {
+    return runMiddleware(authenticateApiKey, req);
+  }
+  return runMiddleware(protect, req);
+};
+
+/**
+ * Send a frame if the socket is still open.
+ *
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} frame - JSON-serializable frame with a `type`
+ */
+const sendFrame = (socket, frame) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(frame));
+  }
+};
+
+/**
+ * Send a frame to every socket of a user except one.
+ *
+ * @param {string} userId - User whose sockets receive the frame
+ * @param {WebSocket|null} except - Socket to skip (usually the sender)
+ * @param {Object} frame - JSON-serializable frame
+ */
+const broadcast = (userId, except, frame) => {
+  connections.get(userId)?.forEach((socket) => {
+    if (socket !== except) sendFrame(socket, frame);
+  });
+};
+
+/**
+ * Forward a generation's events to a socket until it ends.
+ *
+ * @param {Object} context - Socket context { socket, userId, generations }
+ * @param {string} generationId - Generation to follow
+ * @param {Object} [options]
+ * @param {string} [options.requestId] - Client's ID for the chat.send that started it
+ * @param {number} [options.afterSequence=0] - Sequence number of the last event the client received
+ * @returns {boolean} False if the generation is unknown, expired or someone else's
+ */
+const forwardGeneration = ({ socket, userId, generations }, generationId, { requestId, afterSequence = 0 } = {}) => {
+  // Following twice would send every event twice
+  generations.get(generationId)?.();
+  generations.delete(generationId);
+
+  let ended = false;
+  const unfollow = followGeneration(generationId, {
+    send: ({ id, event, data }) => sendFrame(socket, {
+      type: 'chat.event',
+      ...(requestId && { requestId }),
+      generationId,
+      id,
+      event,
+      data,
+    }),
+    end: () => {
+      ended = true;
+      generations.delete(generationId);
+      sendFrame(socket, { type: 'chat.end', generationId });
+    },
+  }, { userId, afterSequence });
+  if (!unfollow) {
+    return false;
+  }
+  // end() has already run if the generation had finished
+  if (!ended) {
+    generations.set(generationId, unfollow);
+  }
+  return true;
+};
+
+/**
+ * Validate a chat.send frame, check the user's quota and start the reply.
+ *
+ * @param {Object} context - Socket context { socket, user, generations, closed }
+ * @param {Object} frame - chat.send frame { requestId, message, figure, chatId, options, resumable }
+ * @returns {Promise<void>}
+ */
+const sendChatMessage = async (context, frame) => {
+  const { socket, user } = context;
+  const { requestId } = frame;
+  const payload = { body: { ...frame } };
+  const errors = await runValidations(chatStreamBodyValidator, payload);
+  if (errors) {
+    return sendFrame(socket, { type: 'error', requestId, code: 'validation_failed', message: 'Invalid message', errors });
+  }
+
+  const limited = await runMiddleware(checkQueryLimit, { user });
+  if (limited) {
+    return sendFrame(socket, {
+      type: 'error',
+      requestId,
+      code: limited.status === 429 ? 'quota_exceeded' : 'server_error',
+      message: limited.body.message,
+    });
+  }
+
+  const { message, figure, chatId, options, resumable } = payload.body;
+  const reply = await startChatReply(user._id, { message, wisdomFigure: figure, chatId, options, resumable });
+  if (!reply) {
+    return sendFrame(socket, { type: 'error', requestId, code: 'chat_not_found', message: 'Chat not found' });
+  }
+
+  // A socket that closed in the meantime would never unfollow: leave the reply
+  // unfollowed so it is aborted, or for a resumable one, so another connection
+  // can still resume it within the grace period
+  if (context.closed) {
+    return;
+  }
+  // Failures of the reply itself arrive as its error event
+  forwardGeneration(context, reply.generation.id, { requestId });
+};
+
+/**
+ * Handlers for each client frame type.
+ * @type {Object<string, Function>} (context, frame) => Promise<void>
+ */
+const frameHandlers = {
+  'chat.send': async (context, frame) => {
+    // Replies still being started count too, or a burst of frames would all pass
+    if (context.generations.size + context.pendingSends >= numberSetting('WS_MAX_GENERATIONS', DEFAULT_MAX_GENERATIONS)) {
+      return sendFrame(context.socket, {
+        type: 'error',
+        requestId: frame.requestId,
+        code: 'too_many_generations',
+        message: 'Wait for a reply to finish or cancel one before sending another message',
+      });
+    }
+
+    context.pendingSends += 1;
+    try {
+      await sendChatMessage(context, frame);
+    } finally {
+      context.pendingSends -= 1;
+    }
+  },
+
+  'chat.cancel': async ({ socket, userId }, { generationId }) => {
+    if (!stopGeneration(String(generationId), 'cancelled', userId)) {
+      return sendFrame(socket, {
+        type: 'error',
+        generationId,
+        code: 'generation_not_found',
+        message: 'Generation not found or already finished',
+      });
+    }
+    sendFrame(socket, { type: 'chat.cancelled', generationId });
+  },
+
+  'chat.resume': async (context, { generationId, lastEventId }) => {
+    const lastEvent = parseEventId(lastEventId);
+    const afterSequence = lastEvent?.generationId === generationId ? lastEvent.sequence : 0;
+    if (!forwardGeneration(context, String(generationId), { afterSequence })) {
+      sendFrame(context.socket, {
+        type: 'error',
+        generationId,
+        code: 'generation_not_found',
+        message: 'Generation not found or expired',
+      });
+    }
+  },
+
+  typing: async ({ socket, userId }, { chatId, isTyping }) => {
+    broadcast(userId, socket, { type: 'typing', chatId: chatId ? String(chatId) : null, isTyping: Boolean(isTyping) });
+  },
+};
+
+/**
+ * Serve an authenticated socket until it closes.
+ *
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} user - Authenticated user
+ */
+const handleConnection = (socket, user) => {
+  const userId = String(user._id);
+  const context = {
+    socket,
+    user,
+    userId,
+    // Replies this socket is following: generationId -> unfollow
+    generations: new Map(),
+    // chat.send frames accepted but not yet following their reply
+    pendingSends: 0,
+    closed: false,
+  };
+
+  if (!connections.has(userId)) {
+    connections.set(userId, new Set());
+  }
+  connections.get(userId).add(socket);
+  broadcast(userId, socket, { type: 'presence', status: 'online', connections: connections.get(userId).size });
+
+  const stopNotifications = onUserNotification(userId, (notification) => sendFrame(socket, { type: 'notification', notification }));
+
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  socket.on('message', async (raw) => {
+    let frame;
+    try {
+      frame = JSON.parse(raw.toString());
+    } catch (error) {
+      return sendFrame(socket, { type: 'error', code: 'invalid_frame', message: 'Frames must be JSON objects' });
+    }
+    const handler = frame && typeof frame === 'object' && Object.hasOwn(frameHandlers, frame.type) && frameHandlers[frame.type];
+    if (!handler) {
+      return sendFrame(socket, { type: 'error', requestId: frame?.requestId, code: 'invalid_frame', message: `Unknown frame type: ${frame?.type}` });
+    }
+
+    try {
+      await handler(context, frame);
+    } catch (error) {
+      console.error(`[WS] Error handling ${frame.type}:`, error);
+      sendFrame(socket, { type: 'error', requestId: frame.requestId, code: 'server_error', message: `Error handling ${frame.type}` });
+    }
+  });
+
+  socket.on('close', () => {
+    context.closed = true;
+    // Replies are aborted, or for resumable ones kept running for a while so they can be resumed
+    context.generations.forEach((unfollow) => unfollow());
+    context.generations.clear();
+    stopNotifications();
+
+    const userSockets = connections.get(userId);
+    userSockets?.delete(socket);
+    if (userSockets?.size === 0) {
+      connections.delete(userId);
+    }
+    broadcast(userId, null, { type: 'presence', status: 'offline', connections: userSockets?.size || 0 });
+  });
+
+  sendFrame(socket, {
+    type: 'ready',
+    userId,
+    maxGenerations: numberSetting('WS_MAX_GENERATIONS', DEFAULT_MAX_GENERATIONS),
+  });
+};
+
+/**
+ * Serve the chat WebSocket on an HTTP server. Upgrade requests to other paths
+ * are left alone; unauthenticated ones are answered with the same status and
+ * message as the HTTP API.
+ *
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {WebSocketServer} The WebSocket server
+ *
+ * @example
+ * const server = app.listen(PORT, HOST);
+ * attachChatSocket(server);
+ */
+export const attachChatSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_FRAME_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== CHAT_SOCKET_PATH) {
+      return;
+    }
+    try {
+      const rejection = await authenticateUpgrade(req);
+      if (rejection) {
+        const body = JSON.stringify(rejection.body);
+        socket.end(`HTTP/1.1 ${rejection.status} ${STATUS_CODES[rejection.status]}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, req.user));
+    } catch (error) {
+      console.error('[WS] Upgrade error:', error);
+      socket.destroy();
+    }
+  });
+
+  // Drop sockets whose client stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, numberSetting('WS_HEARTBEAT_MS', DEFAULT_HEARTBEAT_MS));
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Streaming chat reply pipeline shared by the chat stream routes
+ * and the chat WebSocket (utils/chatSocket.js).
+ * Loads or starts the chat, assembles the prompt from the persona, user memory,
+ * knowledge and chat thread, streams the reply, saves the exchange and queues
+ * the follow-up work (memory update, query count).
+ *
+ * Replies are sent as the events of utils/streamProtocol.js. Each reply is
+ * registered as a generation (see utils/generations.js) whose events carry
+ * IDs and are buffered, so a client that reconnects with
+ * Last-Event-ID picks the reply up where it left off. If the user cancels it
+ * or disconnects, the upstream request is aborted and the partial reply is
+ * saved with status 'stopped'; replies requested as resumable wait for a
+ * reconnect first.
+ *
+ * Configuration (environment variables):
+ * - SSE_HEARTBEAT_MS: interval of the heartbeat comments that keep proxies
+ *   from closing a stream while the model is thinking (default 15000)
+ */
+
+import User from '../models/User.js';
+import { getUserMemory } from './memory.js';
+import { enqueueMemoryUpdate } from './jobs.js';
+import { getPersona } from './personas.js';
+import { findRelevantFiles, toSources } from './knowledge.js';
+import { getProvider } from '../providers/index.js';
+import { beginChatTurn, saveChatTurn } from './chatPersistence.js';
+import { buildChatPrompt } from './promptBuilder.js';
+import { startGeneration, followGeneration, parseEventId } from './generations.js';
+import { writeEvent, sendComment, startEventStream } from './sse.js';
+import { STREAM_EVENTS, STREAM_PROTOCOL_VERSION, toStreamError } from './streamProtocol.js';
+import { countTokens } from './tokens.js';
+
+/**
+ * @constant {number} DEFAULT_HEARTBEAT_MS - Heartbeat interval when SSE_HEARTBEAT_MS is unset
+ */
+const DEFAULT_HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * Stream the model's reply for a prepared prompt into a generation as `delta`
+ * events, then save the exchange, queue the memory update, count the query
+ * and publish the `usage` and `end` events. A provider failure is published
+ * as an `error` event before `end`. The generation is finished however this
+ * ends.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User the reply is for
+ * @param {Object} params.generation - Handle from startGeneration
+ * @param {Object} params.turn - Result of beginChatTurn
+ * @param {Object|null} params.persona - Persona replying
+ * @param {Object} params.prompt - Result of buildChatPrompt
+ * @param {Array<Object>} params.sources - Sources cited for the reply
+ * @param {string} params.message - The user's message
+ * @param {string} params.wisdomFigure - Name or slug the persona was requested by
+ * @param {Object} params.options - Generation overrides
+ * @returns {Promise<void>} Resolves once the `end` event is published; never rejects
+ */
+const generateReply = async ({ userId, generation, turn, persona, prompt, sources, message, wisdomFigure, options }) => {
+  let fullReply = '';
+  let status = 'completed';
+  let finishReason = null;
+  let usage = null;
+  let saved = false;
+  try {
+    try {
+      const stream = getProvider().stream({
+        messages: prompt.messages,
+        temperature: options.temperature ?? persona?.style?.temperature,
+        maxTokens: options.maxTokens ?? persona?.style?.maxTokens,
+        signal: generation.signal,
+      });
+      for await (const chunk of stream) {
+        if (chunk.content) {
+          fullReply += chunk.content;
+          generation.publish(STREAM_EVENTS.delta, { content: chunk.content });
+        }
+        finishReason = chunk.finishReason || finishReason;
+        usage = chunk.usage || usage;
+      }
+    } catch (error) {
+      // An abort is how a cancelled generation ends; anything else is a provider failure
+      if (!generation.stopReason()) {
+        throw error;
+      }
+      status = 'stopped';
+      console.log(`[STREAM] Generation ${generation.id} stopped (${generation.stopReason()})`);
+    }
+  } catch (error) {
+    status = 'failed';
+    console.error(`[STREAM] Generation ${generation.id} failed:`, error);
+    if (error.status) {
+      console.error("LLM API Error Status:", error.status);
+      console.error("LLM API Error Data:", error.error);
+    }
+    generation.publish(STREAM_EVENTS.error, toStreamError(error));
+  }
+
+  try {
+    // Save the exchange, including a partial reply if the stream was cut short
+    try {
+      await saveChatTurn(turn, {
+        userMessage: message,
+        reply: fullReply,
+        figure: persona ? persona.name : wisdomFigure,
+        personaVersion: persona?.currentVersion,
+        sources,
+        status
+      });
+      saved = true;
+    } catch (error) {
+      console.error('Error saving streamed exchange:', error);
+    }
+
+    // Update user memory with the conversation in the background
+    if (fullReply) {
+      enqueueMemoryUpdate(userId, {
+        userMessage: message,
+        aiResponse: fullReply,
+        wisdomFigure: persona ? persona.name : wisdomFigure,
+        figure: persona?.slug
+      }).catch((error) => console.error('Error queueing memory update:', error.message));
+    }
+
+    // Update user's daily query count; stopped and failed generations are not counted
+    if (status === 'completed') {
+      try {
+        const user = await User.findById(userId);
+        if (user) {
+          user.dailyQueryCount += 1;
+          await user.save();
+        }
+      } catch (error) {
+        console.error('Error updating query count:', error);
+      }
+    }
+
+    // Providers that do not report usage (or a reply cut short before they did) get an estimate
+    generation.publish(STREAM_EVENTS.usage, usage
+      ? { ...usage, estimated: false }
+      : { promptTokens: prompt.tokens.total, completionTokens: countTokens(fullReply), estimated: true });
+
+    // personaVersion lets the client record which prompt produced the reply
+    const reasons = { completed: finishReason || 'stop', stopped: generation.stopReason(), failed: 'error' };
+    generation.publish(STREAM_EVENTS.end, {
+      finish_reason: reasons[status],
+      status,
+      saved,
+      personaVersion: persona?.currentVersion
+    });
+  } finally {
+    // The buffer is kept for a while so a client that missed the end can still replay it
+    generation.finish();
+  }
+};
+
+/**
+ * Start a wisdom figure's reply to a message: prepare the chat and prompt,
+ * register a generation and publish its `start` and `sources` events. The reply
+ * itself streams into the generation in the background; follow it with
+ * followGeneration (the events published so far are replayed).
+ *
+ * @param {string} userId - User sending the message (quota already checked)
+ * @param {Object} params
+ * @param {string} [params.message] - The user's message (not used when regenerating)
+ * @param {string} [params.wisdomFigure] - Name or slug of the persona replying; when regenerating,
+ *   defaults to the figure of the regenerated reply
+ * @param {string} [params.chatId] - Chat to continue; a new chat is created when omitted
+ * @param {string} [params.editOf] - User message of the chat that `message` replaces, on a new branch
+ * @param {string} [params.regenerateOf] - Reply of the chat to answer again, on a new branch
+ * @param {Object} [params.options] - Generation overrides
+ * @param {number} [params.options.temperature] - Overrides the persona's temperature
+ * @param {number} [params.options.maxTokens] - Overrides the persona's reply length limit
+ * @param {boolean} [params.resumable=false] - Keep generating for a while after the client
+ *   disconnects, so it can resume the reply (see utils/generations.js)
+ * @returns {Promise<Object|null>} { generation, completion }, or null if chatId is not one of the
+ *   user's chats (or editOf / regenerateOf is not a user message / reply of it). `completion`
+ *   resolves once the reply has ended, whether or not it succeeded.
+ */
+export const startChatReply = async (userId, { chatId, editOf, regenerateOf, options = {}, resumable = false, ...params }) => {
+  // Both messages of this exchange are saved to the chat; a new one is created if chatId is absent
+  const turn = await beginChatTurn(userId, chatId, { editOf, regenerateOf });
+  if (!turn) {
+    return null;
+  }
+  const message = turn.question ?? params.message;
+  const wisdomFigure = params.wisdomFigure || turn.figure;
+
+  const persona = await getPersona(wisdomFigure);
+
+  // User memory, with chatId for context and the figure for its own history with the user
+  const memory = await getUserMemory(userId, message, chatId, persona?.slug);
+
+  // Knowledge passages, scoped to the persona's own sources
+  const relevantFiles = await findRelevantFiles(message, { persona });
+
+  // Assemble persona, memory, knowledge and the branch being continued within the prompt token budgets;
+  // only the passages that fit are sent, so only those are cited
+  const prompt = buildChatPrompt({
+    persona,
+    memory,
+    passages: relevantFiles,
+    chat: turn.chat,
+    parentId: turn.parentId,
+    message
+  });
+  const sources = toSources(prompt.passages);
+
+  const generation = startGeneration({ userId, chatId: turn.chatId, resumable });
+
+  // Tell the client where the exchange is saved, so it can continue the chat, and how to cancel it
+  generation.publish(STREAM_EVENTS.start, {
+    protocolVersion: STREAM_PROTOCOL_VERSION,
+    chatId: turn.chatId,
+    generationId: generation.id,
+    figure: persona?.slug || wisdomFigure,
+    parentId: turn.parentId,
+    userMessageId: turn.userMessageId,
+    assistantMessageId: turn.assistantMessageId
+  });
+
+  // Cite the knowledge passages the answer is grounded on before streaming it
+  generation.publish(STREAM_EVENTS.sources, { sources });
+
+  console.log(`Sending ${prompt.messages.length} messages to the model (~${prompt.tokens.total} tokens).`);
+
+  const completion = generateReply({ userId, generation, turn, persona, prompt, sources, message, wisdomFigure, options });
+  return { generation, completion };
+};
+
+/**
+ * Send a generation's events to an SSE response until it finishes, with
+ * heartbeat comments in between. SSE headers are set if the response does
+ * not have them yet.
+ *
+ * @param {string} generationId - Generation to follow
+ * @param {Object} res - Express response
+ * @param {Object} [options] - userId and afterSequence, as for followGeneration
+ * @returns {boolean} False if the generation is unknown, expired or someone else's; nothing is written then
+ */
+const streamGenerationToResponse = (generationId, res, options) => {
+  const isOpen = () => {
+    if (!res.headersSent) {
+      res.setHeader('X-Stream-Protocol', STREAM_PROTOCOL_VERSION);
+      startEventStream(res);
+    }
+    return !res.writableEnded && !res.destroyed;
+  };
+  const unfollow = followGeneration(generationId, {
+    send: (message) => isOpen() && writeEvent(res, message),
+    end: () => isOpen() && res.end(),
+  }, options);
+  if (!unfollow) {
+    return false;
+  }
+
+  if (!isOpen()) {
+    // Finished already, or the client left before it could be subscribed
+    unfollow();
+    return true;
+  }
+  const heartbeatMs = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || DEFAULT_HEARTBEAT_MS;
+  const heartbeat = setInterval(() => isOpen() && sendComment(res), heartbeatMs);
+  heartbeat.unref();
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unfollow();
+  });
+  return true;
+};
+
+/**
+ * Continue a generation's stream for a reconnecting client: replay the events
+ * after `lastEventId`, then follow it live.
+ *
+ * @param {Object} req - Express request, authenticated by `protect`
+ * @param {Object} res - Express response
+ * @param {string} generationId - Generation to follow
+ * @param {string} [lastEventId] - ID of the last event the client received; everything is replayed when absent
+ * @returns {boolean} False if the generation is unknown, expired or someone else's; nothing is written then
+ */
+export const resumeChatStream = (req, res, generationId, lastEventId) => {
+  const lastEvent = parseEventId(lastEventId);
+  const afterSequence = lastEvent?.generationId === generationId ? lastEvent.sequence : 0;
+  return streamGenerationToResponse(generationId, res, { userId: req.user._id, afterSequence });
+};
+
+/**
+ * Stream a wisdom figure's reply to a message as Server-Sent Events.
+ *
+ * Events, in order: `start`, `sources`, `delta` chunks, `error` if the reply
+ * failed, `usage` and `end` (see utils/streamProtocol.js). Errors before
+ * streaming starts are sent as JSON with a 404 or 500 status; once it has
+ * started they are sent as an `error` event.
+ *
+ * Every event has an ID. When EventSource reconnects it repeats the request
+ * with a Last-Event-ID header; the stream then resumes after that event
+ * instead of asking the model again. A reconnect for a generation that is no
+ * longer buffered gets 204, which tells EventSource to stop retrying. The
+ * reply is aborted when the client disconnects unless it was requested as
+ * resumable, in which case it keeps running while the client reconnects.
+ *
+ * Stopped and failed generations do not count towards the user's daily query limit.
+ *
+ * The message is used exactly as given: callers validate it, and escaping is
+ * left to whatever renders it.
+ *
+ * @param {Object} req - Express request, authenticated by `protect`
+ * @param {Object} res - Express response
+ * @param {Object} params - As for startChatReply: message, wisdomFigure, chatId, editOf,
+ *   regenerateOf, options and resumable
+ * @returns {Promise<void>}
+ */
+export const streamChatReply = async (req, res, { message, wisdomFigure, chatId, editOf, regenerateOf, options = {}, resumable = false }) => {
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    const lastEvent = parseEventId(lastEventId);
+    if (!lastEvent || !resumeChatStream(req, res, lastEvent.generationId, lastEventId)) {
+      res.status(204).end();
+    }
+    return;
+  }
+
+  try {
+    const userId = req.user._id;
+    console.log(`[STREAM] Processing for user ${userId}, chatId: ${chatId || 'new chat'}`);
+
+    const reply = await startChatReply(userId, { message, wisdomFigure, chatId, editOf, regenerateOf, options, resumable });
+    if (!reply) {
+      return res.status(404).json({ message: editOf || regenerateOf ? 'Chat or message not found' : 'Chat not found' });
+    }
+
+    // Events go to the generation's buffer and from there to this response and any reconnects
+    streamGenerationToResponse(reply.generation.id, res);
+    await reply.completion;
+
+  } catch (error) {
+    console.error("Streaming error:", error);
+    console.error("Error name:", error.name);
+    console.error("Error message:", error.message);
+    console.error("Error stack:", error.stack);
+
+    // Check if it's an LLM provider API error
+    if (error.status) {
+      console.error("LLM API Error Status:", error.status);
+      console.error("LLM API Error Data:", error.error);
+    }
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: "Error communicating with the language model.",
+        message: error.message,
+        type: error.name
+      });
+    }
+    // Once the stream has started, the client can only be told with an error event
+    if (!res.writableEnded && !res.destroyed) {
+      writeEvent(res, { event: STREAM_EVENTS.error, data: toStreamError(error) });
+      res.end();
+    }
+  }
+};
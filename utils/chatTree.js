@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Conversation branches of a chat.
+ * A chat's messages form a tree: each message points at the message it
+ * follows (`parentId`, null for the first message of a branch at the root),
+ * so editing a question or regenerating an answer adds a sibling instead of
+ * replacing the rest of the thread. `activeMessageId` is the last message of
+ * the branch the user is looking at; the thread shown, and sent to the model,
+ * is the path from the root to it.
+ *
+ * Messages saved before branching have no parentId: each one follows the
+ * message before it in the array, which keeps old chats a single thread.
+ */
+
+/**
+ * Parent ID of the message at an index, applying the rule for messages saved
+ * before branching.
+ *
+ * @param {Array<Object>} messages - The chat's messages in array order
+ * @param {number} index - Index of the message
+ * @returns {string|null} Parent message ID, or null for a root message
+ */
+const parentIdAt = (messages, index) => {
+  const { parentId } = messages[index];
+  if (parentId !== undefined) {
+    return parentId ? String(parentId) : null;
+  }
+  return index > 0 ? String(messages[index - 1]._id) : null;
+};
+
+/**
+ * Find a message of a chat.
+ *
+ * @param {Object} chat - ChatHistory document or lean object
+ * @param {string} messageId - Message ID
+ * @returns {Object|null} The message, or null if the chat has no such message
+ */
+export const findMessage = (chat, messageId) =>
+  (chat?.messages || []).find((message) => String(message._id) === String(messageId)) || null;
+
+/**
+ * Parent ID of a message.
+ *
+ * @param {Object} chat - ChatHistory document or lean object
+ * @param {string} messageId - Message ID
+ * @returns {string|null} Parent message ID; null for a root message or an unknown ID
+ */
+export const getParentId = (chat, messageId) => {
+  const index = (chat?.messages || []).findIndex((message) => String(message._id) === String(messageId));
+  return index === -1 ? null : parentIdAt(chat.messages, index);
+};
+
+/**
+ * Messages that follow a message (or the root messages), oldest first.
+ *
+ * @param {Object} chat - ChatHistory document or lean object
+ * @param {string|null} parentId - Parent message ID, or null for the roots
+ * @returns {Array<Object>} The child messages
+ */
+export const getChildren = (chat, parentId) => {
+  const messages = chat?.messages || [];
+  const key = parentId ? String(parentId) : null;
+  return messages.filter((message, index) => parentIdAt(messages, index) === key);
+};
+
+/**
+ * ID of the last message of the active branch.
+ *
+ * @param {Object|null} chat - ChatHistory document or lean object (null for a new chat)
+ * @returns {string|null} Message ID, or null for an empty chat
+ */
+export const getActiveMessageId = (chat) => {
+  if (chat?.activeMessageId && findMessage(chat, chat.activeMessageId)) {
+    return String(chat.activeMessageId);
+  }
+  const last = chat?.messages?.[chat.messages.length - 1];
+  return last ? String(last._id) : null;
+};
+
+/**
+ * Messages on the path from the root to a message, oldest first.
+ *
+ * @param {Object|null} chat - ChatHistory document or lean object (null for a new chat)
+ * @param {string|null} [messageId] - Last message of the path; defaults to the active branch
+ * @returns {Array<Object>} The messages of the branch
+ */
+export const getBranch = (chat, messageId = getActiveMessageId(chat)) => {
+  const messages = chat?.messages || [];
+  const indexById = new Map(messages.map((message, index) => [String(message._id), index]));
+  const branch = [];
+  let index = messageId ? indexById.get(String(messageId)) : undefined;
+  while (index !== undefined && branch.length < messages.length) {
+    branch.unshift(messages[index]);
+    const parentId = parentIdAt(messages, index);
+    index = parentId ? indexById.get(parentId) : undefined;
+  }
+  return branch;
+};
+
+/**
+ * The last message of the newest branch below a message: follows the most
+ * recently added child at each step. Switching to a message shows the
+ * latest continuation of it.
+ *
+ * @param {Object} chat - ChatHistory document or lean object
+ * @param {string} messageId - Message to start from
+ * @returns {string} ID of the last message of that branch
+ */
+export const getLatestDescendantId = (chat, messageId) => {
+  let current = String(messageId);
+  for (let depth = 0; depth < chat.messages.length; depth++) {
+    const children = getChildren(chat, current);
+    if (children.length === 0) break;
+    current = String(children[children.length - 1]._id);
+  }
+  return current;
+};
+
+/**
+ * The active thread of a chat as sent to clients: the messages of the active
+ * branch, each with the IDs of its siblings (its alternatives, including
+ * itself) so the client can offer switching between them.
+ *
+ * @param {Object} chat - ChatHistory document or lean object
+ * @returns {Array<Object>} Messages { _id, parentId, role, content, figure, personaVersion,
+ *   sources, status, timestamp, siblingIds, siblingIndex }
+ */
+export const toThreadView = (chat) => getBranch(chat).map((message) => {
+  const plain = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+  const parentId = getParentId(chat, message._id);
+  const siblingIds = getChildren(chat, parentId).map((sibling) => String(sibling._id));
+  return {
+    ...plain,
+    parentId,
+    siblingIds,
+    siblingIndex: siblingIds.indexOf(String(message._id)),
+  };
+});
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Heading-aware text chunking for knowledge ingestion.
+ * Splits knowledge documents into overlapping passages small enough to embed
+ * without truncation, recording the file, section and character offset of each
+ * passage so retrieval can cite exactly where context came from.
+ */
+
+/**
+ * @constant {number} DEFAULT_CHUNK_SIZE - Target maximum passage length in characters (~250 tokens)
+ * Overridden by the KNOWLEDGE_CHUNK_SIZE environment variable
+ */
+export const DEFAULT_CHUNK_SIZE = 1000;
+
+/**
+ * @constant {number} DEFAULT_CHUNK_OVERLAP - Characters shared between consecutive passages of a section
+ * Overridden by the KNOWLEDGE_CHUNK_OVERLAP environment variable
+ */
+export const DEFAULT_CHUNK_OVERLAP = 200;
+
+/**
+ * @constant {number} MIN_SECTION_LENGTH - Sections shorter than this are merged into the next one
+ */
+const MIN_SECTION_LENGTH = 100;
+
+/**
+ * Detect a heading line and return its title.
+ * Recognizes Markdown headings ("## Enchiridion") and the all-caps labels used
+ * by the persona sheets ("TYPICAL THEMES:").
+ *
+ * @param {string} line - A single line without its line terminator
+ * @returns {string|null} Heading title, or null if the line is not a heading
+ */
+export const parseHeading = (line) => {
+  const markdown = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+  if (markdown) return markdown[1];
+
+  const label = line.match(/^\s*([A-Z][A-Z0-9 ,'&()/-]{2,60}):\s*$/);
+  if (label) {
+    return label[1].toLowerCase().replace(/\b\w/g, (c) => c.toUpperCase());
+  }
+  return null;
+};
+
+/**
+ * Split a document into sections at heading lines.
+ *
+ * @param {string} content - Full document text
+ * @returns {Array<{section: string|null, start: number, end: number}>} Section ranges (end exclusive)
+ */
+const splitSections = (content) => {
+  const sections = [];
+  let current = { section: null, start: 0 };
+  const linePattern = /[^\r\n]*(?:\r\n|\n|\r|$)/g;
+  let match;
+
+  while ((match = linePattern.exec(content)) !== null && match[0] !== '') {
+    const line = match[0].replace(/[\r\n]+$/, '');
+    const title = parseHeading(line);
+    if (title) {
+      current.end = match.index;
+      sections.push(current);
+      current = { section: title, start: match.index };
+    }
+  }
+  current.end = content.length;
+  sections.push(current);
+
+  // Fold tiny sections (e.g. a "WISDOM FIGURE: Buddha" preamble) into the
+  // following section instead of emitting passages with no substance
+  const merged = [];
+  sections
+    .filter(({ start, end }) => content.slice(start, end).trim() !== '')
+    .forEach((section) => {
+      const pending = merged[merged.length - 1];
+      if (pending && pending.end - pending.start < MIN_SECTION_LENGTH && pending.end === section.start) {
+        merged[merged.length - 1] = { ...section, start: pending.start };
+      } else {
+        merged.push(section);
+      }
+    });
+  return merged;
+};
+
+/**
+ * Find a good place to end a passage at or before `limit`, preferring
+ * paragraph breaks, then sentence ends, then whitespace.
+ *
+ * @param {string} content - Full document text
+ * @param {number} start - Passage start offset
+ * @param {number} limit - Hard end offset
+ * @returns {number} End offset (exclusive)
+ */
+const findBreak = (content, start, limit) => {
+  const window = content.slice(start, limit);
+  // Don't accept a break that would leave a tiny passage
+  const minimum = Math.floor(window.length / 2);
+  const candidates = [/\n\s*\n/g, /[.!?]["')\]]?\s/g, /\s/g];
+
+  for (const pattern of candidates) {
+    let last = -1;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+      last = match.index + match[0].length;
+    }
+    if (last > minimum) return start + last;
+  }
+  return limit;
+};
+
+/**
+ * Split one document into overlapping, heading-aware passages.
+ *
+ * @param {Object} document - Loaded knowledge document
+ * @param {string} document.fileName - Source file name
+ * @param {string} document.content - Document text
+ * @param {Object} [document.metadata] - Document metadata (author, work, ...), copied onto every passage
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Maximum passage length in characters (default KNOWLEDGE_CHUNK_SIZE or DEFAULT_CHUNK_SIZE)
+ * @param {number} [options.overlap] - Overlap between consecutive passages (default KNOWLEDGE_CHUNK_OVERLAP or DEFAULT_CHUNK_OVERLAP)
+ * @returns {Array<Object>} Passages
+ * @returns {string} Array[].id - Stable passage ID ("file.txt#3")
+ * @returns {string} Array[].fileName - Source file name
+ * @returns {string|null} Array[].section - Heading the passage falls under, if any
+ * @returns {number} Array[].offset - Character offset of the passage in the source file
+ * @returns {number} Array[].length - Passage length in characters
+ * @returns {string} Array[].content - Passage text
+ * @returns {Object} Array[].metadata - The document's metadata
+ *
+ * @example
+ * const passages = chunkDocument({ fileName: 'epictetus.txt', content });
+ * console.log(passages[0].section); // 'Personality'
+ */
+export const chunkDocument = (
+  { fileName, content, metadata = {} },
+  {
+    chunkSize = parseInt(process.env.KNOWLEDGE_CHUNK_SIZE, 10) || DEFAULT_CHUNK_SIZE,
+    overlap = parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP, 10) || DEFAULT_CHUNK_OVERLAP,
+  } = {}
+) => {
+  if (overlap >= chunkSize) {
+    throw new Error('Chunk overlap must be smaller than the chunk size');
+  }
+
+  const passages = [];
+  for (const { section, start, end } of splitSections(content)) {
+    let position = start;
+    while (position < end) {
+      const limit = Math.min(position + chunkSize, end);
+      const stop = limit === end ? end : findBreak(content, position, limit);
+      const raw = content.slice(position, stop);
+      const text = raw.trim();
+
+      if (text) {
+        passages.push({
+          id: `${fileName}#${passages.length}`,
+          fileName,
+          section,
+          offset: position + raw.indexOf(text),
+          length: text.length,
+          content: text,
+          metadata,
+        });
+      }
+
+      if (stop >= end) break;
+      // Step back for overlap, but always make progress
+      position = Math.max(stop - overlap, position + 1);
+      // Start the next passage on a word boundary
+      while (position < stop && !/\s/.test(content[position - 1])) position++;
+    }
+  }
+  return passages;
+};
+
+/**
+ * Chunk a list of documents.
+ *
+ * @param {Array<Object>} documents - Loaded knowledge documents ({ fileName, content })
+ * @param {Object} [options] - Chunking options (see chunkDocument)
+ * @returns {Array<Object>} Passages from all documents, in document order
+ */
+export const chunkDocuments = (documents, options) =>
+  documents.flatMap((document) => chunkDocument(document, options));
+
+/**
+ * Text sent to the embedding model for a passage. Prefixing the file (with its
+ * author and work, when known) and section gives short passages enough context
+ * to embed meaningfully.
+ *
+ * @param {Object} passage - Passage from chunkDocument
+ * @returns {string} Text to embed
+ */
+export const toEmbeddingText = ({ fileName, section, content, metadata }) => {
+  const attribution = [metadata?.author, metadata?.work].filter(Boolean).join(', ');
+  return `${fileName}${attribution ? ` (${attribution})` : ''}${section ? ` § ${section}` : ''}\n${content}`;
+};
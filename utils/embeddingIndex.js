@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Reading and writing the knowledge embeddings file.
+ * The file records which embedding model produced its vectors and their
+ * dimensions, plus a content hash for every passage. Hashes let ingestion reuse
+ * the embedding of any passage whose text is unchanged, and the model header
+ * keeps vectors from different models from ever being mixed in one index.
+ *
+ * File format:
+ * {
+ *   "version": 2,
+ *   "model": "text-embedding-ada-002",
+ *   "dimensions": 1536,
+ *   "generatedAt": "2025-04-18T12:00:00.000Z",
+ *   "passages": [{ id, fileName, section, offset, length, content, metadata, hash, embedding }]
+ * }
+ *
+ * Files written before this format (a bare array of entries) are still read;
+ * their model is unknown and reported as null.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { toEmbeddingText } from './chunker.js';
+
+/**
+ * @constant {number} INDEX_FORMAT_VERSION - Current embeddings file format
+ */
+export const INDEX_FORMAT_VERSION = 2;
+
+/**
+ * Content hash of a passage, covering exactly the text sent to the embedding
+ * model. Two passages with the same hash always embed to the same vector.
+ *
+ * @param {Object} passage - Passage ({ fileName, section, content })
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export const hashPassage = (passage) =>
+  crypto.createHash('sha256').update(toEmbeddingText(passage)).digest('hex');
+
+/**
+ * Normalize an embeddings file entry to the passage shape. Files written before
+ * chunked ingestion hold one whole-file entry per document; those are treated
+ * as a single passage starting at offset 0.
+ *
+ * @param {Object} item - Entry from the embeddings file
+ * @returns {Object} Passage ({ id, fileName, section, offset, length, content, metadata, hash, embedding })
+ */
+const toPassage = (item) => {
+  const passage = {
+    id: item.id || `${item.fileName}#0`,
+    fileName: item.fileName,
+    section: item.section ?? null,
+    offset: item.offset ?? 0,
+    length: item.length ?? item.content.length,
+    content: item.content,
+    metadata: item.metadata ?? {},
+  };
+  return { ...passage, hash: item.hash || hashPassage(passage), embedding: item.embedding };
+};
+
+/**
+ * Check that every passage carries a vector of the same length.
+ *
+ * @param {Array<Object>} passages - Embedded passages
+ * @param {number|null} [expected] - Required dimensions, or null to take them from the first passage
+ * @returns {number|null} The common dimensions, or null if there are no passages
+ * @throws {Error} If any vector is missing or has a different length
+ */
+export const checkDimensions = (passages, expected = null) => {
+  let dimensions = expected;
+  for (const { id, embedding } of passages) {
+    if (!Array.isArray(embedding) || embedding.length === 0) {
+      throw new Error(`Passage ${id} has no embedding`);
+    }
+    dimensions = dimensions ?? embedding.length;
+    if (embedding.length !== dimensions) {
+      throw new Error(`Passage ${id} has ${embedding.length}-dimensional embedding, expected ${dimensions}`);
+    }
+  }
+  return dimensions;
+};
+
+/**
+ * Create an empty index for a model.
+ *
+ * @param {string|null} [model=null] - Embedding model name
+ * @returns {Object} Index ({ model, dimensions, passages })
+ */
+export const emptyIndex = (model = null) => ({ model, dimensions: null, passages: [] });
+
+/**
+ * Read an embeddings file.
+ *
+ * @param {string} filePath - Path to the embeddings file
+ * @returns {Object} Index ({ model, dimensions, passages })
+ * @throws {Error} If the file cannot be read, has an unknown format, or holds vectors of mixed dimensions
+ */
+export const readEmbeddingIndex = (filePath) => {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+  if (Array.isArray(data)) {
+    const passages = data.map(toPassage);
+    return { model: null, dimensions: checkDimensions(passages), passages };
+  }
+
+  if (data.version !== INDEX_FORMAT_VERSION || !Array.isArray(data.passages)) {
+    throw new Error(`Unsupported embeddings file format in ${filePath}`);
+  }
+  const passages = data.passages.map(toPassage);
+  return {
+    model: data.model ?? null,
+    dimensions: checkDimensions(passages, data.dimensions ?? null),
+    passages,
+  };
+};
+
+/**
+ * Read an embeddings file if it exists.
+ *
+ * @param {string} filePath - Path to the embeddings file
+ * @returns {Object|null} Index, or null if the file does not exist
+ * @throws {Error} If the file exists but is invalid
+ */
+export const readEmbeddingIndexIfExists = (filePath) =>
+  (fs.existsSync(filePath) ? readEmbeddingIndex(filePath) : null);
+
+/**
+ * Write an embeddings file. Writes to a temporary file first so a crash
+ * mid-write never leaves a truncated index behind.
+ *
+ * @param {string} filePath - Path to the embeddings file
+ * @param {Object} index
+ * @param {string} index.model - Embedding model that produced every vector
+ * @param {Array<Object>} index.passages - Embedded passages
+ * @throws {Error} If vectors have mixed dimensions or the file cannot be written
+ */
+export const writeEmbeddingIndex = (filePath, { model, passages }) => {
+  const dimensions = checkDimensions(passages);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({
+    version: INDEX_FORMAT_VERSION,
+    model,
+    dimensions,
+    generatedAt: new Date().toISOString(),
+    passages,
+  }, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Ensure an index was built with the given embedding model. Indexes from the
+ * legacy format have no recorded model and are accepted.
+ *
+ * @param {Object} index - Index from readEmbeddingIndex
+ * @param {string} model - Embedding model in use
+ * @throws {Error} If the index records a different model
+ */
+export const assertIndexModel = (index, model) => {
+  if (index.model && index.model !== model) {
+    throw new Error(
+      `Embeddings were generated with "${index.model}" but the configured embedding model is "${model}". ` +
+      'Run generateEmbeddings.js to rebuild the index.'
+    );
+  }
+};
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Registry of chat generations and their event buffers.
+ * A streamed reply runs as a generation that is independent of the
+ * connections watching it (SSE responses, WebSockets):
+ *
+ * - Every event of the reply gets an ID (`<generationId>:<sequence>`) and is
+ *   kept in a buffer, so a client that reconnects with Last-Event-ID receives
+ *   the events it missed and then continues live.
+ * - When the last listener goes away, the generation is aborted. Aborting the
+ *   signal aborts the upstream provider request, so tokens stop being
+ *   generated (and paid for) as soon as nobody is waiting for them. Clients
+ *   that reconnect on flaky networks opt in with `resumable`: their
+ *   generations keep running for GENERATION_RESUME_GRACE_MS and are only
+ *   aborted if nobody reconnects in that time. An explicit cancel aborts a
+ *   generation at once.
+ * - Finished generations are kept for GENERATION_BUFFER_TTL_MS so late
+ *   reconnects can still replay the end of the reply.
+ *
+ * The registry lives in this process's memory: reconnects and cancel requests
+ * have to reach the instance that is streaming the reply.
+ */
+
+import { randomUUID } from 'crypto';
+
+/**
+ * @constant {number} DEFAULT_RESUME_GRACE_MS - How long an unwatched resumable generation keeps running when GENERATION_RESUME_GRACE_MS is unset
+ */
+const DEFAULT_RESUME_GRACE_MS = 30 * 1000;
+
+/**
+ * @constant {number} DEFAULT_BUFFER_TTL_MS - How long a finished generation can be replayed when GENERATION_BUFFER_TTL_MS is unset
+ */
+const DEFAULT_BUFFER_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * @type {Map<string, Object>} generations - Generations keyed by ID: { userId, chatId,
+ *   resumable, controller, reason, events, listeners, done, graceTimer }
+ */
+const generations = new Map();
+
+/**
+ * Read a duration setting from the environment.
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default in milliseconds
+ * @returns {number} Milliseconds
+ */
+const durationSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Split an event ID into its generation and sequence number.
+ *
+ * @param {string} eventId - Event ID such as "4f0c...:12"
+ * @returns {Object|null} { generationId, sequence }, or null if the ID is malformed
+ */
+export const parseEventId = (eventId) => {
+  const match = /^([0-9a-f-]{36}):(\d+)$/i.exec(String(eventId || '').trim());
+  return match ? { generationId: match[1], sequence: parseInt(match[2], 10) } : null;
+};
+
+/**
+ * Abort a running generation that nobody follows: right away, or for a
+ * resumable generation unless a client follows it within the grace period.
+ *
+ * @param {string} generationId - Generation ID
+ * @param {Object} entry - Generation entry
+ */
+const scheduleAbandonedStop = (generationId, entry) => {
+  if (!entry.done && entry.listeners.size === 0 && !entry.graceTimer) {
+    entry.graceTimer = setTimeout(
+      () => stopGeneration(generationId, 'disconnected'),
+      entry.resumable ? durationSetting('GENERATION_RESUME_GRACE_MS', DEFAULT_RESUME_GRACE_MS) : 0
+    );
+    entry.graceTimer.unref();
+  }
+};
+
+/**
+ * Stop sending to a listener. If it was the last one and the generation is
+ * still running, abort it (see scheduleAbandonedStop).
+ *
+ * @param {string} generationId - Generation ID
+ * @param {Object} entry - Generation entry
+ * @param {Object} listener - Listener passed to followGeneration
+ */
+const unfollow = (generationId, entry, listener) => {
+  entry.listeners.delete(listener);
+  scheduleAbandonedStop(generationId, entry);
+};
+
+/**
+ * Register a new generation.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User the reply is for
+ * @param {string} params.chatId - Chat the reply is saved to
+ * @param {boolean} [params.resumable=false] - Keep running for GENERATION_RESUME_GRACE_MS
+ *   after the last listener leaves, so the client can reconnect and resume it
+ * @returns {Object} Generation handle:
+ *   - id: generation ID
+ *   - signal: AbortSignal to pass to the provider
+ *   - stopReason(): why it was aborted ("cancelled", "disconnected"), or null
+ *   - publish(event, data): buffer an event and send it to the listeners
+ *     (event null for unnamed message events)
+ *   - finish(): end the listeners and keep the buffer for replay
+ */
+export const startGeneration = ({ userId, chatId, resumable = false }) => {
+  const id = randomUUID();
+  const entry = {
+    userId: String(userId),
+    chatId: String(chatId),
+    resumable,
+    controller: new AbortController(),
+    reason: null,
+    events: [],
+    listeners: new Set(),
+    done: false,
+    graceTimer: null,
+  };
+  generations.set(id, entry);
+  // Covers a client that is gone before it follows the generation. Even without
+  // a grace period the timer only fires after pending promise callbacks, so the
+  // caller awaiting the reply follows it in time
+  scheduleAbandonedStop(id, entry);
+
+  return {
+    id,
+    signal: entry.controller.signal,
+    stopReason: () => entry.reason,
+    publish: (event, data) => {
+      const message = { id: `${id}:${entry.events.length + 1}`, event, data };
+      entry.events.push(message);
+      entry.listeners.forEach((listener) => listener.send(message));
+    },
+    finish: () => {
+      if (entry.done) return;
+      entry.done = true;
+      clearTimeout(entry.graceTimer);
+      entry.listeners.forEach((listener) => {
+        entry.listeners.delete(listener);
+        listener.end();
+      });
+      setTimeout(() => generations.delete(id), durationSetting('GENERATION_BUFFER_TTL_MS', DEFAULT_BUFFER_TTL_MS)).unref();
+    },
+  };
+};
+
+/**
+ * Follow a generation's events: first the buffered events after
+ * `afterSequence`, then new ones as they are published. `end` is called when
+ * the generation finishes, or right away if it already has.
+ *
+ * @param {string} generationId - Generation to follow
+ * @param {Object} listener
+ * @param {Function} listener.send - Called with each event { id, event, data }
+ * @param {Function} listener.end - Called once the generation has finished
+ * @param {Object} [options]
+ * @param {string} [options.userId] - When given, only follows the generation if it belongs to this user
+ * @param {number} [options.afterSequence=0] - Sequence number of the last event the client received
+ * @returns {Function|null} Stops following; null if the generation is unknown (or expired)
+ *   or belongs to someone else
+ *
+ * @example
+ * const unfollow = followGeneration(id, { send: (message) => writeEvent(res, message), end: () => res.end() });
+ * res.on('close', unfollow);
+ */
+export const followGeneration = (generationId, listener, { userId, afterSequence = 0 } = {}) => {
+  const entry = generations.get(generationId);
+  if (!entry || (userId && entry.userId !== String(userId))) {
+    return null;
+  }
+
+  entry.events.slice(afterSequence).forEach((message) => listener.send(message));
+  if (entry.done) {
+    listener.end();
+    return () => {};
+  }
+
+  clearTimeout(entry.graceTimer);
+  entry.graceTimer = null;
+  entry.listeners.add(listener);
+  return () => unfollow(generationId, entry, listener);
+};
+
+/**
+ * Stop a generation.
+ *
+ * @param {string} generationId - Generation to stop
+ * @param {string} reason - Why it is stopped, e.g. "cancelled" or "disconnected"
+ * @param {string} [userId] - When given, only stops the generation if it belongs to this user
+ * @returns {boolean} True if the generation was in flight and is now stopping
+ */
+export const stopGeneration = (generationId, reason, userId) => {
+  const entry = generations.get(generationId);
+  if (!entry || entry.done || (userId && entry.userId !== String(userId)) || entry.controller.signal.aborted) {
+    return false;
+  }
+  entry.reason = reason;
+  entry.controller.abort();
+  return true;
+};
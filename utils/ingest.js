@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Knowledge ingestion pipeline.
+ * Turns loaded knowledge documents into embedded passages: documents are split
+ * into heading-aware, overlapping chunks and each chunk is embedded with the
+ * configured LLM provider. Passages whose content hash matches an existing
+ * index entry keep their embedding, so re-running after small edits only sends
+ * the changed passages to the embedding model.
+ */
+
+import { chunkDocuments, toEmbeddingText } from './chunker.js';
+import { hashPassage } from './embeddingIndex.js';
+import { getProvider } from '../providers/index.js';
+
+/**
+ * @constant {number} EMBEDDING_BATCH_SIZE - Passages sent per embedding request
+ */
+const EMBEDDING_BATCH_SIZE = 64;
+
+/**
+ * @constant {number} DEFAULT_CONCURRENCY - Embedding requests in flight at once
+ * Overridden by the EMBEDDING_CONCURRENCY environment variable
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * @constant {number} MAX_RETRIES - Retries for a rate-limited embedding request
+ */
+const MAX_RETRIES = 5;
+
+/**
+ * @constant {number} BASE_RETRY_DELAY - First backoff delay in milliseconds; doubles on each retry
+ */
+const BASE_RETRY_DELAY = 1000;
+
+/**
+ * @constant {number} MAX_RETRY_DELAY - Upper bound for a single backoff delay in milliseconds
+ */
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Check whether an embedding request failed because of rate limiting.
+ *
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean} True if the request should be retried after a delay
+ */
+const isRateLimitError = (error) => error.status === 429 || error.code === 'rate_limit_exceeded';
+
+/**
+ * Delay before the next retry: the server's Retry-After header when present,
+ * otherwise exponential backoff with jitter.
+ *
+ * @param {Error} error - Rate limit error
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (error, attempt) => {
+  const retryAfter = parseFloat(error.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter)) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+  }
+  const backoff = BASE_RETRY_DELAY * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff * 0.25, MAX_RETRY_DELAY);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Embed one batch of passages, retrying with backoff while rate limited.
+ *
+ * @param {Array<Object>} batch - Passages to embed
+ * @param {LLMProvider} provider - Provider used for embeddings
+ * @returns {Promise<Array<Array<number>>>} One vector per passage
+ * @throws {Error} If the request fails for another reason or retries run out
+ */
+const embedBatch = async (batch, provider) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const embeddings = await provider.embed(batch.map(toEmbeddingText));
+      if (embeddings.length !== batch.length) {
+        throw new Error(`Expected ${batch.length} embeddings, received ${embeddings.length}`);
+      }
+      return embeddings;
+    } catch (error) {
+      if (!isRateLimitError(error) || attempt >= MAX_RETRIES) throw error;
+      const delay = retryDelay(error, attempt);
+      console.warn(`Rate limited embedding ${batch[0].id}; retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Embed passages in batches, with a bounded number of requests in flight.
+ *
+ * @param {Array<Object>} passages - Passages from chunkDocuments
+ * @param {Object} [options]
+ * @param {LLMProvider} [options.provider] - Provider used for embeddings
+ * @param {number} [options.batchSize=EMBEDDING_BATCH_SIZE] - Passages per request
+ * @param {number} [options.concurrency] - Requests in flight at once (default EMBEDDING_CONCURRENCY or DEFAULT_CONCURRENCY)
+ * @returns {Promise<Array<Object>>} Passages with an `embedding` property, in input order
+ * @throws {Error} If any batch cannot be embedded; nothing is returned in that case
+ */
+export const embedPassages = async (passages, {
+  provider = getProvider(),
+  batchSize = EMBEDDING_BATCH_SIZE,
+  concurrency = parseInt(process.env.EMBEDDING_CONCURRENCY, 10) || DEFAULT_CONCURRENCY,
+} = {}) => {
+  const batches = [];
+  for (let i = 0; i < passages.length; i += batchSize) {
+    batches.push(passages.slice(i, i + batchSize));
+  }
+
+  const results = new Array(batches.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length) {
+      const index = next++;
+      const batch = batches[index];
+      try {
+        const embeddings = await embedBatch(batch, provider);
+        results[index] = batch.map((passage, i) => ({ ...passage, embedding: embeddings[i] }));
+      } catch (error) {
+        // Stop the other workers from starting new batches
+        next = batches.length;
+        error.message = `Error embedding passages ${batch[0].id} to ${batch[batch.length - 1].id}: ${error.message}`;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, worker));
+  return results.flat();
+};
+
+/**
+ * Embed passages, reusing the embedding of any passage whose content hash
+ * already appears in `previous`.
+ *
+ * @param {Array<Object>} passages - Passages from chunkDocuments
+ * @param {Array<Object>} previous - Embedded passages from an index built with the same model
+ * @param {Object} [options]
+ * @param {LLMProvider} [options.provider] - Provider used for embeddings
+ * @returns {Promise<Object>} { passages, embedded, reused } — passages carry `hash` and `embedding`
+ * @throws {Error} If embedding fails
+ */
+export const embedIncrementally = async (passages, previous, { provider = getProvider() } = {}) => {
+  const known = new Map(previous.map((item) => [item.hash || hashPassage(item), item.embedding]));
+  const hashed = passages.map((passage) => ({ ...passage, hash: hashPassage(passage) }));
+
+  const changed = hashed.filter(({ hash }) => !known.has(hash));
+  const embedded = await embedPassages(changed, { provider });
+  embedded.forEach(({ hash, embedding }) => known.set(hash, embedding));
+
+  return {
+    passages: hashed.map((passage) => ({ ...passage, embedding: known.get(passage.hash) })),
+    embedded: embedded.length,
+    reused: hashed.length - embedded.length,
+  };
+};
+
+/**
+ * Chunk and embed knowledge documents.
+ *
+ * @param {Array<Object>} documents - Loaded documents ({ fileName, content })
+ * @param {Object} [options]
+ * @param {LLMProvider} [options.provider] - Provider used for embeddings
+ * @param {Array<Object>} [options.previous=[]] - Passages of an existing index built with the same model
+ * @param {number} [options.chunkSize] - Maximum passage length in characters
+ * @param {number} [options.overlap] - Overlap between consecutive passages
+ * @returns {Promise<Object>} { passages, embedded, reused } — passages are
+ *   ({ id, fileName, section, offset, length, content, hash, embedding })
+ */
+export const ingestDocuments = async (documents, { provider = getProvider(), previous = [], chunkSize, overlap } = {}) => {
+  const passages = chunkDocuments(documents, { chunkSize, overlap });
+  console.log(`Split ${documents.length} documents into ${passages.length} passages`);
+  return embedIncrementally(passages, previous, { provider });
+};
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview MongoDB-backed job queue for the WisdomAI application.
+ * Slow follow-up work (memory updates, chat titles, knowledge re-embedding) is
+ * enqueued as Job documents instead of being awaited on the request path.
+ * Workers in this process claim due jobs atomically, run the handler
+ * registered for the job's type, and retry failures with exponential backoff.
+ *
+ * Configuration (environment variables):
+ * - JOB_WORKERS: concurrent workers in this process (default 2, 0 disables them)
+ * - JOB_POLL_INTERVAL_MS: how often idle workers look for due jobs (default 1000)
+ */
+
+import os from 'os';
+import Job from '../models/Job.js';
+
+/**
+ * @constant {number} DEFAULT_WORKERS - Concurrent workers when JOB_WORKERS is unset
+ */
+const DEFAULT_WORKERS = 2;
+
+/**
+ * @constant {number} DEFAULT_POLL_INTERVAL_MS - Idle polling interval when JOB_POLL_INTERVAL_MS is unset
+ */
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+/**
+ * @constant {number} LOCK_TIMEOUT_MS - A running job locked this long is assumed abandoned
+ */
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * @constant {number} RETRY_BASE_DELAY_MS - Delay before the first retry; doubles with each attempt
+ */
+const RETRY_BASE_DELAY_MS = 5000;
+
+/**
+ * @constant {number} RETRY_MAX_DELAY_MS - Upper bound on the retry delay
+ */
+const RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * @constant {number} MAX_APPENDED_ITEMS - Most items a pending job keeps per appended field
+ */
+const MAX_APPENDED_ITEMS = 50;
+
+/**
+ * @typedef {function(Object, Object): Promise<*>} JobHandler
+ * Runs a job. Receives the payload and the job document; the resolved value is
+ * stored as the job's result. Throwing schedules a retry.
+ */
+
+/**
+ * @type {Map<string, JobHandler>} handlers - Job handlers keyed by job type
+ */
+const handlers = new Map();
+
+/**
+ * @type {string} workerId - Identifies this process's workers in job locks
+ */
+const workerId = `${os.hostname()}:${process.pid}`;
+
+/**
+ * @type {Set<function(): void>} waiters - Idle workers waiting for their next poll
+ */
+const waiters = new Set();
+
+let running = false;
+let activeLoops = [];
+
+/**
+ * Register the handler for a job type, replacing any existing one.
+ *
+ * @param {string} type - Job type, e.g. "memory-update"
+ * @param {JobHandler} handler - Function that runs the job
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Wake idle workers so a job enqueued in this process starts without waiting for the next poll.
+ */
+const wakeWorkers = () => {
+  waiters.forEach((done) => done());
+};
+
+/**
+ * Prefix each key of an object, for updating fields nested under `payload`.
+ *
+ * @param {string} prefix - Path prefix
+ * @param {Object} fields - Fields to prefix
+ * @returns {Object} Prefixed fields
+ */
+const prefixKeys = (prefix, fields) =>
+  Object.fromEntries(Object.entries(fields).map(([key, value]) => [`${prefix}.${key}`, value]));
+
+/**
+ * Add a job to the queue.
+ *
+ * With a dedupeKey, a job that is still pending under the same key is updated
+ * instead: its payload fields are replaced by the new ones and `append` items
+ * are added to its arrays. This batches bursts of work (several messages from
+ * one user become one memory update) without losing any of it.
+ *
+ * @param {string} type - Job type; a handler must be registered before it runs
+ * @param {Object} [payload={}] - Handler input
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey] - At most one pending job per key
+ * @param {Object} [options.append] - Items to append to payload arrays, e.g. { exchanges: {...} }
+ * @param {number} [options.delayMs=0] - Delay before a new job may run
+ * @param {number} [options.maxAttempts] - Attempts before the job is marked failed (default 5)
+ * @returns {Promise<Object>} The pending Job document
+ *
+ * @example
+ * await enqueueJob('chat-title', { chatId }, { dedupeKey: `chat-title:${chatId}` });
+ */
+export const enqueueJob = async (type, payload = {}, { dedupeKey, append, delayMs = 0, maxAttempts } = {}) => {
+  const runAt = new Date(Date.now() + delayMs);
+  let job;
+
+  if (!dedupeKey) {
+    job = await Job.create({
+      type,
+      payload: {
+        ...payload,
+        ...Object.fromEntries(Object.entries(append || {}).map(([key, item]) => [key, [item]])),
+      },
+      runAt,
+      ...(maxAttempts && { maxAttempts }),
+    });
+  } else {
+    const update = {
+      ...(Object.keys(payload).length && { $set: prefixKeys('payload', payload) }),
+      $setOnInsert: { type, runAt, ...(maxAttempts && { maxAttempts }) },
+      ...(append && {
+        $push: prefixKeys('payload', Object.fromEntries(Object.entries(append)
+          .map(([key, item]) => [key, { $each: [item], $slice: -MAX_APPENDED_ITEMS }]))),
+      }),
+    };
+    const upsert = () => Job.findOneAndUpdate(
+      { dedupeKey, status: 'pending' },
+      update,
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    try {
+      job = await upsert();
+    } catch (error) {
+      // Two requests inserted the same key at once; the loser updates the winner's job
+      if (error.code !== 11000) throw error;
+      job = await upsert();
+    }
+  }
+
+  wakeWorkers();
+  return job;
+};
+
+/**
+ * Atomically claim the next due job, including jobs abandoned by a crashed worker.
+ *
+ * @returns {Promise<Object|null>} The claimed job, or null if none is due
+ */
+const claimJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+      $unset: { dedupeKey: 1 },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Run a claimed job and record the outcome: completed, scheduled for a retry
+ * with exponential backoff, or failed once its attempts are used up.
+ *
+ * @param {Object} job - Claimed Job document
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  try {
+    const result = await handlers.get(job.type)(job.payload, job);
+    await Job.updateOne({ _id: job._id }, {
+      $set: { status: 'completed', result: result ?? null, completedAt: new Date(), lockedAt: null, lockedBy: null },
+    });
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1), RETRY_MAX_DELAY_MS);
+    console.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+    await Job.updateOne({ _id: job._id }, {
+      $set: {
+        status: exhausted ? 'failed' : 'pending',
+        lastError: error.message,
+        lockedAt: null,
+        lockedBy: null,
+        ...(!exhausted && { runAt: new Date(Date.now() + delay) }),
+      },
+    });
+  }
+};
+
+/**
+ * Wait until the poll interval passes or workers are woken up.
+ *
+ * @param {number} ms - Poll interval
+ * @returns {Promise<void>}
+ */
+const idle = (ms) => new Promise((resolve) => {
+  const done = () => {
+    clearTimeout(timer);
+    waiters.delete(done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  waiters.add(done);
+});
+
+/**
+ * One worker: claim and run jobs until the queue is stopped.
+ *
+ * @param {number} pollIntervalMs - Idle polling interval
+ * @returns {Promise<void>}
+ */
+const workLoop = async (pollIntervalMs) => {
+  while (running) {
+    let job = null;
+    try {
+      job = await claimJob();
+    } catch (error) {
+      console.error('Error claiming job:', error.message);
+    }
+    if (job) {
+      // runJob records handler failures itself; this only guards against losing the worker
+      await runJob(job).catch((error) => console.error(`Error recording job ${job._id}:`, error.message));
+    } else if (running) {
+      await idle(pollIntervalMs);
+    }
+  }
+};
+
+/**
+ * Start this process's job workers. Safe to call more than once.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Concurrent workers (default JOB_WORKERS or DEFAULT_WORKERS)
+ * @param {number} [options.pollIntervalMs] - Idle polling interval (default JOB_POLL_INTERVAL_MS or DEFAULT_POLL_INTERVAL_MS)
+ */
+export const startJobWorkers = ({
+  concurrency = parseInt(process.env.JOB_WORKERS ?? DEFAULT_WORKERS, 10),
+  pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL_MS,
+} = {}) => {
+  if (running || !(concurrency > 0)) return;
+  running = true;
+  activeLoops = Array.from({ length: concurrency }, () => workLoop(pollIntervalMs));
+  console.log(`Started ${concurrency} job worker(s): ${[...handlers.keys()].join(', ')}`);
+};
+
+/**
+ * Stop the job workers after their current jobs finish.
+ *
+ * @returns {Promise<void>}
+ */
+export const stopJobWorkers = async () => {
+  running = false;
+  wakeWorkers();
+  await Promise.all(activeLoops);
+  activeLoops = [];
+};
+
+/**
+ * @constant {number} PAYLOAD_PREVIEW_LENGTH - Characters of long payload strings shown when inspecting jobs
+ */
+const PAYLOAD_PREVIEW_LENGTH = 200;
+
+/**
+ * Shorten a job's payload for inspection: arrays are reported by length and
+ * long strings are truncated, so listings neither balloon (document uploads)
+ * nor expose whole conversations.
+ *
+ * @param {Object} job - Lean Job document
+ * @returns {Object} The job with a summarized payload
+ */
+const summarizeJob = (job) => ({
+  ...job,
+  payload: Object.fromEntries(Object.entries(job.payload || {}).map(([key, value]) => {
+    if (Array.isArray(value)) return [key, `[${value.length} items]`];
+    if (typeof value === 'string' && value.length > PAYLOAD_PREVIEW_LENGTH) {
+      return [key, `${value.slice(0, PAYLOAD_PREVIEW_LENGTH)}… (${value.length} characters)`];
+    }
+    return [key, value];
+  })),
+});
+
+/**
+ * List jobs, newest first.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only jobs in this state
+ * @param {string} [options.type] - Only jobs of this type
+ * @param {number} [options.limit=50] - Maximum jobs returned
+ * @returns {Promise<Array<Object>>} Jobs, with summarized payloads
+ */
+export const listJobs = async ({ status, type, limit = 50 } = {}) => {
+  const jobs = await Job.find({
+    ...(status && { status }),
+    ...(type && { type }),
+  })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+  return jobs.map(summarizeJob);
+};
+
+/**
+ * Get a job.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The job with a summarized payload, or null if not found
+ */
+export const getJob = async (jobId) => {
+  const job = await Job.findById(jobId).lean();
+  return job && summarizeJob(job);
+};
+
+/**
+ * Count jobs by type and state.
+ *
+ * @returns {Promise<Object>} Counts, e.g. { "memory-update": { pending: 3, failed: 1 } }
+ */
+export const getJobStats = async () => {
+  const groups = await Job.aggregate([
+    { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } },
+  ]);
+  return groups.reduce((stats, { _id: { type, status }, count }) => {
+    stats[type] = { ...stats[type], [status]: count };
+    return stats;
+  }, {});
+};
+
+/**
+ * Requeue a failed job with a fresh set of attempts.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The requeued job, or null if no failed job has that ID
+ */
+export const retryJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'failed' },
+    { $set: { status: 'pending', attempts: 0, runAt: new Date(), lastError: null } },
+    { new: true }
+  ).lean();
+  if (job) wakeWorkers();
+  return job && summarizeJob(job);
+};
+
+/**
+ * Check whether a job of a type is waiting or running for a payload. Unlike
+ * dedupe keys, this also finds jobs that have started or are waiting for a retry.
+ *
+ * @param {string} type - Job type
+ * @param {Object} [payload] - Payload fields the job must have, e.g. { fileName }
+ * @returns {Promise<boolean>} True if such a job is pending or running
+ */
+export const hasActiveJob = async (type, payload = {}) =>
+  Boolean(await Job.exists({ type, status: { $in: ['pending', 'running'] }, ...prefixKeys('payload', payload) }));
+
+/**
+ * Remove a job that is still pending under a dedupe key, e.g. because the work
+ * it would do is no longer wanted. A job that has already started is not affected.
+ *
+ * @param {string} dedupeKey - Key the job was enqueued with
+ * @returns {Promise<boolean>} True if a pending job was removed
+ */
+export const cancelPendingJob = async (dedupeKey) => {
+  const { deletedCount } = await Job.deleteOne({ dedupeKey, status: 'pending' });
+  return deletedCount > 0;
+};
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Background jobs of the WisdomAI application.
+ * Registers a handler for each job type with utils/jobQueue.js and provides
+ * the helpers request handlers use to enqueue work:
+ *
+ * - memory-update: fact extraction and summarization after chat replies. One
+ *   pending job per user collects every exchange sent while it waits, so a
+ *   burst of messages costs one extraction call.
+ * - chat-title: names a chat after its first exchange.
+ * - chat-summary: folds older messages of a long chat's active branch into its
+ *   running summary (see utils/promptBuilder.js).
+ * - knowledge-embed: re-embeds an uploaded or replaced knowledge document. Runs
+ *   in the web process because it updates the live index.
+ *
+ * Memory updates and chat titles notify the user when they are done (see
+ * utils/notifications.js), so connected clients can refresh them.
+ *
+ * Configuration (environment variables):
+ * - MEMORY_UPDATE_DELAY_MS: how long a memory update waits to batch further messages (default 30000)
+ */
+
+import ChatHistory from '../models/ChatHistory.js';
+import { getProvider } from '../providers/index.js';
+import { registerJobHandler, enqueueJob, cancelPendingJob, hasActiveJob } from './jobQueue.js';
+import { updateUserMemory } from './memory.js';
+import { saveDocument } from './knowledge.js';
+import { getPromptBudgets, getBranchContext } from './promptBuilder.js';
+import { truncateMessages } from './tokens.js';
+import { notifyUser } from './notifications.js';
+
+/**
+ * @constant {number} DEFAULT_MEMORY_UPDATE_DELAY_MS - Batching delay when MEMORY_UPDATE_DELAY_MS is unset
+ */
+const DEFAULT_MEMORY_UPDATE_DELAY_MS = 30 * 1000;
+
+/**
+ * @constant {number} MAX_TITLE_LENGTH - Longest title stored for a chat
+ */
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Name a chat from its first exchange. Written with updateOne so the
+ * ChatHistory pre-save title hook does not replace it.
+ *
+ * @param {Object} payload
+ * @param {string} payload.chatId - Chat to name
+ * @returns {Promise<Object>} { title }, or { skipped } if there was nothing to name
+ */
+const generateChatTitle = async ({ chatId }) => {
+  const chat = await ChatHistory.findById(chatId).select('user messages').lean();
+  const question = chat?.messages.find((message) => message.role === 'user');
+  if (!question) {
+    return { skipped: chat ? 'no user message' : 'chat not found' };
+  }
+  const reply = chat.messages.find((message) => message.role === 'assistant');
+
+  const response = await getProvider().complete({
+    messages: [
+      {
+        role: 'system',
+        content: 'Write a short title (at most 6 words) for a conversation that starts with the exchange below. Reply with the title only, without quotes.',
+      },
+      { role: 'user', content: `User: ${question.content}\nAssistant: ${reply?.content || ''}`.slice(0, 4000) },
+    ],
+    temperature: 0.3,
+    maxTokens: 20,
+  });
+
+  const title = response.content.trim().replace(/^["'\s]+|["'\s.]+$/g, '').slice(0, MAX_TITLE_LENGTH);
+  if (!title) {
+    return { skipped: 'empty title' };
+  }
+  await ChatHistory.updateOne({ _id: chatId }, { $set: { title } });
+  notifyUser(chat.user, 'chat.title', { chatId: String(chatId), title });
+  return { title };
+};
+
+/**
+ * @constant {number} MAX_BRANCH_SUMMARIES - Summaries kept per chat; the least recently written go first
+ */
+const MAX_BRANCH_SUMMARIES = 10;
+
+/**
+ * Fold the older messages of a chat's active branch into its running summary.
+ * The newest turns filling half of CHAT_HISTORY_TOKEN_BUDGET stay verbatim, so
+ * the summary is refreshed every few turns rather than after every message.
+ * The new summary is added next to the chat's other ones (see getBranchContext),
+ * so summaries of other branches are kept for when the user switches back.
+ *
+ * @param {Object} payload
+ * @param {string} payload.chatId - Chat to summarize
+ * @returns {Promise<Object>} { summarized } (number of messages folded in), or { skipped }
+ */
+const summarizeChat = async ({ chatId }) => {
+  const chat = await ChatHistory.findById(chatId)
+    .select('messages activeMessageId summaries summary summarizedCount')
+    .lean();
+  if (!chat) {
+    return { skipped: 'chat not found' };
+  }
+  const budgets = getPromptBudgets();
+  const thread = getBranchContext(chat);
+  const pending = thread.messages;
+  const kept = truncateMessages(pending, Math.floor(budgets.history / 2));
+  const folded = pending.slice(0, pending.length - kept.length);
+  if (folded.length === 0) {
+    return { skipped: 'nothing to summarize' };
+  }
+
+  const response = await getProvider().complete({
+    messages: [
+      {
+        role: 'system',
+        content: `Update the running summary of a conversation with the new messages below. Keep what the user shared, asked and decided, and the advice they were given. Reply with the summary only, in at most ${Math.floor(budgets.summary * 0.75)} words.`,
+      },
+      {
+        role: 'user',
+        content: `Summary so far:\n${thread.summary || '(none)'}\n\nNew messages:\n${folded.map((message) => `${message.role}: ${message.content}`).join('\n')}`,
+      },
+    ],
+    temperature: 0.3,
+    maxTokens: budgets.summary,
+  });
+
+  // Skip the write if the chat was reset or this point was summarized in the meantime
+  const lastFolded = folded[folded.length - 1];
+  const result = await ChatHistory.updateOne(
+    {
+      _id: chatId,
+      'messages._id': lastFolded._id,
+      'summaries.messageId': { $ne: lastFolded._id },
+    },
+    {
+      $push: {
+        summaries: {
+          $each: [{ messageId: lastFolded._id, content: response.content.trim(), updatedAt: new Date() }],
+          $sort: { updatedAt: 1 },
+          $slice: -MAX_BRANCH_SUMMARIES,
+        },
+      },
+    }
+  );
+  return result.modifiedCount ? { summarized: folded.length } : { skipped: 'chat changed' };
+};
+
+registerJobHandler('memory-update', async ({ userId, exchanges = [] }) => {
+  if (!(await updateUserMemory(userId, { exchanges }))) {
+    return { skipped: 'memory paused or no exchanges' };
+  }
+  notifyUser(userId, 'memory.updated', { exchanges: exchanges.length });
+  return { exchanges: exchanges.length };
+});
+
+registerJobHandler('chat-title', generateChatTitle);
+
+registerJobHandler('chat-summary', summarizeChat);
+
+registerJobHandler('knowledge-embed', ({ fileName, content, encoding, metadata, requestedAt }) =>
+  saveDocument(fileName, content, { encoding, metadata, requestedAt }));
+
+/**
+ * Queue a memory update for an exchange. Joins the user's pending update if
+ * there is one.
+ *
+ * @param {string} userId - The user's ID
+ * @param {Object} exchange
+ * @param {string} exchange.userMessage - The user's message
+ * @param {string} exchange.aiResponse - The reply
+ * @param {string} [exchange.wisdomFigure] - Persona that replied
+ * @param {string} [exchange.figure] - Slug of that persona, keying its relationship memory
+ * @returns {Promise<Object>} The pending job
+ */
+export const enqueueMemoryUpdate = (userId, { userMessage, aiResponse, wisdomFigure, figure }) => enqueueJob(
+  'memory-update',
+  { userId: String(userId) },
+  {
+    dedupeKey: `memory-update:${userId}`,
+    append: { exchanges: { userMessage, aiResponse, wisdomFigure, figure } },
+    delayMs: parseInt(process.env.MEMORY_UPDATE_DELAY_MS ?? DEFAULT_MEMORY_UPDATE_DELAY_MS, 10) || 0,
+  }
+);
+
+/**
+ * Queue title generation for a chat.
+ *
+ * @param {string} chatId - Chat to name
+ * @returns {Promise<Object>} The pending job
+ */
+export const enqueueChatTitle = (chatId) =>
+  enqueueJob('chat-title', { chatId: String(chatId) }, { dedupeKey: `chat-title:${chatId}`, maxAttempts: 3 });
+
+/**
+ * Queue summarization of a chat's older messages.
+ *
+ * @param {string} chatId - Chat to summarize
+ * @returns {Promise<Object>} The pending job
+ */
+export const enqueueChatSummary = (chatId) =>
+  enqueueJob('chat-summary', { chatId: String(chatId) }, { dedupeKey: `chat-summary:${chatId}`, maxAttempts: 3 });
+
+/**
+ * Queue (re-)embedding of a knowledge document. If the document is already
+ * waiting, the newer content replaces the queued one.
+ *
+ * @param {string} fileName - File path relative to the knowledge directory
+ * @param {string} content - File contents
+ * @param {Object} [options]
+ * @param {string} [options.encoding] - Encoding of `content` ("utf-8" or "base64")
+ * @param {Object} [options.metadata] - Metadata to store with the document
+ * @returns {Promise<Object>} The pending job
+ */
+export const enqueueDocumentEmbedding = (fileName, content, { encoding, metadata } = {}) => enqueueJob(
+  'knowledge-embed',
+  // requestedAt lets a later delete supersede the upload even once the job has started
+  { fileName, content, encoding, metadata, requestedAt: Date.now() },
+  { dedupeKey: `knowledge-embed:${fileName}` }
+);
+
+/**
+ * Check whether a document's embedding is queued, running or waiting for a retry.
+ *
+ * @param {string} fileName - Document file name
+ * @returns {Promise<boolean>} True if an upload of the document is still being processed
+ */
+export const isDocumentEmbeddingActive = (fileName) => hasActiveJob('knowledge-embed', { fileName });
+
+/**
+ * Drop a document's queued embedding, e.g. because the document was deleted.
+ *
+ * @param {string} fileName - Document file name
+ * @returns {Promise<boolean>} True if a queued embedding was removed
+ */
+export const cancelDocumentEmbedding = (fileName) => cancelPendingJob(`knowledge-embed:${fileName}`);
@@ -1,12 +1,23 @@
 /**
- * @fileoverview Knowledge base management and semantic search functionality.
- * This module handles loading, managing, and searching through the knowledge base
- * using OpenAI embeddings for semantic similarity matching.
+ * @fileoverview Knowledge base management and hybrid search functionality.
+ * This module handles loading, managing, and searching through the knowledge base,
+ * combining embeddings from the configured LLM provider (semantic similarity) with
+ * a BM25 keyword index (exact terms and phrases).
+ * Documents can be added, replaced and removed at runtime; only passages whose
+ * text changed are re-embedded, and the vector store is updated in place.
  */
 
 import fs from 'fs';
+import path from 'path';
 import { cosineSimilarity } from '../utils.js';
-import { loadTextFiles } from '../loadTextFiles.js';
+import { loadDocuments, loadBuffer, isSupportedFile, metadataPath, readMetadataFile } from '../loaders/index.js';
+import { getProvider } from '../providers/index.js';
+import { getVectorStore } from '../vectorStores/index.js';
+import { chunkDocuments } from './chunker.js';
+import { embedIncrementally } from './ingest.js';
+import { readEmbeddingIndexIfExists, writeEmbeddingIndex, assertIndexModel, checkDimensions } from './embeddingIndex.js';
+import { createBM25Index } from './bm25.js';
+import { getReranker, getRerankMinScore } from './rerank.js';
 
 /**
  * @constant {string} knowledgeDir - Directory containing knowledge base text files
@@ -15,65 +26,435 @@ import { loadTextFiles } from '../loadTextFiles.js';
 const knowledgeDir = process.env.KNOWLEDGE_DIR || "./knowledge";
 
 /**
- * @constant {string} embeddingsFilePath - Path to the pre-computed embeddings JSON file
+ * @constant {string} embeddingsFilePath - Path to the passage embeddings JSON file (see generateEmbeddings.js)
+ * Default is "./knowledgeEmbeddings.json" or value from EMBEDDINGS_FILE environment variable
  */
-const embeddingsFilePath = "./knowledgeEmbeddings.json";
+const embeddingsFilePath = process.env.EMBEDDINGS_FILE || "./knowledgeEmbeddings.json";
 
 /**
- * @type {Array<Object>} knowledgeBase - Array of loaded text files with their content
+ * @type {Array<KnowledgeDocument>} knowledgeBase - Loaded knowledge documents (see loaders/index.js)
  */
 let knowledgeBase = [];
 try {
-  knowledgeBase = loadTextFiles(knowledgeDir);
+  knowledgeBase = loadDocuments(knowledgeDir);
   console.log(`Loaded files from directory: ${knowledgeDir}`);
 } catch (error) {
   console.error("Error loading knowledge base:", error.message);
 }
 
 /**
- * @type {Array<Object>} knowledgeEmbeddings - Array of pre-computed embeddings for knowledge base content
- * @property {string} content - The text content associated with the embedding
- * @property {Array<number>} embedding - The vector embedding of the content
- * @property {string} [source] - Optional source/filename of the content
+ * @constant {number} DEFAULT_TOP_K - Number of passages returned by findRelevantFiles
+ */
+const DEFAULT_TOP_K = 5;
+
+/**
+ * @constant {number} CROSS_PERSONA_BOOST - Similarity bonus for a persona's own passages in cross-persona mode
+ */
+const CROSS_PERSONA_BOOST = 0.05;
+
+/**
+ * @constant {number} CANDIDATE_POOL - Candidates taken from each of the semantic and lexical searches before fusion
+ */
+const CANDIDATE_POOL = 20;
+
+/**
+ * @constant {number} RRF_K - Reciprocal rank fusion constant; damps the advantage of the very top ranks
+ */
+const RRF_K = 60;
+
+/**
+ * @constant {number} DEFAULT_MIN_SIMILARITY - Cosine similarity below which a passage is not semantically relevant
+ * Overridden by the RETRIEVAL_MIN_SIMILARITY environment variable; the right value depends on the embedding model
+ */
+const DEFAULT_MIN_SIMILARITY = 0.75;
+
+/**
+ * @constant {number} MIN_TERM_COVERAGE - Share of the query's words a passage must contain to count as a lexical match
+ */
+const MIN_TERM_COVERAGE = 0.5;
+
+/**
+ * @type {Array<Object>} knowledgeEmbeddings - Embedded knowledge base passages
+ * @property {string} id - Passage ID ("file.txt#3")
+ * @property {string} fileName - Source file of the passage
+ * @property {string|null} section - Heading the passage falls under
+ * @property {number} offset - Character offset of the passage in its file
+ * @property {string} content - The passage text
+ * @property {Array<number>} embedding - The vector embedding of the passage
  */
 let knowledgeEmbeddings = [];
+
+/**
+ * @type {string|null} indexModel - Embedding model that produced knowledgeEmbeddings
+ * (null for embeddings files written before the model was recorded)
+ */
+let indexModel = null;
+
+/**
+ * @type {Object} indexModelCheck - Whether indexModel matches an embedding model:
+ * { model, compatible }. Retrieval is disabled while it does not, instead of
+ * failing every chat request.
+ */
+let indexModelCheck = { model: undefined, compatible: true };
+
+/**
+ * Compare the index's embedding model with a provider's and remember the result.
+ *
+ * @param {string} model - Provider's embedding model
+ * @returns {boolean} True if query vectors from the model can be compared with the index
+ */
+const checkIndexModel = (model) => {
+  try {
+    assertIndexModel({ model: indexModel }, model);
+    indexModelCheck = { model, compatible: true };
+  } catch (error) {
+    console.error(`${error.message} Knowledge retrieval is disabled until then.`);
+    indexModelCheck = { model, compatible: false };
+  }
+  return indexModelCheck.compatible;
+};
+
+/**
+ * Check the index against the configured provider after (re)loading it. Not run
+ * at import: the provider is created on first use and must see the environment
+ * loaded by dotenv, so the check waits for syncVectorStore or the first query.
+ */
+const verifyIndexModel = () => {
+  try {
+    checkIndexModel(getProvider().embeddingModel);
+  } catch (error) {
+    // Provider not configured yet: checked on the first query instead
+    indexModelCheck = { model: undefined, compatible: true };
+  }
+};
+
+/**
+ * @type {Map<string, Object>} passagesById - knowledgeEmbeddings keyed by passage ID
+ */
+let passagesById = new Map();
+
+/**
+ * @type {Object} lexicalIndex - BM25 keyword index over knowledgeEmbeddings
+ */
+const lexicalIndex = createBM25Index();
+
+/**
+ * Replace the in-memory passages and rebuild the lookups derived from them.
+ *
+ * @param {Array<Object>} passages - Embedded passages
+ */
+const setPassages = (passages) => {
+  knowledgeEmbeddings = passages;
+  passagesById = new Map(passages.map((passage) => [passage.id, passage]));
+  lexicalIndex.clear();
+  lexicalIndex.add(passages);
+};
+
+/**
+ * Read the embeddings file. The index is built per deployment (npm run embeddings),
+ * so a missing file means an empty index rather than an error.
+ *
+ * @returns {Object} Index ({ model, passages })
+ * @throws {Error} If the file exists but is invalid
+ */
+const readIndex = () => {
+  const index = readEmbeddingIndexIfExists(embeddingsFilePath);
+  if (!index) {
+    console.warn(`No embeddings file at ${embeddingsFilePath}; run "npm run embeddings" to enable knowledge retrieval.`);
+  }
+  return index || { model: null, passages: [] };
+};
+
 try {
-  knowledgeEmbeddings = JSON.parse(fs.readFileSync(embeddingsFilePath, "utf-8"));
-  console.log(`Loaded ${knowledgeEmbeddings.length} embeddings from ${embeddingsFilePath}`);
+  const index = readIndex();
+  setPassages(index.passages);
+  indexModel = index.model;
+  console.log(`Loaded ${knowledgeEmbeddings.length} passage embeddings (${indexModel || 'unknown model'}) from ${embeddingsFilePath}`);
 } catch (error) {
   console.error("Error loading embeddings:", error.message);
 }
 
 /**
- * Find the most relevant files from the knowledge base for a given query
- * using semantic similarity with OpenAI embeddings.
+ * @type {Map<string, number>} deletedAt - When each file was last deleted (ms since epoch).
+ * Uploads requested before that are superseded: an embedding job that started
+ * or was retried after the delete must not write the file back.
+ */
+const deletedAt = new Map();
+
+/**
+ * @type {Promise<void>} writeQueue - Serializes knowledge mutations so concurrent
+ * uploads cannot interleave file writes or lose each other's passages
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a knowledge mutation after any in-flight mutation has finished.
+ *
+ * @param {Function} task - Async function performing the mutation
+ * @returns {Promise<*>} Result of the task
+ */
+const enqueueWrite = (task) => {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * @type {Promise<VectorStore>|null} storeReady - Resolves once the vector store holds knowledgeEmbeddings
+ */
+let storeReady = null;
+
+/**
+ * Load the current passages into the configured vector store. Persistent stores
+ * only rebuild or rewrite what changed since they were last synced. The index's
+ * embedding model is checked against the provider's first.
+ *
+ * @returns {Promise<VectorStore>} The synced store
+ * @throws {Error} If the store cannot be synced
+ */
+export const syncVectorStore = () => {
+  verifyIndexModel();
+  const store = getVectorStore();
+  storeReady = store.sync(knowledgeEmbeddings)
+    .then(() => store)
+    .catch((error) => {
+      storeReady = null;
+      throw error;
+    });
+  return storeReady;
+};
+
+/**
+ * Get the vector store, syncing it first if that has not happened yet.
+ *
+ * @returns {Promise<VectorStore>} The synced store
+ */
+const ensureVectorStore = () => storeReady || syncVectorStore();
+
+/**
+ * Apply a document change to the vector store. On failure the store is marked
+ * stale so the next search resyncs it from knowledgeEmbeddings.
+ *
+ * @param {string|Array<string>} fileName - Changed document, or every document of a changed file
+ * @param {Array<Object>} passages - The new passages (empty when deleted)
+ * @returns {Promise<void>}
+ */
+const updateVectorStore = async (fileName, passages) => {
+  try {
+    const store = await ensureVectorStore();
+    await store.remove({ fileName });
+    if (passages.length) await store.upsert(passages);
+  } catch (error) {
+    console.error(`Error updating vector store for ${fileName}:`, error.message);
+    storeReady = null;
+  }
+};
+
+/**
+ * Minimum cosine similarity for a passage to count as semantically relevant.
+ *
+ * @returns {number} Similarity threshold
+ */
+const getMinSimilarity = () => {
+  const value = parseFloat(process.env.RETRIEVAL_MIN_SIMILARITY);
+  return Number.isFinite(value) ? value : DEFAULT_MIN_SIMILARITY;
+};
+
+/**
+ * Documents in a persona's retrieval scope: its configured knowledge files plus
+ * any document whose metadata tags the persona (e.g. front-matter `personas: [seneca]`).
+ *
+ * @param {Object|null} persona - Persona ({ slug, knowledgeFiles })
+ * @returns {Array<string>} Document file names
+ */
+const personaFiles = (persona) => {
+  if (!persona) return [];
+  const tagged = knowledgeBase
+    .filter(({ metadata }) => metadata?.personas?.includes(persona.slug))
+    .map(({ fileName }) => fileName);
+  return [...new Set([...(persona.knowledgeFiles || []), ...tagged])];
+};
+
+/**
+ * Semantic candidates from the vector store, best first.
+ *
+ * @param {VectorStore} store - Synced vector store
+ * @param {Array<number>} queryEmbedding - Query vector
+ * @param {Array<string>} ownFiles - The persona's knowledge files
+ * @param {boolean} crossPersona - Search every file, ranking the persona's own slightly higher
+ * @returns {Promise<Array<Object>>} Passages with `similarity`
+ */
+const semanticSearch = async (store, queryEmbedding, ownFiles, crossPersona) => {
+  if (!crossPersona) {
+    return store.search(queryEmbedding, { topK: CANDIDATE_POOL, filter: { fileName: ownFiles } });
+  }
+
+  // After boosting, every passage in the top N is either in the overall top N
+  // or in the persona's own top N, so two bounded searches are enough
+  const [overall, own] = await Promise.all([
+    store.search(queryEmbedding, { topK: CANDIDATE_POOL }),
+    ownFiles.length ? store.search(queryEmbedding, { topK: CANDIDATE_POOL, filter: { fileName: ownFiles } }) : [],
+  ]);
+
+  const ownSet = new Set(ownFiles);
+  const unique = new Map([...overall, ...own].map((passage) => [passage.id, passage]));
+  return [...unique.values()]
+    .map((passage) => ({ passage, rank: passage.similarity + (ownSet.has(passage.fileName) ? CROSS_PERSONA_BOOST : 0) }))
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, CANDIDATE_POOL)
+    .map(({ passage }) => passage);
+};
+
+/**
+ * Merge ranked lists with reciprocal rank fusion: each passage scores
+ * sum(1 / (RRF_K + rank)) over the lists it appears in. Rank-based fusion needs
+ * no calibration between BM25 scores and cosine similarities.
+ *
+ * @param {Array<Array<Object>>} rankings - Lists of passages ({ id }), best first
+ * @returns {Array<{id: string, score: number}>} Fused ranking, best first
+ */
+const fuseRankings = (rankings) => {
+  const scores = new Map();
+  rankings.forEach((ranking) => ranking.forEach(({ id }, index) => {
+    scores.set(id, (scores.get(id) || 0) + 1 / (RRF_K + index + 1));
+  }));
+  return [...scores]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find the most relevant passages from the knowledge base for a given query.
+ *
+ * Retrieval is hybrid: semantic candidates come from the configured vector
+ * store (see vectorStores/index.js) and lexical candidates from a BM25 index,
+ * so exact phrases like "dichotomy of control" are found even when embeddings
+ * blur them. The two rankings are merged with reciprocal rank fusion, then
+ * optionally reranked (see utils/rerank.js). Passages that are neither
+ * semantically close (similarity below `threshold`) nor a strong keyword match
+ * are dropped, so the result may hold fewer than `topK` passages, or none.
+ * 
+ * Retrieval is scoped to the persona's own knowledge files (and documents tagged
+ * with the persona) so that, for example,
+ * Buddha is never handed passages from twain.txt. Personas with
+ * `retrievalMode: 'cross'` (such as Kooi, who recommends other figures) search
+ * the whole knowledge base, with their own passages ranked slightly higher.
+ * Without a persona, or for a persona with no knowledge files, the whole
+ * knowledge base is searched.
  * 
  * @param {string} query - The user's message/question to find relevant context for
- * @param {OpenAI} openai - OpenAI client instance for generating embeddings
- * @returns {Promise<Array<Object>>} Top 3 most relevant files with their content and similarity scores
- * @property {string} content - The text content of the relevant file
- * @property {number} similarity - Cosine similarity score (0-1) with the query
- * @property {string} [source] - Source/filename of the content if available
+ * @param {Object} [options]
+ * @param {Object} [options.persona] - Persona whose sources scope the search ({ knowledgeFiles, retrievalMode })
+ * @param {LLMProvider} [options.provider] - Provider used to embed the query (defaults to the configured provider)
+ * @param {number} [options.topK=DEFAULT_TOP_K] - Maximum number of passages to return
+ * @param {number} [options.threshold] - Minimum cosine similarity for a passage without a keyword match
+ *   (default RETRIEVAL_MIN_SIMILARITY or DEFAULT_MIN_SIMILARITY)
+ * @param {Reranker|null} [options.reranker] - Rerank stage, or null to skip it (defaults to the configured reranker)
+ * @returns {Promise<Array<Object>>} Relevant passages, best first
+ * @property {string} content - The passage text
+ * @property {string} fileName - Source file of the passage
+ * @property {string|null} section - Heading the passage falls under
+ * @property {number} offset - Character offset of the passage in its file
+ * @property {number} similarity - Cosine similarity score with the query
+ * @property {number} score - Fused (or rerank) relevance score used for ordering
  * 
- * @throws {Error} If embedding generation fails or knowledge base is not properly loaded
+ * @throws {Error} If embedding generation fails or the knowledge base is not properly loaded.
+ * An index built with a different embedding model than the provider's yields no passages.
  */
-export const findRelevantFiles = async (query, openai) => {
-  const queryEmbeddingResponse = await openai.embeddings.create({
-    model: "text-embedding-ada-002",
-    input: query,
+export const findRelevantFiles = async (query, {
+  persona = null,
+  provider = getProvider(),
+  topK = DEFAULT_TOP_K,
+  threshold = getMinSimilarity(),
+  reranker = getReranker(),
+} = {}) => {
+  // Query and passage vectors are only comparable if the same model made them
+  const compatible = indexModelCheck.model === provider.embeddingModel
+    ? indexModelCheck.compatible
+    : checkIndexModel(provider.embeddingModel);
+  if (knowledgeEmbeddings.length === 0 || !compatible) return [];
+
+  const ownFiles = personaFiles(persona);
+  const crossPersona = ownFiles.length === 0 || persona.retrievalMode === 'cross';
+
+  const [queryEmbedding] = await provider.embed(query);
+  const store = await ensureVectorStore();
+
+  const semantic = await semanticSearch(store, queryEmbedding, ownFiles, crossPersona);
+  const lexical = lexicalIndex.search(query, {
+    topK: CANDIDATE_POOL,
+    filter: crossPersona ? null : { fileName: ownFiles },
   });
-  const queryEmbedding = queryEmbeddingResponse.data[0].embedding;
 
-  const similarities = knowledgeEmbeddings.map((item) => ({
-    ...item,
-    similarity: cosineSimilarity(queryEmbedding, item.embedding),
-  }));
+  const similarities = new Map(semantic.map(({ id, similarity }) => [id, similarity]));
+  const coverages = new Map(lexical.map(({ id, coverage }) => [id, coverage]));
+
+  let candidates = fuseRankings([semantic, lexical])
+    .filter(({ id }) => passagesById.has(id))
+    .map(({ id, score }) => {
+      const { embedding, ...passage } = passagesById.get(id);
+      // Keyword-only hits still get a similarity, for the relevance cutoff and citations
+      const similarity = similarities.get(id) ?? cosineSimilarity(queryEmbedding, embedding);
+      return { ...passage, similarity, score };
+    })
+    .filter(({ id, similarity }) => similarity >= threshold || (coverages.get(id) || 0) >= MIN_TERM_COVERAGE);
 
-  similarities.sort((a, b) => b.similarity - a.similarity);
+  if (reranker && candidates.length > 0) {
+    try {
+      const minScore = getRerankMinScore();
+      candidates = (await reranker.rerank(query, candidates.slice(0, topK * 2)))
+        .filter(({ rerankScore }) => rerankScore == null || rerankScore >= minScore)
+        .map(({ rerankScore, ...passage }) => ({ ...passage, score: rerankScore ?? passage.score }));
+    } catch (error) {
+      console.error('Error reranking passages, keeping fused order:', error.message);
+    }
+  }
 
-  return similarities.slice(0, 3);
+  return candidates.slice(0, topK);
 };
 
+/**
+ * Reduce retrieved passages to citations for clients and chat history.
+ * 
+ * @param {Array<Object>} passages - Passages from findRelevantFiles
+ * @returns {Array<Object>} Citations ({ fileName, section, offset, author?, work?, score })
+ */
+export const toSources = (passages) => passages.map(({ fileName, section, offset, metadata, similarity }) => ({
+  fileName,
+  section,
+  offset,
+  ...(metadata?.author && { author: metadata.author }),
+  ...(metadata?.work && { work: metadata.work }),
+  score: Math.round(similarity * 10000) / 10000,
+}));
+
+/**
+ * Human-readable source of a passage: its work and author when known,
+ * otherwise its file, followed by its section.
+ *
+ * @param {Object} passage - Passage ({ fileName, section, metadata })
+ * @returns {string} Label, e.g. "Enchiridion, Epictetus § Chapter 1"
+ */
+const sourceLabel = ({ fileName, section, metadata }) => {
+  const origin = metadata?.work ? [metadata.work, metadata.author].filter(Boolean).join(', ') : fileName;
+  return `${origin}${section ? ` § ${section}` : ''}`;
+};
+
+/**
+ * Format retrieved passages as prompt context, labelling each with its source
+ * so the model (and anyone reading the prompt) can tell passages apart.
+ * Says so explicitly when nothing relevant was found, rather than leaving the
+ * model an empty block to fill in.
+ * 
+ * @param {Array<Object>} passages - Passages from findRelevantFiles
+ * @returns {string} Context block for the system prompt
+ */
+export const formatContext = (passages) => (passages.length === 0
+  ? "No relevant passages were found; answer from the persona's general knowledge."
+  : passages
+    .map((passage) => `[${sourceLabel(passage)}]\n${passage.content}`)
+    .join("\n\n"));
+
 /**
  * Reload both the knowledge base text files and their embeddings from disk.
  * Useful when the knowledge base content has been updated.
@@ -81,13 +462,261 @@ export const findRelevantFiles = async (query, openai) => {
  * @returns {Promise<void>}
  * @throws {Error} If either knowledge base or embeddings cannot be loaded
  */
-export const reloadKnowledge = async () => {
+export const reloadKnowledge = () => enqueueWrite(async () => {
   try {
-    knowledgeBase = loadTextFiles(knowledgeDir);
-    knowledgeEmbeddings = JSON.parse(fs.readFileSync(embeddingsFilePath, "utf-8"));
-    console.log(`Reloaded knowledge base: ${knowledgeBase.length} files, ${knowledgeEmbeddings.length} embeddings`);
+    knowledgeBase = loadDocuments(knowledgeDir);
+    const index = readIndex();
+    setPassages(index.passages);
+    indexModel = index.model;
+    await syncVectorStore();
+    console.log(`Reloaded knowledge base: ${knowledgeBase.length} files, ${knowledgeEmbeddings.length} passages`);
   } catch (error) {
     console.error("Error reloading knowledge base:", error.message);
     throw error;
   }
-}; 
\ No newline at end of file
+});
+
+/**
+ * @constant {RegExp} PATH_SEGMENT - One directory or file name of a document path
+ */
+const PATH_SEGMENT = /^[\w][\w .-]{0,99}$/;
+
+/**
+ * @constant {number} MAX_PATH_LENGTH - Longest document path accepted
+ */
+const MAX_PATH_LENGTH = 255;
+
+/**
+ * Check that a knowledge file name is a relative path inside the knowledge
+ * directory ("seneca.txt", "stoics/enchiridion.md") with an extension that
+ * has a loader.
+ *
+ * @param {string} fileName - Candidate file name
+ * @returns {boolean} True if the name is acceptable
+ */
+export const isValidFileName = (fileName) =>
+  typeof fileName === 'string' &&
+  fileName.length <= MAX_PATH_LENGTH &&
+  fileName.split('/').every((segment) => PATH_SEGMENT.test(segment) && !segment.includes('..')) &&
+  isSupportedFile(fileName);
+
+/**
+ * Check that a document name is a valid file name, optionally followed by
+ * "#group" for files that yield several documents ("quotes.jsonl#rumi").
+ *
+ * @param {string} name - Candidate document name
+ * @returns {boolean} True if the name is acceptable
+ */
+export const isValidDocumentName = (name) => {
+  if (typeof name !== 'string') return false;
+  const [fileName, group, ...rest] = name.split('#');
+  return rest.length === 0 && isValidFileName(fileName) && (group === undefined || /^[^/#]{1,100}$/.test(group));
+};
+
+/**
+ * Resolve a knowledge file name to a path inside the knowledge directory.
+ *
+ * @param {string} fileName - File path relative to the knowledge directory, e.g. "stoics/seneca.txt"
+ * @returns {string} Absolute file path
+ * @throws {Error} If the name is not a valid knowledge file name
+ */
+const resolveDocumentPath = (fileName) => {
+  if (!isValidFileName(fileName)) {
+    throw new Error(`Invalid knowledge file name: ${fileName}`);
+  }
+  return path.join(path.resolve(knowledgeDir), ...fileName.split('/'));
+};
+
+/**
+ * Check whether a document or passage was loaded from a file: its name is the
+ * file name, or the file name followed by "#group".
+ *
+ * @param {string} name - Document name or passage fileName
+ * @param {string} fileName - File path relative to the knowledge directory
+ * @returns {boolean}
+ */
+const isFromFile = (name, fileName) => name === fileName || name.startsWith(`${fileName}#`);
+
+/**
+ * List the documents in the knowledge base.
+ *
+ * @returns {Array<Object>} Documents ({ fileName, metadata, size, passages, updatedAt }), sorted by name
+ */
+export const listDocuments = () => {
+  const passageCounts = knowledgeEmbeddings.reduce((counts, { fileName }) => {
+    counts[fileName] = (counts[fileName] || 0) + 1;
+    return counts;
+  }, {});
+
+  return knowledgeBase
+    .map(({ fileName, content, metadata, sourcePath }) => {
+      let updatedAt = null;
+      try {
+        updatedAt = fs.statSync(sourcePath).mtime;
+      } catch (error) {
+        // File vanished since it was loaded; report it without a timestamp
+      }
+      return {
+        fileName,
+        metadata,
+        size: Buffer.byteLength(content, 'utf-8'),
+        passages: passageCounts[fileName] || 0,
+        updatedAt,
+      };
+    })
+    .sort((a, b) => a.fileName.localeCompare(b.fileName));
+};
+
+/**
+ * Get a knowledge document's content.
+ *
+ * @param {string} fileName - Document name
+ * @returns {Object|null} The document ({ fileName, content, metadata }), or null if not found
+ */
+export const getDocument = (fileName) => {
+  const document = knowledgeBase.find((item) => item.fileName === fileName);
+  return document ? { fileName, content: document.content, metadata: document.metadata } : null;
+};
+
+/**
+ * Check whether a knowledge file exists, loaded or on disk.
+ *
+ * @param {string} fileName - File path relative to the knowledge directory
+ * @returns {boolean} True if the file exists
+ */
+export const hasDocumentFile = (fileName) =>
+  knowledgeBase.some((document) => isFromFile(document.fileName, fileName)) ||
+  fs.existsSync(resolveDocumentPath(fileName));
+
+/**
+ * Create or replace a knowledge file, parse it with the loader for its
+ * extension, re-embed only the passages whose text changed, and swap the new
+ * passages into the live index.
+ *
+ * @param {string} fileName - File path relative to the knowledge directory
+ * @param {string} content - New file contents (base64 for binary formats such as .epub)
+ * @param {Object} [options]
+ * @param {string} [options.encoding='utf-8'] - Encoding of `content`: "utf-8" or "base64"
+ * @param {Object} [options.metadata] - Metadata ({ author, work, chapter, personas }) overriding
+ *   what the loader extracts; the file's current metadata is kept when omitted
+ * @param {number} [options.requestedAt] - When the upload was requested (ms since epoch); skipped
+ *   if the file has been deleted since
+ * @param {LLMProvider} [options.provider] - Provider used for embeddings
+ * @returns {Promise<Object>} Stats ({ fileName, documents, passages, embedded, reused }), or
+ *   { fileName, skipped } for a superseded upload
+ * @throws {Error} If the name is invalid, the file yields no text, writing fails,
+ * embedding fails, or the index was built with a different embedding model
+ */
+export const saveDocument = (fileName, content, {
+  encoding = 'utf-8',
+  metadata,
+  requestedAt,
+  provider = getProvider(),
+} = {}) => enqueueWrite(async () => {
+  const filePath = resolveDocumentPath(fileName);
+  const isSuperseded = () => requestedAt != null && (deletedAt.get(fileName) ?? -Infinity) >= requestedAt;
+  if (isSuperseded()) {
+    return { fileName, skipped: 'deleted since upload' };
+  }
+  const model = provider.embeddingModel;
+  assertIndexModel({ model: indexModel }, model);
+
+  const buffer = Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf-8');
+  const fileMetadata = metadata ?? readMetadataFile(filePath);
+  const documents = loadBuffer(buffer, fileName, { sourcePath: filePath, metadata: fileMetadata });
+  if (documents.length === 0) {
+    throw new Error(`No text found in ${fileName}`);
+  }
+
+  // Any passage whose text is unchanged (in this or another file) keeps its embedding
+  const { passages: updated, embedded } = await embedIncrementally(
+    chunkDocuments(documents),
+    knowledgeEmbeddings,
+    { provider }
+  );
+
+  const nextEmbeddings = [
+    ...knowledgeEmbeddings.filter((item) => !isFromFile(item.fileName, fileName)),
+    ...updated,
+  ];
+  // Legacy indexes record no model, so at least refuse vectors of another size
+  checkDimensions(nextEmbeddings);
+
+  // The file may have been deleted while its passages were embedded
+  if (isSuperseded()) {
+    return { fileName, skipped: 'deleted since upload' };
+  }
+
+  // Write the document before the index so a failed write leaves both unchanged
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, buffer);
+  if (metadata) {
+    fs.writeFileSync(metadataPath(filePath), JSON.stringify(metadata, null, 2), 'utf-8');
+  }
+  writeEmbeddingIndex(embeddingsFilePath, { model, passages: nextEmbeddings });
+
+  const previousNames = knowledgeBase
+    .filter((document) => isFromFile(document.fileName, fileName))
+    .map((document) => document.fileName);
+  setPassages(nextEmbeddings);
+  indexModel = model;
+  checkIndexModel(model);
+  knowledgeBase = [
+    ...knowledgeBase.filter((document) => !isFromFile(document.fileName, fileName)),
+    ...documents,
+  ];
+  await updateVectorStore([...new Set([...previousNames, ...documents.map((document) => document.fileName)])], updated);
+
+  console.log(`Indexed ${fileName}: ${updated.length} passages (${embedded} embedded, ${updated.length - embedded} reused)`);
+  return {
+    fileName,
+    documents: documents.length,
+    passages: updated.length,
+    embedded,
+    reused: updated.length - embedded,
+  };
+});
+
+/**
+ * Remove a knowledge file, its metadata and its passages from disk and from
+ * the live index. Uploads of the file requested before the call are
+ * superseded, including ones being embedded right now.
+ *
+ * @param {string} fileName - File path relative to the knowledge directory
+ * @returns {Promise<boolean>} True if the file existed
+ * @throws {Error} If the name is invalid or the file cannot be removed
+ */
+export const deleteDocument = (fileName) => {
+  const filePath = resolveDocumentPath(fileName);
+  deletedAt.set(fileName, Date.now());
+  return enqueueWrite(() => removeDocumentFile(fileName, filePath));
+};
+
+/**
+ * Remove a knowledge file, once earlier knowledge mutations have finished.
+ *
+ * @param {string} fileName - File path relative to the knowledge directory
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<boolean>} True if the file existed
+ */
+const removeDocumentFile = async (fileName, filePath) => {
+  if (!hasDocumentFile(fileName)) {
+    return false;
+  }
+
+  fs.rmSync(filePath, { force: true });
+  fs.rmSync(metadataPath(filePath), { force: true });
+
+  const nextEmbeddings = knowledgeEmbeddings.filter((item) => !isFromFile(item.fileName, fileName));
+  writeEmbeddingIndex(embeddingsFilePath, { model: indexModel, passages: nextEmbeddings });
+
+  const removedNames = knowledgeEmbeddings
+    .filter((item) => isFromFile(item.fileName, fileName))
+    .map((item) => item.fileName);
+  setPassages(nextEmbeddings);
+  knowledgeBase = knowledgeBase.filter((document) => !isFromFile(document.fileName, fileName));
+  await updateVectorStore([...new Set([fileName, ...removedNames])], []);
+
+  console.log(`Removed ${fileName} from the knowledge base`);
+  return true;
+};
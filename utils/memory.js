@@ -1,22 +1,188 @@
 import UserMemory from '../models/UserMemory.js';
 import ChatHistory from '../models/ChatHistory.js';
-import OpenAI from 'openai';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { getProvider } from '../providers/index.js';
+import { cosineSimilarity } from '../utils.js';
+import { countTokens } from './tokens.js';
+import { updateRelationship, formatRelationship, toRelationshipView } from './relationships.js';
+import { getBranch } from './chatTree.js';
 
 const MAX_HISTORY_FOR_PROMPT = 10; // Max messages from current chat
 const MAX_SUMMARY_AGE_DAYS = 7; // How old can the general summary be?
+const SUMMARY_EVERY_MESSAGES = 10; // Refresh the conversation summary after this many user messages
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Defaults for memory injection, overridable through the environment
+const DEFAULT_MEMORY_MAX_FACTS = 8; // MEMORY_MAX_FACTS: most facts injected per message
+const DEFAULT_MEMORY_TOKEN_BUDGET = 300; // MEMORY_TOKEN_BUDGET: tokens for facts and preferences together
+const DEFAULT_MEMORY_HALF_LIFE_DAYS = 90; // MEMORY_HALF_LIFE_DAYS: an unconfirmed observation loses half its weight in this time
+const DEFAULT_MEMORY_MIN_CONFIDENCE = 0.2; // MEMORY_MIN_CONFIDENCE: decayed facts below this are no longer injected
+
+const OBSERVATION_CONFIDENCE = 0.8; // Initial confidence of an extracted fact
+const REINFORCEMENT = 0.1; // Confidence gained each time an observation is extracted again
+const SUPERSEDE_CONFIDENCE = 0.7; // A contradicting fact at least this confident always replaces an observation
+
+const MAX_PREFERENCE_KEY_LENGTH = 50; // Longest preference name, as for PUT /memory/preferences/:key
+const MAX_PREFERENCE_VALUE_LENGTH = 200; // Longest preference value, as for PUT /memory/preferences/:key
+
+/**
+ * Reads a numeric memory setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} The configured value, or the default if unset or invalid
+ */
+function memorySetting(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Confidence of a fact after decay. Observations lose weight the longer they go
+ * unconfirmed; facts the user entered themselves never go stale.
+ * @param {Object} fact - Fact { source, confidence, timestamp }
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Effective confidence between 0 and 1
+ */
+function effectiveConfidence(fact, now) {
+  const confidence = fact.confidence ?? 1;
+  if (fact.source === 'fact') {
+    return confidence;
+  }
+  const ageDays = Math.max(0, now - new Date(fact.timestamp).getTime()) / DAY_MS;
+  const halfLife = memorySetting('MEMORY_HALF_LIFE_DAYS', DEFAULT_MEMORY_HALF_LIFE_DAYS) || Infinity;
+  return confidence * Math.pow(0.5, ageDays / halfLife);
+}
+
+/**
+ * Embeds fact texts for relevance filtering. Failures are logged rather than
+ * thrown: facts without an embedding are embedded later, when first needed.
+ * @param {Array<string>} contents - Fact texts
+ * @returns {Object|null} { embeddings, model }, or null if embedding failed
+ */
+async function embedFacts(contents) {
+  if (!contents.length) {
+    return null;
+  }
+  try {
+    const provider = getProvider();
+    return { embeddings: await provider.embed(contents), model: provider.embeddingModel };
+  } catch (error) {
+    console.error('Error embedding memory facts:', error.message);
+    return null;
+  }
+}
 
 /**
- * Retrieves memory for a specific user.
+ * Embeds the current message, plus any facts that have no embedding yet or were
+ * embedded with a different model. New fact embeddings are stored in the background.
+ * @param {Object} userMemory - UserMemory document
+ * @param {string} currentMessage - The user's message
+ * @returns {Array<number>} Embedding of the message
+ * @throws {Error} If the provider fails to embed
+ */
+async function embedMessageAndFacts(userMemory, currentMessage) {
+  const provider = getProvider();
+  const modelChanged = userMemory.embeddingModel !== provider.embeddingModel;
+  const missing = userMemory.personalFacts.filter(fact => modelChanged || !fact.embedding?.length);
+
+  const [queryEmbedding, ...embeddings] = await provider.embed([currentMessage, ...missing.map(fact => fact.content)]);
+  missing.forEach((fact, i) => { fact.embedding = embeddings[i]; });
+
+  if (missing.length) {
+    UserMemory.bulkWrite([
+      ...missing.map((fact, i) => ({
+        updateOne: {
+          filter: { user: userMemory.user },
+          update: { $set: { 'personalFacts.$[fact].embedding': embeddings[i] } },
+          arrayFilters: [{ 'fact._id': fact._id }]
+        }
+      })),
+      { updateOne: { filter: { user: userMemory.user }, update: { $set: { embeddingModel: provider.embeddingModel } } } }
+    ]).catch(error => console.error('Error saving memory fact embeddings:', error));
+  }
+  return queryEmbedding;
+}
+
+/**
+ * Picks the facts worth injecting for the current message: the most relevant
+ * ones, weighted by their decayed confidence, up to a count and token budget.
+ * Without a message (or if embedding fails) the most confident facts are used.
+ * @param {Object} userMemory - UserMemory document
+ * @param {string} currentMessage - The user's message (optional)
+ * @param {number} tokenBudget - Tokens available for facts
+ * @returns {Array<Object>} Selected facts, most relevant first
+ */
+async function selectRelevantFacts(userMemory, currentMessage, tokenBudget) {
+  const now = Date.now();
+  const minConfidence = memorySetting('MEMORY_MIN_CONFIDENCE', DEFAULT_MEMORY_MIN_CONFIDENCE);
+  const candidates = (userMemory.personalFacts || [])
+    .map(fact => ({ fact, weight: effectiveConfidence(fact, now) }))
+    .filter(({ weight }) => weight >= minConfidence);
+  if (!candidates.length) {
+    return [];
+  }
+
+  let queryEmbedding = null;
+  if (currentMessage && userMemory._id) {
+    try {
+      queryEmbedding = await embedMessageAndFacts(userMemory, currentMessage);
+    } catch (error) {
+      console.error('Error embedding message for memory relevance:', error.message);
+    }
+  }
+
+  const ranked = candidates
+    .map(({ fact, weight }) => ({
+      fact,
+      score: queryEmbedding ? cosineSimilarity(queryEmbedding, fact.embedding) * weight : weight
+    }))
+    .sort((a, b) => b.score - a.score || new Date(b.fact.timestamp) - new Date(a.fact.timestamp));
+
+  const maxFacts = memorySetting('MEMORY_MAX_FACTS', DEFAULT_MEMORY_MAX_FACTS);
+  const selected = [];
+  let tokens = 0;
+  for (const { fact } of ranked) {
+    if (selected.length >= maxFacts) break;
+    const cost = countTokens(fact.content) + 1;
+    if (tokens + cost > tokenBudget) continue;
+    selected.push(fact);
+    tokens += cost;
+  }
+  return selected;
+}
+
+/**
+ * Picks the preferences to inject, the ones the user set themselves first, up to a token budget
+ * @param {Map} preferences - Preference values by key
+ * @param {Array<string>} pinnedKeys - Keys set by the user
+ * @param {number} tokenBudget - Tokens available for preferences
+ * @returns {Object} { preferences: Map of the selected preferences, tokens: tokens used }
+ */
+function selectPreferences(preferences, pinnedKeys, tokenBudget) {
+  const pinned = new Set(pinnedKeys);
+  const ordered = Array.from(preferences).sort(([a], [b]) => Number(pinned.has(b)) - Number(pinned.has(a)));
+  const selected = new Map();
+  let tokens = 0;
+  for (const [key, value] of ordered) {
+    const cost = countTokens(`${key}: ${value}`) + 1;
+    if (tokens + cost > tokenBudget) continue;
+    selected.set(key, value);
+    tokens += cost;
+  }
+  return { preferences: selected, tokens };
+}
+
+/**
+ * Retrieves memory for a specific user. Only the facts most relevant to the
+ * current message, and the preferences that fit, are returned, so the injected
+ * memory stays within MEMORY_TOKEN_BUDGET however much is remembered.
  * @param {string} userId - The user's ID
- * @param {string} currentMessage - The current message from the user (optional, for future relevance filtering)
+ * @param {string} currentMessage - The current message from the user (optional, used to rank facts by relevance)
  * @param {string} chatId - The ID of the current chat (optional, null for new chats)
- * @returns {Object} Memory object { personalFacts, preferences, relevantHistory }
+ * @param {string} figure - Slug of the wisdom figure being talked to (optional); only
+ *   that figure's relationship with the user is returned
+ * @returns {Object} Memory object { personalFacts, preferences, relevantHistory, relationship }
  */
-export async function getUserMemory(userId, currentMessage, chatId) {
+export async function getUserMemory(userId, currentMessage, chatId, figure) {
   // 1. Get user's general memory (facts, prefs, summary)
   let userMemory = await UserMemory.findOne({ user: userId });
   if (!userMemory) {
@@ -28,8 +194,14 @@ export async function getUserMemory(userId, currentMessage, chatId) {
     }
   }
   
-  const personalFacts = userMemory.personalFacts || [];
-  const preferences = userMemory.preferences || new Map();
+  // Preferences get up to half the budget; facts share what is left
+  const tokenBudget = memorySetting('MEMORY_TOKEN_BUDGET', DEFAULT_MEMORY_TOKEN_BUDGET);
+  const { preferences, tokens: preferenceTokens } = selectPreferences(
+    userMemory.preferences || new Map(),
+    userMemory.pinnedPreferences || [],
+    tokenBudget / 2
+  );
+  const personalFacts = await selectRelevantFacts(userMemory, currentMessage, tokenBudget - preferenceTokens);
   
   // Check if summary is recent enough
   let generalSummary = '';
@@ -45,8 +217,8 @@ export async function getUserMemory(userId, currentMessage, chatId) {
   if (chatId) {
     const currentChat = await ChatHistory.findOne({ _id: chatId, user: userId });
     if (currentChat) {
-      // Get the last N messages from this specific chat
-      currentChatMessages = currentChat.messages.slice(-MAX_HISTORY_FOR_PROMPT);
+      // Get the last N messages of the branch the user is on in this chat
+      currentChatMessages = getBranch(currentChat).slice(-MAX_HISTORY_FOR_PROMPT);
     }
   }
 
@@ -66,42 +238,65 @@ export async function getUserMemory(userId, currentMessage, chatId) {
        relevantHistory = `General summary of past interactions:\n${generalSummary}`;
   }
 
+  // 4. What the active figure remembers of its own conversations with the user
+  const relationship = figure
+    ? formatRelationship((userMemory.relationships || []).find(item => item.figure === figure))
+    : '';
+
   return {
-    personalFacts, // Array of fact objects { content, source, timestamp }
-    preferences,   // Map
-    relevantHistory // String for prompt injection
+    personalFacts, // Array of the most relevant fact objects { content, source, confidence, timestamp }
+    preferences,   // Map of the preferences that fit the budget
+    relevantHistory, // String for prompt injection
+    relationship   // String for prompt injection ('' if the figure has no history with the user)
   };
 }
 
 /**
- * Updates a user's memory based on new conversation
+ * Updates a user's memory from recent conversation. Runs as a background job
+ * (see utils/jobs.js), so exchanges sent in quick succession arrive together.
  * @param {string} userId - The user's ID
  * @param {Object} params - Object containing conversation details
- * @param {string} params.userMessage - The user's message
- * @param {string} params.aiResponse - The AI's response
- * @param {string} params.wisdomFigure - The wisdom figure used
+ * @param {Array<Object>} params.exchanges - Exchanges since the last update, each
+ *   { userMessage, aiResponse, wisdomFigure, figure } where figure is the persona slug
+ * @returns {boolean} False if nothing was updated (memory paused or no exchanges)
+ * @throws {Error} If summarization or extraction fails, so the job is retried
  */
-export async function updateUserMemory(userId, { userMessage, aiResponse, wisdomFigure }) {
-  // Find or create memory
-  let memory = await UserMemory.findOne({ user: userId });
-  if (!memory) {
-    memory = new UserMemory({ user: userId });
+export async function updateUserMemory(userId, { exchanges = [] }) {
+  // The user has paused automatic memory updates
+  const existing = await UserMemory.findOne({ user: userId });
+  if (existing?.paused || exchanges.length === 0) {
+    return false;
   }
-  
-  // Check if we should update the summary (e.g., every 5 conversations)
-  const chatCount = await ChatHistory.countDocuments({ user: userId });
-  if (chatCount % 5 === 0) {
-    const summary = await generateConversationSummary(userId);
-    memory.conversationSummary = summary;
-    memory.lastUpdated = new Date();
-    await memory.save();
+
+  await extractFactsAndPreferences(userId, exchanges);
+
+  // Refresh the summary every SUMMARY_EVERY_MESSAGES user messages
+  const memory = await findOrCreateMemory(userId);
+
+  // Each figure keeps its own record of what it discussed with the user
+  const byFigure = new Map();
+  exchanges.filter(exchange => exchange.figure).forEach(exchange => {
+    if (!byFigure.has(exchange.figure)) {
+      byFigure.set(exchange.figure, []);
+    }
+    byFigure.get(exchange.figure).push(exchange);
+  });
+  for (const [figure, figureExchanges] of byFigure) {
+    await updateRelationship(memory, {
+      figure,
+      figureName: figureExchanges[0].wisdomFigure,
+      exchanges: figureExchanges
+    });
   }
-  
-  // Extract facts and preferences if needed
-  const shouldExtractFacts = chatCount % 3 === 0;
-  if (shouldExtractFacts) {
-    await extractFactsAndPreferences(userId, userMessage, aiResponse);
+
+  const previousCount = memory.messageCount || 0;
+  memory.messageCount = previousCount + exchanges.length;
+  if (Math.floor(memory.messageCount / SUMMARY_EVERY_MESSAGES) > Math.floor(previousCount / SUMMARY_EVERY_MESSAGES)) {
+    memory.conversationSummary = await generateConversationSummary(userId);
+    memory.lastUpdated = new Date();
   }
+  await memory.save();
+  return true;
 }
 
 /**
@@ -119,10 +314,9 @@ async function generateConversationSummary(userId) {
   const allMessages = recentChats.flatMap(chat => 
     chat.messages.map(msg => `${msg.role}: ${msg.content}`));
     
-  // Use OpenAI to summarize
+  // Use the LLM to summarize
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
+    const response = await getProvider().complete({
       messages: [
         { 
           role: "system", 
@@ -132,38 +326,170 @@ async function generateConversationSummary(userId) {
       ]
     });
     
-    return response.choices[0].message.content;
+    return response.content;
   } catch (error) {
     console.error('Error generating conversation summary:', error);
-    return '';
+    throw error;
   }
 }
 
 /**
- * Extracts facts and preferences about the user from conversation
+ * Instructions for the fact extractor. Facts come back structured so that a
+ * new value for something already known (a new home city, a changed job) can
+ * replace the old one instead of piling up next to it.
+ */
+const EXTRACTION_PROMPT = `Extract facts about the user and their preferences from this conversation.
+Return only JSON in this format:
+{
+  "facts": [
+    { "subject": "user", "attribute": "home city", "value": "Seattle", "cardinality": "one", "confidence": 0.9, "statement": "User lives in Seattle" }
+  ],
+  "preferences": { "topic": "value" }
+}
+- subject: who the fact is about: "user", or a person in their life such as "user's sister".
+- attribute: a short, lowercase, reusable name for what is described ("home city", "job", "name", "hobby").
+- cardinality: "one" if a new value replaces the old one (home city, job), "many" if several values can hold at once (hobby, language spoken).
+- confidence: 0 to 1, how clearly the user stated it (explicit statement near 1, guess or hint near 0.5).
+- statement: the fact as a short sentence.
+Only include facts the user stated or clearly implied about themselves. Return { "facts": [], "preferences": {} } if there are none.`;
+
+/**
+ * Normalizes a structured fact from the extractor. Plain strings from older
+ * prompts are accepted as facts without an attribute.
+ * @param {Object|string} raw - Fact from the extraction JSON
+ * @returns {Object|null} { subject, attribute, value, multiValued, confidence, content }, or null if unusable
+ */
+function normalizeExtractedFact(raw) {
+  if (typeof raw === 'string') {
+    return raw.trim()
+      ? { subject: 'user', attribute: null, value: null, multiValued: true, confidence: OBSERVATION_CONFIDENCE, content: raw.trim() }
+      : null;
+  }
+  if (!raw || typeof raw !== 'object' || raw.value == null || String(raw.value).trim() === '') {
+    return null;
+  }
+  const subject = String(raw.subject || 'user').trim().toLowerCase();
+  const attribute = raw.attribute ? String(raw.attribute).trim().toLowerCase() : null;
+  const value = String(raw.value).trim();
+  const confidence = Number(raw.confidence);
+  return {
+    subject,
+    attribute,
+    value,
+    multiValued: raw.cardinality === 'many',
+    confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : OBSERVATION_CONFIDENCE,
+    content: String(raw.statement || '').trim() || `${subject === 'user' ? 'User' : subject} ${attribute || 'is'}: ${value}`
+  };
+}
+
+/**
+ * Normalizes an extracted preference into a name and value that can be stored:
+ * the name keeps only the characters a user-set preference name may have, since
+ * map keys with "." or a leading "$" cannot be saved
+ * @param {Array} entry - [key, value] from the extraction JSON's preferences
+ * @returns {Array|null} [key, value], or null if unusable
+ */
+function normalizeExtractedPreference([rawKey, rawValue]) {
+  const key = rawKey.replace(/[^\w -]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_PREFERENCE_KEY_LENGTH).trim();
+  if (!key || rawValue == null || typeof rawValue === 'object') {
+    return null;
+  }
+  const value = String(rawValue).trim().slice(0, MAX_PREFERENCE_VALUE_LENGTH);
+  return value ? [key, value] : null;
+}
+
+/**
+ * Reconciles an extracted fact with what is already remembered:
+ * - merge: the same value is already known, so it is reinforced
+ * - supersede: a new value for a single-valued attribute replaces the old one,
+ *   which is kept in the fact's history
+ * - ignore: the fact was entered by the user (never overwritten), or it is a
+ *   weak contradiction (below SUPERSEDE_CONFIDENCE and below the decayed
+ *   confidence of the remembered value)
+ * - add: nothing is known about it yet
+ * @param {Object} memory - UserMemory document (modified in place)
+ * @param {Object} incoming - Fact from normalizeExtractedFact
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { action: 'add' | 'merge' | 'supersede' | 'ignore', fact } where fact is the stored fact, if any
+ */
+function reconcileFact(memory, incoming, now) {
+  const sameValue = (fact) => (fact.value ?? fact.content).toLowerCase() === (incoming.value ?? incoming.content).toLowerCase();
+  const related = memory.personalFacts.filter(fact => (incoming.attribute
+    ? fact.attribute === incoming.attribute && (fact.subject || 'user') === incoming.subject
+    : fact.content.toLowerCase() === incoming.content.toLowerCase()));
+
+  const match = related.find(sameValue);
+  if (match) {
+    if (match.source === 'fact') {
+      return { action: 'ignore', fact: match };
+    }
+    match.confidence = Math.min(1, Math.max(match.confidence ?? OBSERVATION_CONFIDENCE, incoming.confidence) + REINFORCEMENT);
+    match.timestamp = new Date(now);
+    return { action: 'merge', fact: match };
+  }
+
+  const current = incoming.multiValued ? null : related[0];
+  if (!current) {
+    memory.personalFacts.push({
+      subject: incoming.subject,
+      attribute: incoming.attribute,
+      value: incoming.value,
+      content: incoming.content,
+      source: 'observation',
+      confidence: incoming.confidence,
+      timestamp: new Date(now)
+    });
+    return { action: 'add', fact: memory.personalFacts[memory.personalFacts.length - 1] };
+  }
+
+  const weak = incoming.confidence < SUPERSEDE_CONFIDENCE && incoming.confidence < effectiveConfidence(current, now);
+  if (current.source === 'fact' || weak) {
+    return { action: 'ignore', fact: current };
+  }
+  current.history.push({
+    value: current.value,
+    content: current.content,
+    confidence: current.confidence,
+    source: current.source,
+    timestamp: current.timestamp,
+    replacedAt: new Date(now)
+  });
+  current.value = incoming.value;
+  current.content = incoming.content;
+  current.confidence = incoming.confidence;
+  current.timestamp = new Date(now);
+  current.embedding = [];
+  return { action: 'supersede', fact: current };
+}
+
+/**
+ * Extracts facts and preferences about the user from conversation and
+ * reconciles them with what is already remembered
  * @param {string} userId - The user's ID
- * @param {string} userMessage - The user's message
- * @param {string} aiResponse - The AI's response
+ * @param {Array<Object>} exchanges - Exchanges { userMessage, aiResponse, wisdomFigure }
+ * @throws {Error} If the provider request or saving fails
  */
-async function extractFactsAndPreferences(userId, userMessage, aiResponse) {
+async function extractFactsAndPreferences(userId, exchanges) {
   try {
     // Use AI to extract facts and preferences
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
+    const response = await getProvider().complete({
       messages: [
         { 
           role: "system", 
-          content: "Extract facts about the user and their preferences from this conversation. Return as JSON with format: { 'personalFacts': ['fact1', 'fact2'], 'preferences': { 'topic': 'value' } }" 
+          content: EXTRACTION_PROMPT
         },
         { 
           role: "user", 
-          content: `User message: ${userMessage}\nAI response: ${aiResponse}` 
+          content: exchanges
+            .map(({ userMessage, aiResponse, wisdomFigure }) =>
+              `User message: ${userMessage}\nAI response${wisdomFigure ? ` (${wisdomFigure})` : ''}: ${aiResponse}`)
+            .join('\n\n')
         }
       ]
     });
     
     // Parse response
-    const extractionText = response.choices[0].message.content;
+    const extractionText = response.content;
     let extraction;
     try {
       // Find the JSON part in the response
@@ -174,26 +500,45 @@ async function extractFactsAndPreferences(userId, userMessage, aiResponse) {
       return;
     }
     
-    // Update memory
-    const memory = await UserMemory.findOne({ user: userId });
-    
-    if (extraction.personalFacts && Array.isArray(extraction.personalFacts)) {
-      // Add new facts, avoiding duplicates
-      const existingFacts = new Set(memory.personalFacts.map(f => f.content));
-      const newFacts = extraction.personalFacts
-        .filter(fact => !existingFacts.has(fact))
-        .map(fact => ({ content: fact, source: 'observation', timestamp: new Date() }));
-        
-      if (newFacts.length > 0) {
-        memory.personalFacts.push(...newFacts);
+    // Update memory, creating it if this is the user's first extraction
+    const memory = await findOrCreateMemory(userId);
+    const extractedFacts = [extraction.facts, extraction.personalFacts]
+      .filter(Array.isArray)
+      .flat()
+      .map(normalizeExtractedFact)
+      .filter(Boolean);
+
+    if (extractedFacts.length > 0) {
+      const now = Date.now();
+      const minConfidence = memorySetting('MEMORY_MIN_CONFIDENCE', DEFAULT_MEMORY_MIN_CONFIDENCE);
+      const changed = extractedFacts
+        .filter(fact => fact.confidence >= minConfidence)
+        .map(fact => reconcileFact(memory, fact, now))
+        .filter(({ action }) => action === 'add' || action === 'supersede')
+        .map(({ fact }) => fact);
+
+      if (changed.length > 0) {
+        // Embed now so relevance filtering does not have to on the next message
+        const embedded = await embedFacts(changed.map(fact => fact.content));
+        if (embedded && (!memory.embeddingModel || memory.embeddingModel === embedded.model)) {
+          changed.forEach((fact, i) => { fact.embedding = embedded.embeddings[i]; });
+          memory.embeddingModel = embedded.model;
+        }
       }
     }
     
-    if (extraction.preferences && typeof extraction.preferences === 'object') {
-      // Update preferences Map
+    if (extraction.preferences && typeof extraction.preferences === 'object' && !Array.isArray(extraction.preferences)) {
+      // Update preferences Map, leaving preferences the user set themselves untouched;
+      // unusable entries are skipped so they cannot fail the whole update
       const prefsMap = memory.preferences || new Map();
-      Object.entries(extraction.preferences).forEach(([key, value]) => {
-        prefsMap.set(key, value);
+      const pinned = new Set(memory.pinnedPreferences || []);
+      Object.entries(extraction.preferences).forEach((entry) => {
+        const preference = normalizeExtractedPreference(entry);
+        if (!preference) {
+          console.warn('Skipping unusable extracted preference:', entry[0]);
+        } else if (!pinned.has(preference[0])) {
+          prefsMap.set(...preference);
+        }
       });
       memory.preferences = prefsMap;
     }
@@ -202,5 +547,235 @@ async function extractFactsAndPreferences(userId, userMessage, aiResponse) {
     await memory.save();
   } catch (error) {
     console.error('Error extracting facts and preferences:', error);
+    throw error;
+  }
+}
+
+/**
+ * Formats a user's memory for the memory management API
+ * @param {Object|null} memory - UserMemory document, or null if the user has none yet
+ * @returns {Object} { facts, preferences, relationships, conversationSummary, paused, lastUpdated }
+ */
+function toMemoryView(memory) {
+  const pinned = new Set(memory?.pinnedPreferences || []);
+  return {
+    facts: (memory?.personalFacts || []).map(toFactView),
+    preferences: Array.from(memory?.preferences || new Map(), ([key, value]) => ({
+      key,
+      value,
+      pinned: pinned.has(key)
+    })),
+    relationships: (memory?.relationships || []).map(toRelationshipView),
+    conversationSummary: memory?.conversationSummary || '',
+    paused: memory?.paused || false,
+    lastUpdated: memory?.lastUpdated || null
+  };
+}
+
+/**
+ * Formats a single remembered fact for the memory management API
+ * @param {Object} fact - Fact subdocument
+ * @returns {Object} { id, subject, attribute, value, content, source, confidence, timestamp, history }
+ */
+function toFactView(fact) {
+  return {
+    id: fact._id,
+    subject: fact.subject,
+    attribute: fact.attribute,
+    value: fact.value,
+    content: fact.content,
+    source: fact.source,
+    confidence: fact.confidence ?? 1,
+    timestamp: fact.timestamp,
+    history: (fact.history || []).map(({ value, content, source, timestamp, replacedAt }) => ({
+      value, content, source, timestamp, replacedAt
+    }))
+  };
+}
+
+/**
+ * Finds a user's memory document, creating an empty one if needed
+ * @param {string} userId - The user's ID
+ * @returns {Object} UserMemory document
+ */
+async function findOrCreateMemory(userId) {
+  return (await UserMemory.findOne({ user: userId })) || new UserMemory({ user: userId });
+}
+
+/**
+ * Gets everything remembered about a user
+ * @param {string} userId - The user's ID
+ * @returns {Object} Memory view { facts, preferences, relationships, conversationSummary, paused, lastUpdated }
+ */
+export async function getMemoryOverview(userId) {
+  return toMemoryView(await UserMemory.findOne({ user: userId }));
+}
+
+/**
+ * Adds a fact entered by the user. It is tagged with source 'fact' so
+ * automatic extraction never overwrites it.
+ * @param {string} userId - The user's ID
+ * @param {string} content - The fact
+ * @returns {Object} The new fact (see toFactView)
+ */
+export async function addUserFact(userId, content) {
+  const memory = await findOrCreateMemory(userId);
+  const embedded = await embedFacts([content]);
+  const useEmbedding = embedded && (!memory.embeddingModel || memory.embeddingModel === embedded.model);
+  memory.personalFacts.push({
+    content,
+    source: 'fact',
+    confidence: 1,
+    timestamp: new Date(),
+    ...(useEmbedding && { embedding: embedded.embeddings[0] })
+  });
+  if (useEmbedding) {
+    memory.embeddingModel = embedded.model;
+  }
+  memory.lastUpdated = new Date();
+  await memory.save();
+  return toFactView(memory.personalFacts[memory.personalFacts.length - 1]);
+}
+
+/**
+ * Corrects a remembered fact. A corrected observation becomes a user fact;
+ * the previous wording is kept in the fact's history.
+ * @param {string} userId - The user's ID
+ * @param {string} factId - ID of the fact
+ * @param {string} content - The corrected fact
+ * @returns {Object|null} The updated fact, or null if it does not exist
+ */
+export async function updateUserFact(userId, factId, content) {
+  const memory = await UserMemory.findOne({ user: userId });
+  const fact = memory?.personalFacts.id(factId);
+  if (!fact) {
+    return null;
   }
-} 
\ No newline at end of file
+  const embedded = await embedFacts([content]);
+  fact.history.push({
+    value: fact.value,
+    content: fact.content,
+    confidence: fact.confidence,
+    source: fact.source,
+    timestamp: fact.timestamp
+  });
+  // The sentence is now the user's own; keep the attribute so extraction cannot override it
+  fact.value = undefined;
+  fact.content = content;
+  fact.source = 'fact';
+  fact.confidence = 1;
+  fact.timestamp = new Date();
+  // A stale embedding would rank the corrected fact by its old meaning
+  const useEmbedding = embedded && (!memory.embeddingModel || memory.embeddingModel === embedded.model);
+  fact.embedding = useEmbedding ? embedded.embeddings[0] : [];
+  if (useEmbedding) {
+    memory.embeddingModel = embedded.model;
+  }
+  memory.lastUpdated = new Date();
+  await memory.save();
+  return toFactView(fact);
+}
+
+/**
+ * Deletes a remembered fact
+ * @param {string} userId - The user's ID
+ * @param {string} factId - ID of the fact
+ * @returns {boolean} True if the fact existed
+ */
+export async function deleteUserFact(userId, factId) {
+  const memory = await UserMemory.findOne({ user: userId });
+  const fact = memory?.personalFacts.id(factId);
+  if (!fact) {
+    return false;
+  }
+  fact.deleteOne();
+  memory.lastUpdated = new Date();
+  await memory.save();
+  return true;
+}
+
+/**
+ * Sets a preference on the user's behalf and pins it so extraction leaves it alone
+ * @param {string} userId - The user's ID
+ * @param {string} key - Preference name, e.g. 'tone'
+ * @param {string} value - Preference value
+ * @returns {Object} The preference { key, value, pinned }
+ */
+export async function setUserPreference(userId, key, value) {
+  const memory = await findOrCreateMemory(userId);
+  if (!memory.preferences) {
+    memory.preferences = new Map();
+  }
+  memory.preferences.set(key, value);
+  if (!memory.pinnedPreferences.includes(key)) {
+    memory.pinnedPreferences.push(key);
+  }
+  memory.lastUpdated = new Date();
+  await memory.save();
+  return { key, value, pinned: true };
+}
+
+/**
+ * Deletes a remembered preference
+ * @param {string} userId - The user's ID
+ * @param {string} key - Preference name
+ * @returns {boolean} True if the preference existed
+ */
+export async function deleteUserPreference(userId, key) {
+  const memory = await UserMemory.findOne({ user: userId });
+  if (!memory?.preferences?.has(key)) {
+    return false;
+  }
+  memory.preferences.delete(key);
+  memory.pinnedPreferences = memory.pinnedPreferences.filter(pinnedKey => pinnedKey !== key);
+  memory.lastUpdated = new Date();
+  await memory.save();
+  return true;
+}
+
+/**
+ * Forgets what one wisdom figure remembers of its conversations with a user
+ * @param {string} userId - The user's ID
+ * @param {string} figure - Persona slug
+ * @returns {boolean} True if the figure had a relationship with the user
+ */
+export async function deleteUserRelationship(userId, figure) {
+  const result = await UserMemory.updateOne(
+    { user: userId, 'relationships.figure': figure },
+    { $pull: { relationships: { figure } } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Forgets every fact, preference, figure relationship and the conversation summary. The pause
+ * setting is kept so wiping memory does not silently resume extraction.
+ * @param {string} userId - The user's ID
+ * @returns {Object} The (now empty) memory view
+ */
+export async function clearUserMemory(userId) {
+  const memory = await UserMemory.findOne({ user: userId });
+  if (!memory) {
+    return toMemoryView(null);
+  }
+  memory.personalFacts = [];
+  memory.preferences = new Map();
+  memory.pinnedPreferences = [];
+  memory.relationships = [];
+  memory.conversationSummary = '';
+  memory.embeddingModel = undefined;
+  memory.lastUpdated = new Date();
+  await memory.save();
+  return toMemoryView(memory);
+}
+
+/**
+ * Pauses or resumes automatic memory updates from conversations
+ * @param {string} userId - The user's ID
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {Object} { paused }
+ */
+export async function setMemoryPaused(userId, paused) {
+  await UserMemory.updateOne({ user: userId }, { $set: { paused } }, { upsert: true });
+  return { paused };
+}
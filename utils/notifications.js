@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Server-pushed notifications for connected users.
+ * Background work that finishes after a reply (a chat title, a memory update)
+ * notifies the user here, and transports with a channel back to the client
+ * (the chat WebSocket, see utils/chatSocket.js) forward the notifications.
+ *
+ * Listeners live in this process's memory: notifications from job workers
+ * running in another process do not reach sockets connected to this one.
+ */
+
+/**
+ * @type {Map<string, Set<Function>>} listeners - Notification listeners keyed by user ID
+ */
+const listeners = new Map();
+
+/**
+ * Receive a user's notifications.
+ *
+ * @param {string} userId - User to listen for
+ * @param {Function} listener - Called with each notification { type, ...details }
+ * @returns {Function} Stops listening
+ *
+ * @example
+ * const stop = onUserNotification(user._id, (notification) => socket.send(JSON.stringify(notification)));
+ * socket.on('close', stop);
+ */
+export const onUserNotification = (userId, listener) => {
+  const key = String(userId);
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set());
+  }
+  listeners.get(key).add(listener);
+
+  return () => {
+    const userListeners = listeners.get(key);
+    userListeners?.delete(listener);
+    if (userListeners?.size === 0) {
+      listeners.delete(key);
+    }
+  };
+};
+
+/**
+ * Send a notification to every listener of a user. A failing listener does
+ * not keep the others from being notified.
+ *
+ * @param {string} userId - User to notify
+ * @param {string} type - Notification type, e.g. "chat.title" or "memory.updated"
+ * @param {Object} [details] - JSON-serializable details
+ * @returns {number} Number of listeners notified
+ */
+export const notifyUser = (userId, type, details = {}) => {
+  const userListeners = listeners.get(String(userId));
+  if (!userListeners) {
+    return 0;
+  }
+  userListeners.forEach((listener) => {
+    try {
+      listener({ type, ...details });
+    } catch (error) {
+      console.error(`Error delivering ${type} notification:`, error.message);
+    }
+  });
+  return userListeners.size;
+};
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Persona registry for the WisdomAI application.
+ * Loads wisdom figures from the Persona collection once and caches them in
+ * memory, so routes, validators and models can look figures up by name or slug
+ * without querying the database on every request.
+ */
+
+import Persona from '../models/Persona.js';
+import PersonaVersion from '../models/PersonaVersion.js';
+import defaultPersonas from '../config/personas.js';
+
+/**
+ * @type {Array<Object>|null} personaCache - Cached personas sorted by sortOrder, or null when not loaded
+ */
+let personaCache = null;
+
+/**
+ * @type {Promise<Array<Object>>|null} loadingPromise - In-flight load shared by concurrent callers
+ */
+let loadingPromise = null;
+
+/**
+ * @constant {Array<string>} EDITABLE_FIELDS - Persona fields that can change without creating a new version
+ */
+const EDITABLE_FIELDS = ['description', 'knowledgeFiles', 'retrievalMode', 'enabled', 'sortOrder'];
+
+/**
+ * @constant {Array<string>} BACKFILL_FIELDS - Fields added after personas were first seeded.
+ * Existing documents missing them receive the default value; set values are never overwritten.
+ */
+const BACKFILL_FIELDS = ['retrievalMode'];
+
+/**
+ * Normalize a name or slug for case-insensitive lookups.
+ *
+ * @param {string} value - Persona name or slug
+ * @returns {string} Lowercased, trimmed key
+ */
+const toKey = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Insert any default personas that are missing from the database.
+ * Existing documents are left untouched so admin edits are preserved, apart
+ * from backfilling fields they predate.
+ *
+ * @returns {Promise<void>}
+ */
+export const seedPersonas = async () => {
+  const operations = defaultPersonas.flatMap((persona) => [
+    {
+      updateOne: {
+        filter: { slug: persona.slug },
+        update: { $setOnInsert: persona },
+        upsert: true,
+      },
+    },
+    ...BACKFILL_FIELDS.map((field) => ({
+      updateOne: {
+        filter: { slug: persona.slug, [field]: { $exists: false } },
+        update: { $set: { [field]: persona[field] } },
+      },
+    })),
+  ]);
+  const result = await Persona.bulkWrite(operations, { ordered: false });
+  if (result.upsertedCount > 0) {
+    console.log(`Seeded ${result.upsertedCount} default personas`);
+  }
+  await ensureInitialVersions();
+};
+
+/**
+ * Record the current prompt of any persona that has no version history yet,
+ * e.g. personas seeded before versioning existed.
+ *
+ * @returns {Promise<void>}
+ */
+const ensureInitialVersions = async () => {
+  const versioned = new Set((await PersonaVersion.distinct('persona')).map(String));
+  const personas = await Persona.find().select('systemPrompt style currentVersion').lean();
+  const missing = personas.filter((persona) => !versioned.has(String(persona._id)));
+  if (missing.length === 0) return;
+
+  await PersonaVersion.insertMany(missing.map((persona) => ({
+    persona: persona._id,
+    version: persona.currentVersion || 1,
+    systemPrompt: persona.systemPrompt,
+    style: persona.style,
+    note: 'Initial version',
+  })));
+};
+
+/**
+ * Load all personas into the cache. Falls back to the default persona list if
+ * the database cannot be reached, so chat keeps working in degraded mode.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Reload even if the cache is populated
+ * @returns {Promise<Array<Object>>} All cached personas, including disabled ones
+ */
+export const loadPersonas = async ({ force = false } = {}) => {
+  if (personaCache && !force) return personaCache;
+  if (loadingPromise) return loadingPromise;
+
+  loadingPromise = (async () => {
+    try {
+      await seedPersonas();
+      const personas = await Persona.find().sort({ sortOrder: 1, name: 1 }).lean();
+      personaCache = personas;
+      console.log(`Loaded ${personas.length} personas`);
+    } catch (error) {
+      console.error('Error loading personas, using defaults:', error.message);
+      personaCache = defaultPersonas.map((persona) => ({ ...persona }));
+    } finally {
+      loadingPromise = null;
+    }
+    return personaCache;
+  })();
+
+  return loadingPromise;
+};
+
+/**
+ * Drop the cached personas so the next lookup reloads them from the database.
+ */
+export const invalidatePersonaCache = () => {
+  personaCache = null;
+};
+
+/**
+ * List cached personas.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDisabled=false] - Include personas whose enabled flag is false
+ * @returns {Promise<Array<Object>>} Personas sorted by sortOrder
+ */
+export const listPersonas = async ({ includeDisabled = false } = {}) => {
+  const personas = await loadPersonas();
+  return includeDisabled ? personas : personas.filter((persona) => persona.enabled);
+};
+
+/**
+ * Find a persona by name or slug (case-insensitive).
+ *
+ * @param {string} figure - Persona name (e.g. "Buddha") or slug (e.g. "marcus-aurelius")
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDisabled=false] - Also match disabled personas
+ * @returns {Promise<Object|null>} The persona, or null if none matches
+ */
+export const getPersona = async (figure, { includeDisabled = false } = {}) => {
+  const key = toKey(figure);
+  if (!key) return null;
+  const personas = await listPersonas({ includeDisabled });
+  return personas.find((persona) => toKey(persona.name) === key || persona.slug === key) || null;
+};
+
+/**
+ * Check whether a name or slug refers to a known persona.
+ * Used by validators (enabled personas only) and by ChatHistory (any persona,
+ * so history for a later-disabled figure remains valid).
+ *
+ * @param {string} figure - Persona name or slug
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDisabled=false] - Also accept disabled personas
+ * @returns {Promise<boolean>} True if the persona exists
+ */
+export const isKnownPersona = async (figure, options) => Boolean(await getPersona(figure, options));
+
+/**
+ * Store a new immutable version, make it the persona's current prompt and save
+ * the persona along with any other pending changes. The version is written
+ * first so that its unique number rejects a concurrent edit; if the persona
+ * cannot be saved, the version is removed again.
+ *
+ * @param {mongoose.Document} persona - Persona document to update
+ * @param {Object} prompt - Prompt settings for the new version
+ * @param {string} prompt.systemPrompt - System prompt text
+ * @param {Object} prompt.style - Style settings ({ temperature, maxTokens })
+ * @param {Object} meta - Version metadata
+ * @param {string} [meta.author] - ID of the user making the change
+ * @param {string} [meta.note] - Reason for the change
+ * @param {number} [meta.rolledBackFrom] - Source version when rolling back
+ * @returns {Promise<Object>} The created PersonaVersion
+ */
+const recordVersion = async (persona, { systemPrompt, style }, { author = null, note = '', rolledBackFrom = null }) => {
+  const version = await PersonaVersion.create({
+    persona: persona._id,
+    version: persona.currentVersion + 1,
+    systemPrompt,
+    style,
+    author,
+    note,
+    rolledBackFrom,
+  });
+
+  persona.systemPrompt = systemPrompt;
+  persona.style = style;
+  persona.currentVersion = version.version;
+  try {
+    await persona.save();
+  } catch (error) {
+    // An orphaned version would take the next number and fail every later edit
+    await version.deleteOne();
+    throw error;
+  }
+  return version;
+};
+
+/**
+ * Create a persona together with its first version.
+ *
+ * @param {Object} data - Persona fields (name, slug, systemPrompt, style, ...)
+ * @param {Object} [meta]
+ * @param {string} [meta.author] - ID of the creating user
+ * @param {string} [meta.note] - Note stored on version 1
+ * @returns {Promise<mongoose.Document>} The created persona
+ */
+export const createPersona = async (data, { author = null, note = '' } = {}) => {
+  const persona = await Persona.create({ ...data, currentVersion: 1 });
+  try {
+    await PersonaVersion.create({
+      persona: persona._id,
+      version: 1,
+      systemPrompt: persona.systemPrompt,
+      style: persona.style,
+      author,
+      note,
+    });
+  } catch (error) {
+    // Don't leave a persona behind without a traceable prompt
+    await persona.deleteOne();
+    throw error;
+  }
+  invalidatePersonaCache();
+  return persona;
+};
+
+/**
+ * Apply changes to a persona. Changes to the system prompt or style settings
+ * create a new version; other fields are updated in place.
+ *
+ * @param {mongoose.Document} persona - Persona document to update
+ * @param {Object} changes - Fields to change
+ * @param {Object} [meta]
+ * @param {string} [meta.author] - ID of the editing user
+ * @param {string} [meta.note] - Reason for the change
+ * @returns {Promise<Object|null>} The new PersonaVersion, or null if the prompt was unchanged
+ */
+export const updatePersona = async (persona, changes, { author = null, note = '' } = {}) => {
+  EDITABLE_FIELDS
+    .filter((field) => changes[field] !== undefined)
+    .forEach((field) => persona.set(field, changes[field]));
+
+  const currentStyle = {
+    temperature: persona.style?.temperature ?? null,
+    maxTokens: persona.style?.maxTokens ?? null,
+  };
+  const nextPrompt = changes.systemPrompt ?? persona.systemPrompt;
+  const nextStyle = { ...currentStyle, ...changes.style };
+  const promptChanged = nextPrompt !== persona.systemPrompt;
+  const styleChanged = Object.keys(currentStyle).some((key) => nextStyle[key] !== currentStyle[key]);
+
+  let version = null;
+  if (promptChanged || styleChanged) {
+    version = await recordVersion(persona, { systemPrompt: nextPrompt, style: nextStyle }, { author, note });
+  } else {
+    await persona.save();
+  }
+  invalidatePersonaCache();
+  return version;
+};
+
+/**
+ * Restore the prompt of an earlier version. The restore is itself recorded as
+ * a new version, so the history stays append-only.
+ *
+ * @param {mongoose.Document} persona - Persona document to roll back
+ * @param {Object} target - PersonaVersion to restore
+ * @param {Object} [meta]
+ * @param {string} [meta.author] - ID of the user performing the rollback
+ * @param {string} [meta.note] - Reason for the rollback
+ * @returns {Promise<Object>} The new PersonaVersion
+ */
+export const rollbackPersona = async (persona, target, { author = null, note = '' } = {}) => {
+  const version = await recordVersion(persona, {
+    systemPrompt: target.systemPrompt,
+    style: {
+      temperature: target.style?.temperature ?? null,
+      maxTokens: target.style?.maxTokens ?? null,
+    },
+  }, {
+    author,
+    note: note || `Rollback to version ${target.version}`,
+    rolledBackFrom: target.version,
+  });
+  invalidatePersonaCache();
+  return version;
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Prompt assembly for chat replies.
+ * Builds the messages sent to the model from the persona, what is remembered
+ * about the user, knowledge passages and the chat thread, giving each section
+ * its own token budget so long chats and large contexts never push the prompt
+ * past the model's window:
+ *
+ * - The persona prompt, user memory and the new message are always included
+ *   (user memory is already limited by the MEMORY_* budgets).
+ * - Recent conversation context and the chat's running summary are clipped to
+ *   their budgets.
+ * - Knowledge passages are added in rank order while they fit.
+ * - The chat thread gets what is left, up to CHAT_HISTORY_TOKEN_BUDGET, newest
+ *   turns first. Only the branch being continued is sent (see utils/chatTree.js).
+ *   Older turns are covered by the running summary, which is kept up to date by
+ *   the chat-summary job (see utils/jobs.js).
+ *
+ * Sections are measured with the chat model's tokenizer (see utils/tokens.js).
+ *
+ * Configuration (environment variables, in tokens):
+ * - PROMPT_TOKEN_BUDGET: the whole prompt (default 6000, which leaves room for a
+ *   reply within gpt-4's 8192-token window; keep it below the model's window
+ *   minus the reply's maxTokens)
+ * - PROMPT_KNOWLEDGE_TOKENS: knowledge passages (default 1500)
+ * - PROMPT_RECENT_CONTEXT_TOKENS: recent conversation context from user memory (default 500)
+ * - CHAT_SUMMARY_TOKENS: the running summary of earlier messages (default 300)
+ * - CHAT_HISTORY_TOKEN_BUDGET: earlier messages of the chat (default 3000)
+ */
+
+import { formatContext } from './knowledge.js';
+import { countTokens, clipToTokens, truncateMessages, MESSAGE_OVERHEAD_TOKENS } from './tokens.js';
+import { getBranch } from './chatTree.js';
+
+/**
+ * @constant {Object} DEFAULT_PROMPT_BUDGETS - Section budgets used when the environment does not set them
+ */
+const DEFAULT_PROMPT_BUDGETS = {
+  total: 6000,
+  knowledge: 1500,
+  recentContext: 500,
+  summary: 300,
+  history: 3000,
+};
+
+/**
+ * @constant {Object} BUDGET_ENV - Environment variable overriding each section budget
+ */
+const BUDGET_ENV = {
+  total: 'PROMPT_TOKEN_BUDGET',
+  knowledge: 'PROMPT_KNOWLEDGE_TOKENS',
+  recentContext: 'PROMPT_RECENT_CONTEXT_TOKENS',
+  summary: 'CHAT_SUMMARY_TOKENS',
+  history: 'CHAT_HISTORY_TOKEN_BUDGET',
+};
+
+/**
+ * Read the section budgets, applying environment overrides.
+ *
+ * @returns {Object} { total, knowledge, recentContext, summary, history } in tokens
+ */
+export const getPromptBudgets = () => Object.fromEntries(
+  Object.entries(DEFAULT_PROMPT_BUDGETS).map(([section, fallback]) => {
+    const value = parseInt(process.env[BUDGET_ENV[section]], 10);
+    return [section, Number.isFinite(value) && value >= 0 ? value : fallback];
+  })
+);
+
+/**
+ * The thread of a branch as the model sees it: the chat summary covering the
+ * most of this branch, if any, and the messages after it. A summary covers the
+ * path up to the message it is keyed by, so summaries of other branches never
+ * apply and each branch keeps its own.
+ *
+ * @param {Object|null} chat - ChatHistory document or lean object (null for a new chat)
+ * @param {string|null} [messageId] - Last message of the branch (null for none); defaults to the active branch
+ * @returns {Object} { summary, summarizedCount, messages } where summarizedCount is how many
+ *   messages of the branch the summary covers and messages are the ones after them, oldest first
+ */
+export const getBranchContext = (chat, messageId) => {
+  const branch = getBranch(chat, messageId);
+  const positions = new Map(branch.map((message, index) => [String(message._id), index]));
+  let summary = '';
+  let summarizedCount = 0;
+  (chat?.summaries || []).forEach(({ messageId: coveredId, content }) => {
+    const index = positions.get(String(coveredId));
+    if (index !== undefined && index + 1 > summarizedCount) {
+      summary = content;
+      summarizedCount = index + 1;
+    }
+  });
+
+  if (!summarizedCount && chat?.summary) {
+    // Summaries written before branching cover the first messages of the array
+    const count = Math.min(chat.summarizedCount || 0, branch.length);
+    if (branch.slice(0, count).every((message, i) => String(message._id) === String(chat.messages[i]._id))) {
+      summary = count ? chat.summary : '';
+      summarizedCount = count;
+    }
+  }
+  return {
+    summary,
+    summarizedCount,
+    messages: branch.slice(summarizedCount),
+  };
+};
+
+/**
+ * Pick the highest-ranked knowledge passages whose formatted context fits a budget.
+ *
+ * @param {Array<Object>} passages - Retrieved passages, best first
+ * @param {number} tokenBudget - Most tokens the context may use
+ * @returns {Array<Object>} The passages that fit, best first
+ */
+const selectPassages = (passages, tokenBudget) => {
+  const selected = [];
+  for (const passage of passages) {
+    if (countTokens(formatContext([...selected, passage])) > tokenBudget) break;
+    selected.push(passage);
+  }
+  return selected;
+};
+
+/**
+ * Build the messages for a chat reply within the prompt budgets.
+ *
+ * @param {Object} params
+ * @param {Object|null} params.persona - Persona replying (null falls back to a generic assistant)
+ * @param {Object} params.memory - Result of getUserMemory
+ * @param {Array<Object>} params.passages - Retrieved knowledge passages, best first
+ * @param {Object|null} params.chat - The chat being continued (null for a new chat)
+ * @param {string|null} [params.parentId] - Message the new one follows (null for none);
+ *   defaults to the end of the active branch
+ * @param {string} params.message - The user's new message
+ * @returns {Object} { messages, passages, tokens } where passages are the knowledge
+ *   passages that made it into the prompt and tokens is the size of each section
+ *
+ * @example
+ * const prompt = buildChatPrompt({ persona, memory, passages: relevantFiles, chat: turn.chat, message });
+ * getProvider().stream({ messages: prompt.messages });
+ */
+export const buildChatPrompt = ({ persona, memory, passages, chat, parentId, message }) => {
+  const budgets = getPromptBudgets();
+  const thread = getBranchContext(chat, parentId);
+
+  const systemPrompt = persona ? persona.systemPrompt : `You are a wise assistant. Answer thoughtfully.`;
+  const personalFactsStr = memory.personalFacts
+    .map(fact => fact.content)
+    .join('. ');
+  const preferencesStr = Array.from(memory.preferences)
+    .map(([key, val]) => `${key}: ${val}`)
+    .join(', ');
+  const recentContext = clipToTokens(memory.relevantHistory, budgets.recentContext);
+  const summary = clipToTokens(thread.summary, budgets.summary);
+
+  const head = `${systemPrompt}
+
+About the user: ${personalFactsStr}
+User preferences: ${preferencesStr}
+Recent conversation context: ${recentContext}${memory.relationship ? `
+Your past conversations with this user:
+${memory.relationship}` : ''}${summary ? `
+Summary of earlier messages in this chat:
+${summary}` : ''}
+
+Context from knowledge base:
+`;
+  const messageTokens = countTokens(message) + MESSAGE_OVERHEAD_TOKENS;
+  const fixedTokens = countTokens(head) + MESSAGE_OVERHEAD_TOKENS + messageTokens;
+
+  // Knowledge grounds the reply, so it is fitted before the chat thread
+  const available = Math.max(0, budgets.total - fixedTokens);
+  const selectedPassages = selectPassages(passages, Math.min(budgets.knowledge, available));
+  const context = formatContext(selectedPassages);
+  const knowledgeTokens = countTokens(context);
+
+  const history = truncateMessages(
+    thread.messages.map((msg) => ({ role: msg.role, content: msg.content })),
+    Math.min(budgets.history, Math.max(0, available - knowledgeTokens))
+  );
+  const historyTokens = history.reduce((sum, msg) => sum + countTokens(msg.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+
+  return {
+    messages: [
+      { role: "system", content: `${head}${context}` },
+      ...history,
+      { role: "user", content: message },
+    ],
+    passages: selectedPassages,
+    tokens: {
+      system: fixedTokens - messageTokens + knowledgeTokens,
+      knowledge: knowledgeTokens,
+      summary: countTokens(summary),
+      history: historyTokens,
+      message: messageTokens,
+      total: fixedTokens + knowledgeTokens + historyTokens,
+    },
+  };
+};
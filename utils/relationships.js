@@ -0,0 +1,200 @@
+import { getProvider } from '../providers/index.js';
+import { countTokens } from './tokens.js';
+
+const MAX_TOPICS = 20; // Topics kept per figure (least recently discussed dropped first)
+const MAX_ADVICE = 10; // Pieces of advice kept per figure (oldest dropped first)
+const MAX_PRACTICES = 20; // Practices kept per figure (oldest suggestion dropped first)
+const DEFAULT_RELATIONSHIP_TOKEN_BUDGET = 200; // MEMORY_RELATIONSHIP_TOKEN_BUDGET: prompt tokens for the active figure's relationship
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const PRACTICE_STATUSES = ['suggested', 'tried', 'helped', 'not_helpful', 'abandoned'];
+
+/**
+ * Describes how long ago something happened, for prompts
+ * @param {Date} date - When it happened
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} e.g. 'today', 'yesterday', '5 days ago', '3 weeks ago'
+ */
+function timeAgo(date, now) {
+  const days = Math.floor((now - new Date(date).getTime()) / DAY_MS);
+  if (days <= 0) return 'today';
+  if (days === 1) return 'yesterday';
+  if (days < 14) return `${days} days ago`;
+  if (days < 60) return `${Math.round(days / 7)} weeks ago`;
+  return `${Math.round(days / 30)} months ago`;
+}
+
+/**
+ * Finds a user's relationship with a figure, creating it if needed
+ * @param {Object} memory - UserMemory document
+ * @param {string} figure - Persona slug
+ * @returns {Object} Relationship subdocument
+ */
+export function findOrCreateRelationship(memory, figure) {
+  let relationship = memory.relationships.find(item => item.figure === figure);
+  if (!relationship) {
+    memory.relationships.push({ figure });
+    relationship = memory.relationships[memory.relationships.length - 1];
+  }
+  return relationship;
+}
+
+/**
+ * Asks the model what happened in a figure's conversations with the user
+ * @param {string} figureName - Display name of the figure
+ * @param {Array<Object>} practices - Practices the figure already suggested
+ * @param {Array<Object>} exchanges - Exchanges { userMessage, aiResponse }
+ * @returns {Object} { topics, advice, practicesSuggested, practiceReports }
+ * @throws {Error} If the provider request fails
+ */
+async function extractRelationshipUpdates(figureName, practices, exchanges) {
+  const known = practices.map(practice => practice.name).join(', ') || 'none';
+  const response = await getProvider().complete({
+    messages: [
+      {
+        role: 'system',
+        content: `You keep ${figureName}'s memory of their relationship with a user. From the conversation below, return only JSON:
+{
+  "topics": ["short topic the user brought up, e.g. anger at work"],
+  "advice": ["one-sentence summary of advice ${figureName} gave"],
+  "practicesSuggested": [{ "name": "pause practice", "description": "pause for three breaths before replying when angry" }],
+  "practiceReports": [{ "name": "pause practice", "status": "tried | helped | not_helpful | abandoned", "report": "what the user said about it" }]
+}
+Practices ${figureName} suggested before: ${known}. When the user reports on one of them, use its exact name.
+Use empty arrays when there is nothing to record.`
+      },
+      {
+        role: 'user',
+        content: exchanges
+          .map(({ userMessage, aiResponse }) => `User: ${userMessage}\n${figureName}: ${aiResponse}`)
+          .join('\n\n')
+      }
+    ]
+  });
+
+  try {
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    const updates = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+    const list = (value) => (Array.isArray(value) ? value : []);
+    return {
+      topics: list(updates.topics).filter(topic => typeof topic === 'string' && topic.trim()),
+      advice: list(updates.advice).filter(advice => typeof advice === 'string' && advice.trim()),
+      practicesSuggested: list(updates.practicesSuggested).filter(practice => practice?.name),
+      practiceReports: list(updates.practiceReports).filter(report => report?.name && PRACTICE_STATUSES.includes(report.status))
+    };
+  } catch (parseError) {
+    console.error('Error parsing relationship JSON:', parseError);
+    return { topics: [], advice: [], practicesSuggested: [], practiceReports: [] };
+  }
+}
+
+/**
+ * Records what happened in recent conversations with one figure: topics
+ * discussed, advice given, practices suggested, and what the user reported
+ * about practices suggested earlier
+ * @param {Object} memory - UserMemory document (modified in place; the caller saves it)
+ * @param {Object} params
+ * @param {string} params.figure - Persona slug
+ * @param {string} params.figureName - Persona display name
+ * @param {Array<Object>} params.exchanges - Exchanges with this figure { userMessage, aiResponse }
+ * @throws {Error} If the provider request fails
+ */
+export async function updateRelationship(memory, { figure, figureName, exchanges }) {
+  const relationship = findOrCreateRelationship(memory, figure);
+  const updates = await extractRelationshipUpdates(figureName || figure, relationship.practices, exchanges);
+  const now = new Date();
+  const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+  updates.topics.forEach(topic => {
+    const existing = relationship.topics.find(item => sameName(item.topic, topic));
+    if (existing) {
+      existing.count += 1;
+      existing.lastDiscussed = now;
+    } else {
+      relationship.topics.push({ topic: topic.trim(), count: 1, firstDiscussed: now, lastDiscussed: now });
+    }
+  });
+
+  updates.advice.forEach(content => relationship.advice.push({ content: content.trim(), givenAt: now }));
+
+  updates.practicesSuggested.forEach(({ name, description }) => {
+    const existing = relationship.practices.find(item => sameName(item.name, String(name)));
+    if (existing) {
+      existing.description = description || existing.description;
+      existing.suggestedAt = now;
+    } else {
+      relationship.practices.push({ name: String(name).trim(), description, suggestedAt: now });
+    }
+  });
+
+  updates.practiceReports.forEach(({ name, status, report }) => {
+    let practice = relationship.practices.find(item => sameName(item.name, String(name)));
+    if (!practice) {
+      relationship.practices.push({ name: String(name).trim(), suggestedAt: null });
+      practice = relationship.practices[relationship.practices.length - 1];
+    }
+    practice.status = status;
+    practice.userReport = report || practice.userReport;
+    practice.reportedAt = now;
+  });
+
+  // Keep each list bounded, dropping what is least likely to matter
+  relationship.topics.sort((a, b) => b.lastDiscussed - a.lastDiscussed);
+  relationship.topics.splice(MAX_TOPICS);
+  relationship.advice.splice(0, Math.max(0, relationship.advice.length - MAX_ADVICE));
+  relationship.practices.splice(0, Math.max(0, relationship.practices.length - MAX_PRACTICES));
+  relationship.lastConversationAt = now;
+}
+
+/**
+ * Writes a figure's relationship with the user as prompt text, most useful
+ * lines first, within MEMORY_RELATIONSHIP_TOKEN_BUDGET. Practices the user has
+ * not reported on come first so the figure can follow up on them.
+ * @param {Object|null} relationship - Relationship subdocument
+ * @returns {string} Prompt text ('' if there is nothing to say)
+ */
+export function formatRelationship(relationship) {
+  if (!relationship) {
+    return '';
+  }
+  const now = Date.now();
+  const practices = [...relationship.practices].sort((a, b) => new Date(b.suggestedAt || 0) - new Date(a.suggestedAt || 0));
+  const pending = practices.filter(practice => practice.status === 'suggested' && practice.suggestedAt);
+  const reported = practices.filter(practice => practice.status !== 'suggested');
+
+  const lines = [
+    ...pending.map(practice => `- You suggested "${practice.name}"${practice.description ? ` (${practice.description})` : ''} ${timeAgo(practice.suggestedAt, now)}; the user has not said whether they tried it. Ask how it went if it fits the conversation.`),
+    ...relationship.topics.map(({ topic, count, lastDiscussed }) => `- You discussed ${topic}${count > 1 ? ` (${count} times)` : ''}, most recently ${timeAgo(lastDiscussed, now)}.`),
+    ...reported.map(practice => `- The user reported on "${practice.name}": ${practice.status.replace('_', ' ')}${practice.userReport ? ` ("${practice.userReport}")` : ''}.`),
+    ...[...relationship.advice].reverse().map(({ content, givenAt }) => `- Advice you gave ${timeAgo(givenAt, now)}: ${content}`)
+  ];
+
+  const value = parseFloat(process.env.MEMORY_RELATIONSHIP_TOKEN_BUDGET);
+  const tokenBudget = Number.isFinite(value) && value >= 0 ? value : DEFAULT_RELATIONSHIP_TOKEN_BUDGET;
+  const selected = [];
+  let tokens = 0;
+  for (const line of lines) {
+    const cost = countTokens(line) + 1;
+    if (tokens + cost > tokenBudget) continue;
+    selected.push(line);
+    tokens += cost;
+  }
+  return selected.join('\n');
+}
+
+/**
+ * Formats a relationship for the memory management API
+ * @param {Object} relationship - Relationship subdocument
+ * @returns {Object} { figure, topics, advice, practices, lastConversationAt }
+ */
+export function toRelationshipView(relationship) {
+  return {
+    figure: relationship.figure,
+    topics: relationship.topics.map(({ topic, count, firstDiscussed, lastDiscussed }) => ({ topic, count, firstDiscussed, lastDiscussed })),
+    advice: relationship.advice.map(({ content, givenAt }) => ({ content, givenAt })),
+    practices: relationship.practices.map(({ name, description, status, userReport, suggestedAt, reportedAt }) => ({
+      name, description, status, userReport, suggestedAt, reportedAt
+    })),
+    lastConversationAt: relationship.lastConversationAt
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Optional rerank stage for knowledge retrieval.
+ * After lexical and semantic results are fused, a reranker can rescore the
+ * short list against the query with a stronger (slower) judgment of relevance.
+ *
+ * Configuration (environment variables):
+ * - RERANKER: "none" (default) or "llm"
+ * - RERANK_MIN_SCORE: passages the reranker scores below this (0-1) are dropped (default 0.3)
+ */
+
+import { getProvider } from '../providers/index.js';
+
+/**
+ * @typedef {Object} Reranker
+ * @property {string} name - Reranker name
+ * @property {function(string, Array<Object>): Promise<Array<Object>>} rerank - Rescore passages for a
+ *   query; resolves to the passages, best first, each with a `rerankScore` between 0 and 1
+ */
+
+/**
+ * @constant {number} DEFAULT_MIN_SCORE - Default RERANK_MIN_SCORE
+ */
+const DEFAULT_MIN_SCORE = 0.3;
+
+/**
+ * @constant {number} PASSAGE_PREVIEW_LENGTH - Characters of each passage shown to the LLM reranker
+ */
+const PASSAGE_PREVIEW_LENGTH = 600;
+
+/**
+ * Create a reranker that asks the chat model to grade each passage's relevance.
+ * If the model's answer cannot be parsed, passages keep their fused order.
+ *
+ * @param {Object} [options]
+ * @param {LLMProvider} [options.provider] - Provider used for grading (defaults to the configured provider)
+ * @returns {Reranker} LLM reranker
+ */
+export const createLLMReranker = ({ provider } = {}) => ({
+  name: 'llm',
+
+  async rerank(query, passages) {
+    if (passages.length === 0) return passages;
+
+    const listing = passages
+      .map(({ content }, index) => `[${index + 1}] ${content.slice(0, PASSAGE_PREVIEW_LENGTH)}`)
+      .join('\n\n');
+    const response = await (provider || getProvider()).complete({
+      messages: [
+        {
+          role: 'system',
+          content: 'You grade how useful each passage is for answering a question. ' +
+            'Reply with only a JSON array of integers from 0 (irrelevant) to 10 (directly answers it), one per passage, in order.',
+        },
+        { role: 'user', content: `Question: ${query}\n\nPassages:\n${listing}` },
+      ],
+      temperature: 0,
+      maxTokens: 10 + passages.length * 4,
+    });
+
+    let grades;
+    try {
+      grades = JSON.parse(response.content.match(/\[[\d\s.,]*\]/)?.[0]);
+    } catch (error) {
+      grades = null;
+    }
+    if (!Array.isArray(grades) || grades.length !== passages.length) {
+      console.warn('Reranker returned unusable grades; keeping fused order');
+      return passages;
+    }
+
+    return passages
+      .map((passage, index) => ({ ...passage, rerankScore: Math.min(Math.max(Number(grades[index]) / 10, 0), 1) }))
+      .sort((a, b) => b.rerankScore - a.rerankScore);
+  },
+});
+
+/**
+ * @constant {Object} rerankerFactories - Reranker constructors keyed by RERANKER value
+ */
+const rerankerFactories = {
+  none: () => null,
+  llm: () => createLLMReranker(),
+};
+
+/**
+ * @type {Reranker|null|undefined} reranker - Lazily created shared reranker (null when disabled)
+ */
+let reranker;
+
+/**
+ * Get the configured reranker.
+ *
+ * @returns {Reranker|null} The reranker, or null if reranking is disabled
+ * @throws {Error} If RERANKER names an unknown reranker
+ */
+export const getReranker = () => {
+  if (reranker === undefined) {
+    const name = (process.env.RERANKER || 'none').toLowerCase();
+    const factory = rerankerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown RERANKER "${name}". Expected one of: ${Object.keys(rerankerFactories).join(', ')}`);
+    }
+    reranker = factory();
+  }
+  return reranker;
+};
+
+/**
+ * Replace the shared reranker.
+ *
+ * @param {Reranker|null|undefined} nextReranker - Reranker to use, null to disable, or undefined to recreate from configuration
+ */
+export const setReranker = (nextReranker) => {
+  reranker = nextReranker;
+};
+
+/**
+ * Minimum rerank score for a passage to be kept.
+ *
+ * @returns {number} Score between 0 and 1
+ */
+export const getRerankMinScore = () => {
+  const value = parseFloat(process.env.RERANK_MIN_SCORE);
+  return Number.isFinite(value) ? value : DEFAULT_MIN_SCORE;
+};
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Server-Sent Events helpers for streaming chat responses.
+ */
+
+/**
+ * Write an SSE event.
+ *
+ * @param {Object} res - Express response object with SSE headers already set
+ * @param {Object} message
+ * @param {string} [message.id] - Event ID; clients send the last one back in
+ *   the Last-Event-ID header when they reconnect
+ * @param {string} [message.event] - Event name; unnamed events reach `onmessage`
+ * @param {*} message.data - JSON-serializable payload
+ *
+ * @example
+ * writeEvent(res, { id: 'c0ffee:3', data: { content: 'Know' } });
+ */
+export const writeEvent = (res, { id, event, data }) => {
+  res.write(`${id ? `id: ${id}\n` : ''}${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Write a named SSE event. Clients receive it through
+ * `eventSource.addEventListener(event, ...)` rather than `onmessage`.
+ *
+ * @param {Object} res - Express response object with SSE headers already set
+ * @param {string} event - Event name, e.g. "sources"
+ * @param {*} data - JSON-serializable payload
+ *
+ * @example
+ * sendEvent(res, 'sources', { sources: [{ fileName: 'epictetus.txt', section: 'Typical Themes', score: 0.87 }] });
+ */
+export const sendEvent = (res, event, data) => writeEvent(res, { event, data });
+
+/**
+ * Write an SSE comment. Clients ignore it; it keeps proxies and load
+ * balancers from closing a connection that is waiting for the model.
+ *
+ * @param {Object} res - Express response object with SSE headers already set
+ * @param {string} [text='heartbeat'] - Comment text
+ */
+export const sendComment = (res, text = 'heartbeat') => {
+  res.write(`: ${text}\n\n`);
+};
+
+/**
+ * Set the headers that turn a response into an SSE stream.
+ *
+ * @param {Object} res - Express response object
+ */
+export const startEventStream = (res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+};
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Chat stream event protocol, shared by the SSE stream routes
+ * and the chat WebSocket. A reply is a sequence of named events, each with an
+ * ID (`<generationId>:<sequence>`) so it can be resumed:
+ *
+ * - start { protocolVersion, chatId, generationId, figure, parentId, userMessageId,
+ *   assistantMessageId }: parentId is the message the question follows in the
+ *   conversation tree
+ * - sources { sources }: knowledge passages the reply is grounded on
+ * - delta { content }: next piece of the reply text (any number)
+ * - usage { promptTokens, completionTokens, estimated }: estimated is true when
+ *   the provider did not report usage and the counts are approximations
+ * - error { code, message, retryable }: the reply failed; retryable means the
+ *   same message may succeed if sent again
+ * - end { finish_reason, status, saved, personaVersion }: always the last event
+ *
+ * The Swagger spec documents the payloads (components/schemas/ChatStream*).
+ * Bump STREAM_PROTOCOL_VERSION when an event is removed or changes meaning;
+ * adding events or fields is compatible.
+ */
+
+/**
+ * @constant {number} STREAM_PROTOCOL_VERSION - Version sent in the start event and the X-Stream-Protocol header
+ */
+export const STREAM_PROTOCOL_VERSION = 1;
+
+/**
+ * @constant {Object} STREAM_EVENTS - Event names of the protocol
+ */
+export const STREAM_EVENTS = Object.freeze({
+  start: 'start',
+  sources: 'sources',
+  delta: 'delta',
+  usage: 'usage',
+  error: 'error',
+  end: 'end',
+});
+
+/**
+ * @constant {Array<string>} FINISH_REASONS - Values of end.finish_reason: the provider's
+ *   own reasons, or why the reply was cut short
+ */
+export const FINISH_REASONS = ['stop', 'length', 'content_filter', 'cancelled', 'disconnected', 'error'];
+
+/**
+ * @constant {Array<string>} RETRYABLE_NETWORK_ERRORS - Connection error codes worth retrying
+ */
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Describe a failure as the payload of an `error` event. Provider errors keep
+ * their HTTP status to decide whether retrying can help; anything else is an
+ * internal error.
+ *
+ * @param {Error} error - Error thrown while generating the reply
+ * @returns {Object} { code, message, retryable }
+ *
+ * @example
+ * generation.publish(STREAM_EVENTS.error, toStreamError(error));
+ */
+export const toStreamError = (error) => {
+  const status = error?.status;
+  if (status === 429) {
+    return { code: 'rate_limited', message: 'The language model is busy. Please try again shortly.', retryable: true };
+  }
+  if (status >= 500 || RETRYABLE_NETWORK_ERRORS.includes(error?.code) || error?.name === 'APIConnectionError') {
+    return { code: 'provider_unavailable', message: 'Error communicating with the language model.', retryable: true };
+  }
+  if (status) {
+    return { code: 'provider_error', message: 'The language model rejected the request.', retryable: false };
+  }
+  return { code: 'internal_error', message: 'Error generating the reply.', retryable: false };
+};
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Token counts for prompt budgeting.
+ * Text is tokenized with the BPE encoding of the configured chat model
+ * (gpt-tokenizer), so non-English text and code are counted as the model
+ * counts them. Models without an OpenAI encoding (e.g. local Llama or Mistral
+ * models) are counted with o200k_base plus a safety margin, since their own
+ * tokenizers usually split text into more tokens.
+ *
+ * Configuration (environment variables):
+ * - TOKEN_COUNT_MARGIN: extra share added to counts for models without an OpenAI
+ *   encoding (default 0.25, i.e. counts are 25% higher than o200k_base's)
+ */
+
+import { createRequire } from 'module';
+import { getProvider } from '../providers/index.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * @constant {Array<Object>} MODEL_ENCODINGS - Encoding of each OpenAI model family, first match wins
+ */
+const MODEL_ENCODINGS = [
+  { pattern: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o\d)/i, encoding: 'o200k_base' },
+  { pattern: /^(gpt-4|gpt-3\.5)/i, encoding: 'cl100k_base' },
+];
+
+/**
+ * @constant {string} FALLBACK_ENCODING - Encoding used, with a margin, for other models
+ */
+const FALLBACK_ENCODING = 'o200k_base';
+
+/**
+ * @constant {number} DEFAULT_COUNT_MARGIN - TOKEN_COUNT_MARGIN when unset
+ */
+const DEFAULT_COUNT_MARGIN = 0.25;
+
+/**
+ * @constant {Object} ENCODE_OPTIONS - Count special-token text such as "<|endoftext|>" as
+ * plain text instead of throwing; it is never sent as a special token
+ */
+const ENCODE_OPTIONS = { disallowedSpecial: new Set() };
+
+/**
+ * @type {Object|null} tokenizer - Tokenizer of the chat model it was created for:
+ * { model, encoding, margin }
+ */
+let tokenizer = null;
+
+/**
+ * The tokenizer for the configured chat model, loading its encoding on first use.
+ *
+ * @returns {Object} { model, encoding, margin } where encoding is a gpt-tokenizer
+ *   encoding module and margin is the share added to its counts
+ */
+const getTokenizer = () => {
+  let model = null;
+  try {
+    model = getProvider().chatModel ?? null;
+  } catch (error) {
+    // Provider not configured: count with the fallback encoding
+  }
+  if (tokenizer && tokenizer.model === model) {
+    return tokenizer;
+  }
+
+  const known = MODEL_ENCODINGS.find(({ pattern }) => pattern.test(model || ''));
+  const margin = parseFloat(process.env.TOKEN_COUNT_MARGIN);
+  tokenizer = {
+    model,
+    encoding: require(`gpt-tokenizer/cjs/encoding/${known?.encoding || FALLBACK_ENCODING}`),
+    margin: known ? 0 : (Number.isFinite(margin) && margin >= 0 ? margin : DEFAULT_COUNT_MARGIN),
+  };
+  return tokenizer;
+};
+
+/**
+ * Count how many tokens a text uses with the configured chat model.
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Token count (0 for empty text)
+ *
+ * @example
+ * countTokens('Know thyself.'); // 4
+ */
+export const countTokens = (text) => {
+  if (!text) return 0;
+  const { encoding, margin } = getTokenizer();
+  return Math.ceil(encoding.countTokens(text, ENCODE_OPTIONS) * (1 + margin));
+};
+
+/**
+ * @constant {number} MESSAGE_OVERHEAD_TOKENS - Tokens a chat message costs beyond its content (role and separators)
+ */
+export const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Keep the newest messages that fit within a token budget. Older messages are
+ * dropped first, and the kept history always starts with a user message so a
+ * reply is never sent without the question it answers.
+ *
+ * @param {Array<Object>} messages - Chat messages { role, content }, oldest first
+ * @param {number} tokenBudget - Most tokens the kept messages may use
+ * @returns {Array<Object>} The newest messages that fit, oldest first
+ *
+ * @example
+ * truncateMessages(chat.messages, 3000); // the most recent turns, 3000 tokens at most
+ */
+export const truncateMessages = (messages, tokenBudget) => {
+  let tokens = 0;
+  let start = messages.length;
+  while (start > 0) {
+    const cost = countTokens(messages[start - 1].content) + MESSAGE_OVERHEAD_TOKENS;
+    if (tokens + cost > tokenBudget) break;
+    tokens += cost;
+    start -= 1;
+  }
+  while (start < messages.length && messages[start].role !== 'user') {
+    start += 1;
+  }
+  return messages.slice(start);
+};
+
+/**
+ * Shorten text to fit a token budget, cutting at a word boundary.
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} tokenBudget - Most tokens the result may use
+ * @returns {string} The text, or its beginning followed by "…" if it was too long
+ */
+export const clipToTokens = (text, tokenBudget) => {
+  if (countTokens(text) <= tokenBudget) {
+    return text || '';
+  }
+  const { encoding, margin } = getTokenizer();
+  // Leave a token for the ellipsis; a cut inside a character decodes to U+FFFD
+  const keep = Math.max(0, Math.floor((tokenBudget - 1) / (1 + margin)));
+  const clipped = encoding.decode(encoding.encode(text, ENCODE_OPTIONS).slice(0, keep)).replace(/�+$/, '');
+  const lastSpace = clipped.lastIndexOf(' ');
+  return `${lastSpace > 0 ? clipped.slice(0, lastSpace) : clipped}…`;
+};
@@ -4,6 +4,12 @@
  */
 
 import { query, body, param } from 'express-validator';
+import { isKnownPersona } from '../utils/personas.js';
+
+/**
+ * @constant {number} MAX_BODY_MESSAGE_LENGTH - Longest message accepted by POST /chat/stream
+ */
+const MAX_BODY_MESSAGE_LENGTH = 8000;
 
 /**
  * Validation rules for chat streaming requests
@@ -31,14 +37,37 @@ export const chatStreamValidator = [
   /**
    * Wisdom figure validation
    * - Required
-   * - Must be one of the predefined wisdom figures
+   * - Must be the name or slug of an enabled persona
    */
   query('wisdomFigure')
     .trim()
     .notEmpty()
     .withMessage('Wisdom figure is required')
-    .isIn(['Buddha', 'Jesus', 'Epictetus', 'Vonnegut', 'Laozi', 'Rumi', 'Sagan', 'Twain', 'Kooi'])
-    .withMessage('Invalid wisdom figure selected'),
+    .custom(async (value) => {
+      if (!(await isKnownPersona(value))) {
+        throw new Error('Invalid wisdom figure selected');
+      }
+      return true;
+    }),
+
+  /**
+   * Chat ID validation (optional)
+   * - Valid MongoDB ObjectId format if provided; omitted for a new chat
+   */
+  query('chatId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid chat ID format'),
+
+  /**
+   * Resumable flag (optional)
+   * - Boolean; keeps the reply running while the client reconnects
+   */
+  query('resumable')
+    .optional()
+    .isBoolean()
+    .withMessage('resumable must be a boolean value')
+    .toBoolean(),
 
   /**
    * JWT token validation (optional)
@@ -50,11 +79,163 @@ export const chatStreamValidator = [
     .withMessage('Invalid token format')
 ];
 
+/**
+ * Generation options (optional), overriding the persona's style
+ * @type {Array<Object>}
+ */
+const generationOptionsRules = [
+  body('options')
+    .optional()
+    .isObject()
+    .withMessage('options must be an object'),
+
+  body('options.temperature')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2')
+    .toFloat(),
+
+  body('options.maxTokens')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 8192 })
+    .withMessage('maxTokens must be between 1 and 8192')
+    .toInt()
+];
+
+/**
+ * Resumable flag (optional): keep the reply running for a while after the
+ * client disconnects, so it can reconnect and resume it
+ * @type {Object}
+ */
+const resumableRule = body('resumable')
+  .optional()
+  .isBoolean({ strict: true })
+  .withMessage('resumable must be a boolean value');
+
+/**
+ * Validation rules for chat streaming requests sent as a JSON body
+ * (POST /chat/stream). The message is kept exactly as typed: it is not
+ * trimmed, escaped or restricted to a character set, since it only goes to
+ * the model and is stored as data.
+ * @type {Array<Object>}
+ */
+export const chatStreamBodyValidator = [
+  /**
+   * Message validation
+   * - Required, not blank
+   * - String type
+   * - At most MAX_BODY_MESSAGE_LENGTH characters
+   */
+  body('message')
+    .isString()
+    .withMessage('Message must be a string')
+    .bail()
+    .custom((value) => value.trim().length > 0)
+    .withMessage('Message is required')
+    .isLength({ max: MAX_BODY_MESSAGE_LENGTH })
+    .withMessage(`Message must be at most ${MAX_BODY_MESSAGE_LENGTH} characters`),
+
+  /**
+   * Figure validation
+   * - Required
+   * - Must be the name or slug of an enabled persona
+   */
+  body('figure')
+    .isString()
+    .withMessage('Figure is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Figure is required')
+    .custom(async (value) => {
+      if (!(await isKnownPersona(value))) {
+        throw new Error('Invalid wisdom figure selected');
+      }
+      return true;
+    }),
+
+  /**
+   * Chat ID validation (optional)
+   * - Valid MongoDB ObjectId format if provided; omitted for a new chat
+   */
+  body('chatId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid chat ID format'),
+
+  resumableRule,
+
+  ...generationOptionsRules
+];
+
+/**
+ * Validation rules for the :chatId and :messageId route parameters of
+ * message routes (edit, regenerate, switch branch)
+ * @type {Array<Object>}
+ */
+export const chatMessageParamsValidator = [
+  param('chatId')
+    .isMongoId()
+    .withMessage('Invalid chat ID format'),
+
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID format')
+];
+
+/**
+ * Validation rules for editing a user message: the new message is validated
+ * like a POST /chat/stream body
+ * @type {Array<Object>}
+ */
+export const editMessageValidator = [
+  ...chatMessageParamsValidator,
+  ...chatStreamBodyValidator
+];
+
+/**
+ * Validation rules for regenerating an assistant reply
+ * @type {Array<Object>}
+ */
+export const regenerateReplyValidator = [
+  ...chatMessageParamsValidator,
+
+  /**
+   * Figure validation (optional)
+   * - Name or slug of an enabled persona; the original reply's figure when omitted
+   */
+  body('figure')
+    .optional()
+    .isString()
+    .withMessage('Figure must be a string')
+    .bail()
+    .trim()
+    .custom(async (value) => {
+      if (!(await isKnownPersona(value))) {
+        throw new Error('Invalid wisdom figure selected');
+      }
+      return true;
+    }),
+
+  resumableRule,
+
+  ...generationOptionsRules
+];
+
 /**
  * Validation rules for chat reset requests
  * @type {Array<Object>}
  */
 export const resetChatValidator = [
+  /**
+   * Chat ID validation (optional)
+   * - Valid MongoDB ObjectId format if provided
+   */
+  body('chatId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid chat ID format'),
+
   /**
    * User ID validation (optional)
    * - Valid MongoDB ObjectId format if provided
@@ -71,5 +252,40 @@ export const resetChatValidator = [
   body('clearAll')
     .optional()
     .isBoolean()
-    .withMessage('clearAll must be a boolean value')
-]; 
\ No newline at end of file
+    .withMessage('clearAll must be a boolean value'),
+
+  /**
+   * Scope validation
+   * - Either a chat to reset or clearAll: true, so a bare request never wipes every chat
+   */
+  body()
+    .custom((value) => {
+      if (!value?.chatId && value?.clearAll !== true && value?.clearAll !== 'true') {
+        throw new Error('Provide a chatId, or clearAll: true to reset every chat');
+      }
+      return true;
+    })
+]; 
+
+/**
+ * Validation rules for the :generationId route parameter
+ * - Generation IDs are UUIDs, sent in the stream's `start` event
+ * @type {Array<Object>}
+ */
+export const generationIdValidator = [
+  param('generationId')
+    .isUUID()
+    .withMessage('Invalid generation ID format')
+];
+
+/**
+ * Validation rules for resuming a generation's event stream
+ * @constant {Array} generationEventsValidator
+ */
+export const generationEventsValidator = [
+  ...generationIdValidator,
+  query('lastEventId')
+    .optional()
+    .matches(/^[0-9a-f-]{36}:\d+$/i)
+    .withMessage('Invalid event ID format')
+];
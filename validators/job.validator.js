@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Validation rules for background job administration routes.
+ * Defines validation schemas for listing, inspecting and retrying jobs.
+ */
+
+import { param, query } from 'express-validator';
+
+/**
+ * Validation rules for listing jobs
+ * - status: optional job state
+ * - type: optional job type
+ * - limit: optional page size (1-200)
+ * @type {Array<Object>}
+ */
+export const listJobsValidator = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'running', 'completed', 'failed'])
+    .withMessage('status must be one of pending, running, completed, failed'),
+
+  query('type')
+    .optional()
+    .matches(/^[a-z][a-z-]{0,49}$/)
+    .withMessage('type must be a job type such as memory-update'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200')
+    .toInt()
+];
+
+/**
+ * Validation rules for the :jobId route parameter
+ * @type {Array<Object>}
+ */
+export const jobIdValidator = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid job ID format')
+];
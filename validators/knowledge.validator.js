@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Validation rules for knowledge base administration routes.
+ * Defines validation schemas for uploading, replacing and deleting knowledge documents.
+ */
+
+import { body, param } from 'express-validator';
+import { isValidDocumentName, isValidFileName } from '../utils/knowledge.js';
+
+/**
+ * @constant {number} MAX_DOCUMENT_LENGTH - Maximum document size in characters
+ */
+const MAX_DOCUMENT_LENGTH = 2 * 1024 * 1024;
+
+/**
+ * Document content validation
+ * - Required
+ * - Non-empty string up to MAX_DOCUMENT_LENGTH characters
+ * - Not trimmed or escaped: the text is stored exactly as uploaded
+ */
+const contentRule = body('content')
+  .isString()
+  .withMessage('Content must be a string')
+  .custom((value) => value.trim() !== '')
+  .withMessage('Content is required')
+  .isLength({ max: MAX_DOCUMENT_LENGTH })
+  .withMessage(`Content must be at most ${MAX_DOCUMENT_LENGTH} characters`);
+
+/**
+ * @constant {string} FILE_NAME_MESSAGE - Error for a file name outside the knowledge directory or without a loader
+ */
+const FILE_NAME_MESSAGE = 'File name must be a relative path (e.g. "stoics/enchiridion.md") with a supported extension: .txt, .md, .markdown, .html, .htm, .epub or .jsonl';
+
+/**
+ * Document metadata and encoding validation (optional)
+ * - encoding: "utf-8" (default) or "base64" for binary formats such as .epub
+ * - metadata: { author, work, chapter } strings and personas, a list of persona slugs
+ */
+const documentOptionRules = [
+  body('encoding')
+    .optional()
+    .isIn(['utf-8', 'base64'])
+    .withMessage('Encoding must be "utf-8" or "base64"'),
+
+  body('metadata')
+    .optional()
+    .isObject()
+    .withMessage('Metadata must be an object'),
+
+  body(['metadata.author', 'metadata.work', 'metadata.chapter'])
+    .optional()
+    .isString()
+    .withMessage('Metadata fields must be strings')
+    .isLength({ max: 200 })
+    .withMessage('Metadata fields must be at most 200 characters'),
+
+  body('metadata.personas')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Metadata personas must be a list of persona slugs'),
+
+  body('metadata.personas.*')
+    .isString()
+    .withMessage('Metadata personas must be a list of persona slugs')
+];
+
+/**
+ * Validation rules for the :fileName route parameter when reading a document;
+ * files that yield several documents are read as "<file>#<group>"
+ * @type {Array<Object>}
+ */
+export const documentNameValidator = [
+  param('fileName')
+    .custom(isValidDocumentName)
+    .withMessage(FILE_NAME_MESSAGE)
+];
+
+/**
+ * Validation rules for the :fileName route parameter when deleting a file
+ * @type {Array<Object>}
+ */
+export const documentFileValidator = [
+  param('fileName')
+    .custom(isValidFileName)
+    .withMessage(FILE_NAME_MESSAGE)
+];
+
+/**
+ * Validation rules for uploading a new document
+ * @type {Array<Object>}
+ */
+export const uploadDocumentValidator = [
+  body('fileName')
+    .custom(isValidFileName)
+    .withMessage(FILE_NAME_MESSAGE),
+
+  contentRule,
+  ...documentOptionRules
+];
+
+/**
+ * Validation rules for replacing an existing document
+ * @type {Array<Object>}
+ */
+export const replaceDocumentValidator = [
+  ...documentFileValidator,
+
+  contentRule,
+  ...documentOptionRules
+];
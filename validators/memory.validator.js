@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Validation rules for user memory management routes.
+ * Defines validation schemas for adding, correcting and deleting remembered facts and preferences.
+ */
+
+import { body, param } from 'express-validator';
+
+/**
+ * Fact content validation
+ * - Required
+ * - Trimmed, 1-500 characters
+ */
+const factContentRule = body('content')
+  .isString()
+  .withMessage('Content must be a string')
+  .trim()
+  .notEmpty()
+  .withMessage('Content is required')
+  .isLength({ max: 500 })
+  .withMessage('Content must be at most 500 characters');
+
+/**
+ * Validation rules for the :factId route parameter
+ * @type {Array<Object>}
+ */
+export const factIdValidator = [
+  param('factId')
+    .isMongoId()
+    .withMessage('Invalid fact ID format')
+];
+
+/**
+ * Validation rules for adding a fact
+ * @type {Array<Object>}
+ */
+export const addFactValidator = [
+  factContentRule
+];
+
+/**
+ * Validation rules for correcting a fact
+ * @type {Array<Object>}
+ */
+export const updateFactValidator = [
+  ...factIdValidator,
+
+  factContentRule
+];
+
+/**
+ * Validation rules for the :key route parameter
+ * - Letters, numbers, spaces, underscores and dashes only (stored as a map key)
+ * @type {Array<Object>}
+ */
+export const preferenceKeyValidator = [
+  param('key')
+    .matches(/^[\w -]{1,50}$/)
+    .withMessage('Preference name must be 1-50 letters, numbers, spaces, underscores or dashes')
+];
+
+/**
+ * Validation rules for setting a preference
+ * @type {Array<Object>}
+ */
+export const setPreferenceValidator = [
+  ...preferenceKeyValidator,
+
+  body('value')
+    .isString()
+    .withMessage('Value must be a string')
+    .trim()
+    .notEmpty()
+    .withMessage('Value is required')
+    .isLength({ max: 200 })
+    .withMessage('Value must be at most 200 characters')
+];
+
+/**
+ * Validation rules for the :figure route parameter
+ * - A persona slug, e.g. marcus-aurelius
+ * @type {Array<Object>}
+ */
+export const relationshipFigureValidator = [
+  param('figure')
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Invalid persona slug')
+];
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Validation rules for persona administration routes.
+ * Defines validation schemas for creating, editing, previewing and rolling back personas.
+ */
+
+import { body, param } from 'express-validator';
+
+/**
+ * Shared rules for optional persona fields used by both create and update
+ * @type {Array<Object>}
+ */
+const optionalPersonaFields = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Description must be at most 300 characters'),
+
+  body('style.temperature')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('style.maxTokens')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 8192 })
+    .withMessage('maxTokens must be between 1 and 8192'),
+
+  body('knowledgeFiles')
+    .optional()
+    .isArray()
+    .withMessage('knowledgeFiles must be an array of file names'),
+
+  body('knowledgeFiles.*')
+    .isString()
+    .matches(/^[^/\\]+$/)
+    .withMessage('Knowledge file names must not contain path separators'),
+
+  body('retrievalMode')
+    .optional()
+    .isIn(['own', 'cross'])
+    .withMessage("retrievalMode must be 'own' or 'cross'"),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean value'),
+
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('sortOrder must be an integer'),
+
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+];
+
+/**
+ * Validation rules for the :slug route parameter
+ * @type {Array<Object>}
+ */
+export const personaSlugValidator = [
+  param('slug')
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Invalid persona slug')
+];
+
+/**
+ * Validation rules for persona creation
+ * @type {Array<Object>}
+ */
+export const createPersonaValidator = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 50 })
+    .withMessage('Name must be at most 50 characters'),
+
+  body('slug')
+    .trim()
+    .notEmpty()
+    .withMessage('Slug is required')
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and dashes'),
+
+  body('systemPrompt')
+    .trim()
+    .notEmpty()
+    .withMessage('System prompt is required')
+    .isLength({ max: 10000 })
+    .withMessage('System prompt must be at most 10000 characters'),
+
+  ...optionalPersonaFields
+];
+
+/**
+ * Validation rules for persona updates. Name and slug are immutable because
+ * stored chat history refers to them.
+ * @type {Array<Object>}
+ */
+export const updatePersonaValidator = [
+  ...personaSlugValidator,
+
+  body(['name', 'slug'])
+    .not()
+    .exists()
+    .withMessage('Persona name and slug cannot be changed'),
+
+  body('systemPrompt')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('System prompt cannot be empty')
+    .isLength({ max: 10000 })
+    .withMessage('System prompt must be at most 10000 characters'),
+
+  ...optionalPersonaFields
+];
+
+/**
+ * Validation rules for previewing a persona's reply
+ * @type {Array<Object>}
+ */
+export const previewPersonaValidator = [
+  ...personaSlugValidator,
+
+  body('message')
+    .trim()
+    .notEmpty()
+    .withMessage('Message is required')
+    .isLength({ max: 1000 })
+    .withMessage('Message must be at most 1000 characters'),
+
+  body('systemPrompt')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Draft system prompt cannot be empty')
+    .isLength({ max: 10000 })
+    .withMessage('System prompt must be at most 10000 characters')
+];
+
+/**
+ * Validation rules for rolling back to an earlier prompt version
+ * @type {Array<Object>}
+ */
+export const rollbackPersonaValidator = [
+  ...personaSlugValidator,
+
+  body('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+    .toInt(),
+
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+];
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Vector store registry for the WisdomAI application.
+ * Chooses where knowledge passage embeddings are indexed and searched, so
+ * retrieval code never scans vectors itself.
+ *
+ * Configuration (environment variables):
+ * - VECTOR_STORE: "memory" (default), "ivf" or "mongo"
+ * - VECTOR_INDEX_DIR / VECTOR_IVF_NPROBE: index directory and clusters probed per query for "ivf"
+ * - VECTOR_SEARCH_INDEX: Atlas Vector Search index name for "mongo"
+ *
+ * The embeddings file written by generateEmbeddings.js stays the source of
+ * truth; stores are synced from it on startup and updated as documents change.
+ */
+
+import { createMemoryStore } from './memory.js';
+import { createIVFStore } from './ivf.js';
+import { createMongoStore } from './mongo.js';
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {number} [topK=5] - Maximum number of results
+ * @property {number|null} [threshold] - Minimum cosine similarity of a result
+ * @property {Object|null} [filter] - Metadata filter; each key must match, array values match any element
+ *   (e.g. { fileName: ['buddha.txt', 'rumi.txt'] })
+ */
+
+/**
+ * @typedef {Object} VectorStore
+ * @property {string} name - Store name ("memory", "ivf", "mongo")
+ * @property {function(Array<Object>): Promise<void>} sync - Make the store hold exactly these embedded passages
+ * @property {function(Array<Object>): Promise<void>} upsert - Add passages, replacing any with the same ID
+ * @property {function(Object): Promise<number>} remove - Remove passages matching a filter; resolves to the number removed
+ * @property {function(Array<number>, SearchOptions): Promise<Array<Object>>} search - Passages most similar
+ *   to a vector, best first, each with a `similarity` property and without its embedding
+ * @property {function(): Promise<number>} count - Number of stored passages
+ */
+
+/**
+ * @constant {Object} storeFactories - Store constructors keyed by VECTOR_STORE value
+ */
+const storeFactories = {
+  memory: () => createMemoryStore(),
+  ivf: (env) => createIVFStore({
+    directory: env.VECTOR_INDEX_DIR || './vectorIndex',
+    ...(env.VECTOR_IVF_NPROBE && { nprobe: parseInt(env.VECTOR_IVF_NPROBE, 10) }),
+  }),
+  mongo: (env) => createMongoStore({
+    indexName: env.VECTOR_SEARCH_INDEX || 'knowledge_vector_index',
+  }),
+};
+
+/**
+ * Create a vector store from configuration.
+ *
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {VectorStore} The configured store
+ * @throws {Error} If VECTOR_STORE names an unknown store
+ */
+export const createVectorStore = (env = process.env) => {
+  const name = (env.VECTOR_STORE || 'memory').toLowerCase();
+  const factory = storeFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown VECTOR_STORE "${name}". Expected one of: ${Object.keys(storeFactories).join(', ')}`);
+  }
+  return factory(env);
+};
+
+/**
+ * @type {VectorStore|null} store - Lazily created shared store
+ */
+let store = null;
+
+/**
+ * Get the shared vector store, creating it on first use.
+ *
+ * @returns {VectorStore} The configured store
+ */
+export const getVectorStore = () => {
+  if (!store) {
+    store = createVectorStore();
+    console.log(`Vector store: ${store.name}`);
+  }
+  return store;
+};
+
+/**
+ * Replace the shared vector store, e.g. with an in-memory store in tests.
+ *
+ * @param {VectorStore|null} nextStore - Store to use, or null to recreate from configuration
+ */
+export const setVectorStore = (nextStore) => {
+  store = nextStore;
+};
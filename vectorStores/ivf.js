@@ -0,0 +1,321 @@
+/**
+ * @fileoverview On-disk IVF (inverted file) vector store.
+ * Passages are grouped into clusters around k-means centroids. A search scores
+ * the centroids, then only the passages in the closest clusters, so query cost
+ * grows with roughly the square root of the collection instead of linearly.
+ *
+ * The trained index is persisted to a directory and reloaded on startup when
+ * it still matches the embeddings file, so clustering only runs after the
+ * knowledge base changes substantially.
+ *
+ * Files written to the index directory:
+ * - ivf-index.json: format version, dimensions, fingerprint, centroids and passage metadata
+ * - ivf-vectors.bin: unit-length Float32 vectors in the same order as the metadata
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { matchesFilter, normalize, dot, createTopK } from './search.js';
+import { toEntry } from './memory.js';
+
+/**
+ * @constant {number} IVF_FORMAT_VERSION - Persisted index format
+ */
+const IVF_FORMAT_VERSION = 1;
+
+/**
+ * @constant {number} MIN_CLUSTERED_SIZE - Below this many passages a single cluster (exact search) is used
+ */
+const MIN_CLUSTERED_SIZE = 256;
+
+/**
+ * @constant {number} TRAINING_SAMPLES_PER_CLUSTER - Passages sampled per centroid when training k-means
+ */
+const TRAINING_SAMPLES_PER_CLUSTER = 40;
+
+/**
+ * @constant {number} KMEANS_ITERATIONS - Lloyd iterations when training centroids
+ */
+const KMEANS_ITERATIONS = 8;
+
+/**
+ * @constant {number} EXACT_SEARCH_LIMIT - Filters matching at most this many passages are searched exactly
+ */
+const EXACT_SEARCH_LIMIT = 2048;
+
+/**
+ * @constant {number} REBUILD_FACTOR - Retrain once the collection grows or shrinks by this factor since training
+ */
+const REBUILD_FACTOR = 2;
+
+/**
+ * Fingerprint a set of passages by ID and content hash, so a persisted index
+ * can be matched against the embeddings file it was built from.
+ *
+ * @param {Array<Object>} passages - Passages ({ id, hash })
+ * @returns {string} Hex-encoded SHA-256 fingerprint
+ */
+const fingerprint = (passages) => crypto
+  .createHash('sha256')
+  .update(passages.map(({ id, hash }) => `${id}:${hash}`).sort().join('\n'))
+  .digest('hex');
+
+/**
+ * Index of the centroid closest to a vector.
+ *
+ * @param {Array<Float32Array>} centroids - Unit-length centroids
+ * @param {Float32Array} vector - Unit-length vector
+ * @returns {number} Centroid index
+ */
+const nearestCentroid = (centroids, vector) => {
+  let best = 0;
+  let bestScore = -Infinity;
+  centroids.forEach((centroid, index) => {
+    const score = dot(centroid, vector);
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+/**
+ * Train centroids with spherical k-means on an evenly spaced sample of vectors.
+ * Initialization is deterministic so rebuilding the same data gives the same index.
+ *
+ * @param {Array<Float32Array>} vectors - Unit-length vectors
+ * @param {number} clusterCount - Number of centroids
+ * @returns {Array<Float32Array>} Unit-length centroids
+ */
+const trainCentroids = (vectors, clusterCount) => {
+  const sampleSize = Math.min(vectors.length, clusterCount * TRAINING_SAMPLES_PER_CLUSTER);
+  const step = vectors.length / sampleSize;
+  const sample = Array.from({ length: sampleSize }, (_, i) => vectors[Math.floor(i * step)]);
+
+  const initialStep = sample.length / clusterCount;
+  let centroids = Array.from({ length: clusterCount }, (_, i) => sample[Math.floor(i * initialStep)]);
+
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    const sums = centroids.map((centroid) => new Float32Array(centroid.length));
+    const sizes = new Array(clusterCount).fill(0);
+    sample.forEach((vector) => {
+      const index = nearestCentroid(centroids, vector);
+      sizes[index]++;
+      for (let d = 0; d < vector.length; d++) sums[index][d] += vector[d];
+    });
+    // Keep the previous centroid for a cluster that lost all its members
+    centroids = sums.map((sum, index) => (sizes[index] ? normalize(sum) : centroids[index]));
+  }
+  return centroids;
+};
+
+/**
+ * Create an IVF vector store persisted in a directory.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.directory='./vectorIndex'] - Where the trained index is stored
+ * @param {number} [options.nprobe=8] - Minimum number of clusters searched per query
+ * @returns {Object} Vector store (see vectorStores/index.js)
+ */
+export const createIVFStore = ({ directory = './vectorIndex', nprobe = 8 } = {}) => {
+  const indexPath = path.join(directory, 'ivf-index.json');
+  const vectorsPath = path.join(directory, 'ivf-vectors.bin');
+
+  /** @type {Map<string, {metadata: Object, vector: Float32Array, cluster: number}>} entries - Passages keyed by ID */
+  let entries = new Map();
+  /** @type {Array<Float32Array>} centroids - Unit-length cluster centroids */
+  let centroids = [];
+  /** @type {Array<Set<string>>} clusters - Passage IDs in each cluster */
+  let clusters = [];
+  /** @type {number} trainedSize - Collection size when the centroids were trained */
+  let trainedSize = 0;
+
+  /**
+   * Retrain centroids on the current entries and reassign every passage.
+   */
+  const rebuild = () => {
+    const all = [...entries.values()];
+    const clusterCount = all.length < MIN_CLUSTERED_SIZE ? 1 : Math.round(Math.sqrt(all.length));
+    centroids = all.length ? trainCentroids(all.map(({ vector }) => vector), clusterCount) : [];
+    clusters = centroids.map(() => new Set());
+    all.forEach((entry) => {
+      entry.cluster = nearestCentroid(centroids, entry.vector);
+      clusters[entry.cluster].add(entry.metadata.id);
+    });
+    trainedSize = all.length;
+  };
+
+  /**
+   * Add an entry to the closest existing cluster.
+   *
+   * @param {{metadata: Object, vector: Float32Array}} entry - Store entry
+   */
+  const assign = (entry) => {
+    entry.cluster = nearestCentroid(centroids, entry.vector);
+    clusters[entry.cluster].add(entry.metadata.id);
+    entries.set(entry.metadata.id, entry);
+  };
+
+  /**
+   * Drop an entry from its cluster and the store.
+   *
+   * @param {string} id - Passage ID
+   */
+  const evict = (id) => {
+    const entry = entries.get(id);
+    if (!entry) return;
+    clusters[entry.cluster]?.delete(id);
+    entries.delete(id);
+  };
+
+  /**
+   * Retrain when the collection has drifted far from the size it was trained on,
+   * since clusters trained on a small collection separate a large one poorly.
+   */
+  const rebalance = () => {
+    const size = entries.size;
+    if (!centroids.length || size > trainedSize * REBUILD_FACTOR || size * REBUILD_FACTOR < trainedSize) {
+      rebuild();
+    }
+  };
+
+  /**
+   * Write the index to disk (temporary files first, then rename).
+   */
+  const persist = () => {
+    const all = [...entries.values()];
+    const dimensions = all[0]?.vector.length ?? 0;
+    const vectors = new Float32Array(all.length * dimensions);
+    all.forEach(({ vector }, index) => vectors.set(vector, index * dimensions));
+
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(`${vectorsPath}.tmp`, Buffer.from(vectors.buffer));
+    fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify({
+      version: IVF_FORMAT_VERSION,
+      dimensions,
+      fingerprint: fingerprint(all.map(({ metadata }) => metadata)),
+      trainedSize,
+      centroids: centroids.map((centroid) => Array.from(centroid)),
+      passages: all.map(({ metadata, cluster }) => ({ ...metadata, cluster })),
+    }));
+    fs.renameSync(`${vectorsPath}.tmp`, vectorsPath);
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+  };
+
+  /**
+   * Load the persisted index if it was built from exactly these passages.
+   *
+   * @param {string} expected - Fingerprint of the passages to serve
+   * @returns {boolean} True if the persisted index was loaded
+   */
+  const restore = (expected) => {
+    if (!fs.existsSync(indexPath) || !fs.existsSync(vectorsPath)) return false;
+    try {
+      const saved = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+      if (saved.version !== IVF_FORMAT_VERSION || saved.fingerprint !== expected) return false;
+
+      const buffer = fs.readFileSync(vectorsPath);
+      // Copy out of Node's buffer pool, whose offsets need not be 4-byte aligned
+      const vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+      centroids = saved.centroids.map((centroid) => Float32Array.from(centroid));
+      clusters = centroids.map(() => new Set());
+      entries = new Map();
+      saved.passages.forEach(({ cluster, ...metadata }, index) => {
+        const vector = vectors.slice(index * saved.dimensions, (index + 1) * saved.dimensions);
+        entries.set(metadata.id, { metadata, vector, cluster });
+        clusters[cluster].add(metadata.id);
+      });
+      trainedSize = saved.trainedSize;
+      return true;
+    } catch (error) {
+      console.error('Error loading IVF index, rebuilding:', error.message);
+      return false;
+    }
+  };
+
+  return {
+    name: 'ivf',
+
+    async sync(passages) {
+      if (restore(fingerprint(passages))) {
+        console.log(`Loaded IVF index (${entries.size} passages, ${centroids.length} clusters) from ${directory}`);
+        return;
+      }
+      entries = new Map(passages.map((passage) => [passage.id, toEntry(passage)]));
+      rebuild();
+      persist();
+      console.log(`Built IVF index (${entries.size} passages, ${centroids.length} clusters) in ${directory}`);
+    },
+
+    async upsert(passages) {
+      passages.forEach(({ id }) => evict(id));
+      if (!centroids.length) {
+        passages.forEach((passage) => entries.set(passage.id, toEntry(passage)));
+        rebuild();
+      } else {
+        passages.forEach((passage) => assign(toEntry(passage)));
+        rebalance();
+      }
+      persist();
+    },
+
+    async remove(filter) {
+      const ids = [...entries.values()]
+        .filter(({ metadata }) => matchesFilter(metadata, filter))
+        .map(({ metadata }) => metadata.id);
+      ids.forEach(evict);
+      if (ids.length) {
+        rebalance();
+        persist();
+      }
+      return ids.length;
+    },
+
+    async search(vector, { topK = 5, threshold = null, filter = null } = {}) {
+      const query = normalize(vector);
+      const best = createTopK(topK);
+      const offer = ({ metadata, vector: candidate }) => {
+        const similarity = dot(query, candidate);
+        if (threshold == null || similarity >= threshold) best.push(similarity, metadata);
+      };
+      const toResults = () => best.entries.map(({ score, item }) => ({ ...item, similarity: score }));
+
+      // A narrow filter (one persona's files) may match only a few passages spread
+      // over many clusters; scoring those few exactly is both cheaper and complete
+      if (filter) {
+        const matching = [];
+        for (const entry of entries.values()) {
+          if (matchesFilter(entry.metadata, filter) && matching.push(entry) > EXACT_SEARCH_LIMIT) break;
+        }
+        if (matching.length <= EXACT_SEARCH_LIMIT) {
+          matching.forEach(offer);
+          return toResults();
+        }
+      }
+
+      const order = centroids
+        .map((centroid, index) => ({ index, score: dot(centroid, query) }))
+        .sort((a, b) => b.score - a.score);
+
+      // Probe the closest clusters; keep going past nprobe until enough passages
+      // have matched the filter to fill topK
+      let matched = 0;
+      for (let probed = 0; probed < order.length; probed++) {
+        if (probed >= nprobe && matched >= topK) break;
+        for (const id of clusters[order[probed].index]) {
+          const entry = entries.get(id);
+          if (!matchesFilter(entry.metadata, filter)) continue;
+          matched++;
+          offer(entry);
+        }
+      }
+      return toResults();
+    },
+
+    async count() {
+      return entries.size;
+    },
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview In-memory vector store.
+ * Scores every passage against the query (exact search). Fast enough for a few
+ * thousand passages and needs no setup, so it is the default store.
+ */
+
+import { matchesFilter, normalize, dot, createTopK } from './search.js';
+
+/**
+ * Split an embedded passage into stored metadata and a unit-length vector.
+ *
+ * @param {Object} passage - Embedded passage
+ * @returns {{metadata: Object, vector: Float32Array}} Store entry
+ */
+export const toEntry = ({ embedding, ...metadata }) => ({ metadata, vector: normalize(embedding) });
+
+/**
+ * Create an in-memory vector store.
+ *
+ * @returns {Object} Vector store (see vectorStores/index.js)
+ */
+export const createMemoryStore = () => {
+  /** @type {Map<string, {metadata: Object, vector: Float32Array}>} entries - Passages keyed by ID */
+  let entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async sync(passages) {
+      entries = new Map(passages.map((passage) => [passage.id, toEntry(passage)]));
+    },
+
+    async upsert(passages) {
+      passages.forEach((passage) => entries.set(passage.id, toEntry(passage)));
+    },
+
+    async remove(filter) {
+      let removed = 0;
+      for (const [id, { metadata }] of entries) {
+        if (matchesFilter(metadata, filter)) {
+          entries.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async search(vector, { topK = 5, threshold = null, filter = null } = {}) {
+      const query = normalize(vector);
+      const best = createTopK(topK);
+      for (const { metadata, vector: candidate } of entries.values()) {
+        if (!matchesFilter(metadata, filter)) continue;
+        const similarity = dot(query, candidate);
+        if (threshold == null || similarity >= threshold) best.push(similarity, metadata);
+      }
+      return best.entries.map(({ score, item }) => ({ ...item, similarity: score }));
+    },
+
+    async count() {
+      return entries.size;
+    },
+  };
+};
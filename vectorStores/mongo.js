@@ -0,0 +1,151 @@
+/**
+ * @fileoverview MongoDB vector store backed by Atlas Vector Search.
+ * Passages live in the KnowledgePassage collection and are searched with the
+ * `$vectorSearch` aggregation stage, so the knowledge base can grow beyond what
+ * fits comfortably in the server's memory.
+ *
+ * Requires an Atlas Vector Search index on the collection (name set by
+ * VECTOR_SEARCH_INDEX, default "knowledge_vector_index"):
+ *
+ * {
+ *   "fields": [
+ *     { "type": "vector", "path": "embedding", "numDimensions": 1536, "similarity": "cosine" },
+ *     { "type": "filter", "path": "fileName" },
+ *     { "type": "filter", "path": "section" }
+ *   ]
+ * }
+ */
+
+import KnowledgePassage from '../models/KnowledgePassage.js';
+
+/**
+ * @constant {number} WRITE_BATCH_SIZE - Operations per bulkWrite call
+ */
+const WRITE_BATCH_SIZE = 500;
+
+/**
+ * @constant {number} CANDIDATES_PER_RESULT - Approximate-search candidates considered per requested result
+ */
+const CANDIDATES_PER_RESULT = 20;
+
+/**
+ * Translate a store filter into a MongoDB query. Array values match any element.
+ *
+ * @param {Object} [filter] - Store filter, e.g. { fileName: ['rumi.txt'] }
+ * @returns {Object} MongoDB filter
+ */
+const toMongoFilter = (filter = {}) => Object.fromEntries(
+  Object.entries(filter).map(([key, value]) => [
+    key,
+    Array.isArray(value) ? { $in: value } : { $eq: value },
+  ])
+);
+
+/**
+ * Map an embedded passage to a KnowledgePassage document.
+ *
+ * @param {Object} passage - Embedded passage
+ * @returns {Object} Document fields
+ */
+const toDocument = ({ id, fileName, section, offset, length, content, metadata, hash, embedding }) => ({
+  passageId: id,
+  fileName,
+  section,
+  offset,
+  length,
+  content,
+  metadata,
+  hash,
+  embedding,
+});
+
+/**
+ * Write passages with upserts keyed by passage ID.
+ *
+ * @param {Array<Object>} passages - Embedded passages
+ * @returns {Promise<void>}
+ */
+const writePassages = async (passages) => {
+  for (let i = 0; i < passages.length; i += WRITE_BATCH_SIZE) {
+    await KnowledgePassage.bulkWrite(passages.slice(i, i + WRITE_BATCH_SIZE).map((passage) => ({
+      replaceOne: {
+        filter: { passageId: passage.id },
+        replacement: toDocument(passage),
+        upsert: true,
+      },
+    })), { ordered: false });
+  }
+};
+
+/**
+ * Create a MongoDB vector store. Uses the application's mongoose connection.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.indexName='knowledge_vector_index'] - Atlas Vector Search index name
+ * @returns {Object} Vector store (see vectorStores/index.js)
+ */
+export const createMongoStore = ({ indexName = 'knowledge_vector_index' } = {}) => ({
+  name: 'mongo',
+
+  async sync(passages) {
+    // Only rewrite passages that are new or whose content changed
+    const stored = new Map((await KnowledgePassage.find({}, { passageId: 1, hash: 1 }).lean())
+      .map(({ passageId, hash }) => [passageId, hash]));
+    const changed = passages.filter(({ id, hash }) => stored.get(id) !== hash);
+    await writePassages(changed);
+
+    const current = new Set(passages.map(({ id }) => id));
+    const stale = [...stored.keys()].filter((id) => !current.has(id));
+    if (stale.length) {
+      await KnowledgePassage.deleteMany({ passageId: { $in: stale } });
+    }
+    console.log(`Synced MongoDB vector store: ${changed.length} written, ${stale.length} removed`);
+  },
+
+  async upsert(passages) {
+    await writePassages(passages);
+  },
+
+  async remove(filter) {
+    const { deletedCount } = await KnowledgePassage.deleteMany(toMongoFilter(filter));
+    return deletedCount;
+  },
+
+  async search(vector, { topK = 5, threshold = null, filter = null } = {}) {
+    const results = await KnowledgePassage.aggregate([
+      {
+        $vectorSearch: {
+          index: indexName,
+          path: 'embedding',
+          queryVector: vector,
+          numCandidates: topK * CANDIDATES_PER_RESULT,
+          limit: topK,
+          ...(filter && { filter: toMongoFilter(filter) }),
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          passageId: 1,
+          fileName: 1,
+          section: 1,
+          offset: 1,
+          length: 1,
+          content: 1,
+          metadata: 1,
+          hash: 1,
+          score: { $meta: 'vectorSearchScore' },
+        },
+      },
+    ]);
+
+    return results
+      // Atlas reports cosine scores rescaled to 0-1; convert back to cosine similarity
+      .map(({ passageId, score, ...metadata }) => ({ id: passageId, ...metadata, similarity: score * 2 - 1 }))
+      .filter(({ similarity }) => threshold == null || similarity >= threshold);
+  },
+
+  async count() {
+    return KnowledgePassage.countDocuments();
+  },
+});
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Helpers shared by the in-process vector stores: metadata
+ * filtering, vector normalization and top-k selection.
+ */
+
+/**
+ * Check whether a passage's metadata satisfies a filter. Every key in the
+ * filter must match; an array value matches any of its elements.
+ *
+ * @param {Object} metadata - Passage metadata ({ fileName, section, ... })
+ * @param {Object} [filter] - e.g. { fileName: ['buddha.txt', 'rumi.txt'] }
+ * @returns {boolean} True if the passage passes the filter
+ *
+ * @example
+ * matchesFilter({ fileName: 'rumi.txt' }, { fileName: ['rumi.txt'] }); // true
+ */
+export const matchesFilter = (metadata, filter) => {
+  if (!filter) return true;
+  return Object.entries(filter).every(([key, expected]) => (Array.isArray(expected)
+    ? expected.includes(metadata[key])
+    : metadata[key] === expected));
+};
+
+/**
+ * Scale a vector to unit length so cosine similarity reduces to a dot product.
+ *
+ * @param {Array<number>} vector - Input vector
+ * @returns {Float32Array} Unit-length copy
+ */
+export const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return Float32Array.from(vector, (value) => value / norm);
+};
+
+/**
+ * Dot product of two vectors of equal length.
+ *
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} Dot product
+ */
+export const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+/**
+ * Create a collector that keeps the best `k` scored entries seen so far.
+ * Insertion is O(k), which is cheap for the small k used in retrieval.
+ *
+ * @param {number} k - Number of entries to keep
+ * @returns {{push: function(number, *): void, entries: Array<{score: number, item: *}>}}
+ *   `push(score, item)` offers an entry; `entries` holds the best ones, best first
+ */
+export const createTopK = (k) => {
+  const entries = [];
+  return {
+    entries,
+    push(score, item) {
+      if (entries.length === k && score <= entries[k - 1].score) return;
+      let i = entries.length;
+      while (i > 0 && entries[i - 1].score < score) i--;
+      entries.splice(i, 0, { score, item });
+      if (entries.length > k) entries.pop();
+    },
+  };
+};